@@ -16,12 +16,18 @@ const pkg           = require('./package.json');
 const config        = require('./lib/config.js');
 const socketIO      = require('./lib/socketio.js');
 const mongo         = require('./lib/mongo.js');
+const jobs          = require('./lib/jobs.js');
+const queue         = require('./lib/queue.js');
+const sushi         = require('./lib/sushi.js');
+const audit         = require('./lib/audit.js');
+const tokens        = require('./lib/tokens.js');
 const http          = require('http');
 const path          = require('path');
 const mkdirp        = require('mkdirp');
 const fs            = require('fs-extra');
 const Reaper        = require('tmp-reaper');
 const auth          = require('./lib/auth-middlewares.js');
+const ldapLogin     = require('./lib/sso/ldap.js');
 const mailer        = require('./lib/mailer.js');
 const parserlist    = require('./lib/parserlist.js');
 const ecFilter      = require('./lib/ecfilter.js');
@@ -115,6 +121,12 @@ passport.deserializeUser(function (obj, done) {
 passport.use(new BasicStrategy(auth.login));
 passport.use(new LocalStrategy({ usernameField: 'userid' }, auth.login));
 
+// LDAP accounts log in through the same form as local ones
+if (config.EZPAARSE_SSO && config.EZPAARSE_SSO.ldap) {
+  passport.use('ldap', new LocalStrategy({ usernameField: 'userid' },
+    ldapLogin(config.EZPAARSE_SSO.ldap)));
+}
+
 const app = express();
 
 // connect ezpaarse env to expressjs env
@@ -221,13 +233,18 @@ app.post('/mail', bodyParser.urlencoded({ extended: true }), bodyParser.json(),
 // log related routes
 require('./routes/views')(app);
 require('./routes/ws')(app);
+require('./routes/jobs')(app);
 require('./routes/info')(app);
 require('./routes/logs')(app);
 require('./routes/feedback')(app);
 require('./lib/castor.js')(app);
 require('./routes/admin')(app);
+require('./routes/institutions')(app);
+require('./routes/audit')(app);
+require('./routes/metrics')(app);
 require('./routes/auth')(app);
 require('./routes/format')(app);
+require('./routes/sushi')(app);
 
 // For angular HTML5 mode
 app.get('*', function (req, res) {
@@ -250,6 +267,42 @@ async function start () {
 
   await connectToMongo();
 
+  try {
+    const nbInterrupted = await jobs.init();
+    if (nbInterrupted > 0) {
+      logger.warn(`${nbInterrupted} job(s) interrupted by the last shutdown`);
+    }
+
+    const nbUploads = await queue.sweep();
+    if (nbUploads > 0) {
+      logger.info(`${nbUploads} upload(s) of interrupted queued jobs deleted`);
+    }
+  } catch (e) {
+    logger.error(`Failed to initialize the job registry: ${e.message}`);
+    process.exit(1);
+  }
+
+  try {
+    await sushi.init();
+  } catch (e) {
+    logger.error(`Failed to initialize the SUSHI usage: ${e.message}`);
+    process.exit(1);
+  }
+
+  try {
+    await audit.init();
+  } catch (e) {
+    logger.error(`Failed to initialize the audit log: ${e.message}`);
+    process.exit(1);
+  }
+
+  try {
+    await tokens.init();
+  } catch (e) {
+    logger.error(`Failed to initialize the API tokens: ${e.message}`);
+    process.exit(1);
+  }
+
   const nbRobots = await new Promise((resolve, reject) => {
     ecFilter.init((err, nbRobots) => {
       if (err) { reject(err); }
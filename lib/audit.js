@@ -0,0 +1,125 @@
+'use strict';
+
+/**
+ * Audit log of administrative and job actions
+ * Entries are only appended: this module provides no way to change or remove them
+ */
+
+const mongo = require('./mongo.js');
+
+const audit = {};
+
+/**
+ * Columns of the CSV export
+ */
+audit.columns = ['date', 'actor', 'action', 'target', 'ip', 'token', 'params'];
+
+function collection() {
+  return mongo.getCollection('audit');
+}
+
+/**
+ * Create the indexes of the audit collection
+ * @return {Promise}
+ */
+audit.init = function () {
+  const entries = collection();
+
+  return Promise.all([
+    entries.createIndex({ date: -1 }),
+    entries.createIndex({ actor: 1, date: -1 }),
+    entries.createIndex({ action: 1, date: -1 })
+  ]);
+};
+
+/**
+ * Record an action
+ * Failing to record an entry never prevents the action itself
+ * @param  {Object} req     the request of the action, gives the actor and its IP
+ * @param  {String} action  name of the action, like user.delete
+ * @param  {String} target  what the action applies to (username, job ID...)
+ * @param  {Object} params  relevant parameters of the action
+ * @return {Promise} resolved when the entry is written
+ */
+audit.log = function (req, action, target, params) {
+  const entries = collection();
+  if (!entries) { return Promise.resolve(); }
+
+  const entry = {
+    date: new Date(),
+    actor: req.user ? req.user.username : null,
+    action: action,
+    target: target || null,
+    ip: req.ip || null,
+    params: params || {}
+  };
+
+  // Actions made with an API token are bound to it
+  if (req.token) { entry.token = req.token.id; }
+
+  return entries.insertOne(entry).then(() => {}, () => {});
+};
+
+/**
+ * Build a MongoDB query from filters
+ * @param  {Object} filters  actor, action, target, from, to
+ * @return {Object} the query, or null if a date is invalid
+ */
+audit.query = function (filters) {
+  const query = {};
+
+  ['actor', 'action', 'target'].forEach(field => {
+    if (filters[field]) { query[field] = String(filters[field]); }
+  });
+
+  // An action ending with a dot matches all actions of a category, like "user."
+  if (query.action && query.action.endsWith('.')) {
+    const prefix = query.action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    query.action = new RegExp(`^${prefix}`);
+  }
+
+  const range = {};
+
+  if (filters.from) { range.$gte = new Date(filters.from); }
+  if (filters.to)   { range.$lte = new Date(filters.to); }
+
+  if (Object.keys(range).some(op => isNaN(range[op].getTime()))) { return null; }
+  if (Object.keys(range).length > 0) { query.date = range; }
+
+  return query;
+};
+
+/**
+ * Get a page of entries, most recent first
+ * @param  {Object}  query
+ * @param  {Integer} page   starting from 1
+ * @param  {Integer} limit  number of entries per page
+ * @return {Promise} resolved with { total, entries }
+ */
+audit.find = function (query, page, limit) {
+  const entries = collection();
+  if (!entries) { return Promise.resolve({ total: 0, entries: [] }); }
+
+  return Promise.all([
+    entries.countDocuments(query),
+    entries.find(query, { projection: { _id: 0 } })
+      .sort({ date: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray()
+  ]).then(([total, list]) => ({ total: total, entries: list }));
+};
+
+/**
+ * Get a stream of all entries matching a query, most recent first
+ * @param  {Object} query
+ * @return {Stream} a readable stream of entries, or null if the database is not available
+ */
+audit.stream = function (query) {
+  const entries = collection();
+  if (!entries) { return null; }
+
+  return entries.find(query, { projection: { _id: 0 } }).sort({ date: -1 }).stream();
+};
+
+module.exports = audit;
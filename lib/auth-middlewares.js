@@ -6,6 +6,100 @@
 
 var passport = require('passport');
 var userlist = require('./userlist.js');
+var jobs     = require('./jobs.js');
+var tokens   = require('./tokens.js');
+
+/**
+ * Get the bearer token of a request
+ * @param  {Object} req
+ * @return {String} the token, or null if there's none
+ */
+function getBearerToken(req) {
+  var match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match && match[1];
+}
+
+/**
+ * Authenticate a request with its bearer token, or a token given by other means
+ * The token is set in req.token, so that its scopes can be checked
+ * @param  {Object}   req
+ * @param  {String}   [value]              the token, defaults to the bearer token
+ * @param  {Function} callback(err, user)  user is false if the token is invalid
+ */
+function authenticateToken(req, value, callback) {
+  if (typeof value === 'function') {
+    callback = value;
+    value    = getBearerToken(req);
+  }
+
+  tokens.verify(value).then(function (token) {
+    if (!token) { return callback(null, false); }
+
+    userlist.get(token.username, function (err, user) {
+      if (err) { return callback(err); }
+      if (!user) { return callback(null, false); }
+
+      req.token = token;
+      callback(null, user);
+    });
+  }).catch(callback);
+}
+
+/**
+ * Authenticate a request without session, with a bearer token or a basic auth
+ * @param  {Function} callback(err, user)  user is false if the credentials are invalid
+ */
+function authenticateCredentials(req, res, next, callback) {
+  if (getBearerToken(req)) { return authenticateToken(req, callback); }
+
+  passport.authenticate('basic', { session: false }, callback)(req, res, next);
+}
+
+/**
+ * Check if a request has a bearer token
+ * @param  {Object}  req
+ * @return {Boolean}
+ */
+exports.hasBearerToken = function (req) {
+  return !!getBearerToken(req);
+};
+
+/**
+ * Check if a request is allowed to act within a scope
+ * Only requests authenticated with a token are restricted
+ * @param  {Object}  req
+ * @param  {String}  scope  submit, read or admin
+ * @return {Boolean}
+ */
+exports.hasScope = function (req, scope) {
+  return !req.token || req.token.scopes.indexOf(scope) !== -1;
+};
+
+/**
+ * middleware to restrict the requests authenticated with a token to a scope
+ * @param  {String} scope
+ */
+exports.requireScope = function (scope) {
+  return function (req, res, next) {
+    if (!exports.hasScope(req, scope)) {
+      res.set('ezPAARSE-Status-Message', 'insufficient_scope');
+      return res.status(403).end();
+    }
+    next();
+  };
+};
+
+/**
+ * middleware to refuse the requests authenticated with a token
+ * used for the routes managing credentials
+ */
+exports.rejectTokens = function (req, res, next) {
+  if (req.token) {
+    res.set('ezPAARSE-Status-Message', 'token_not_allowed');
+    return res.status(403).end();
+  }
+  next();
+};
 
 /**
  * middleware to authorize members of one or more groups
@@ -19,36 +113,154 @@ exports.authorizeMembersOf = function (authorizedGroups) {
     if (!req.user || (authorizedGroups.indexOf(req.user.group) === -1)) {
       return res.status(401).end();
     }
+    if (req.user.group === 'admin') {
+      return exports.requireScope('admin')(req, res, next);
+    }
     next();
   };
 };
 
+/**
+ * Check if a user can access a job
+ * Admins access every job, owners access their jobs,
+ * and members of an institution access the jobs of their institution
+ * @param  {Object}  user
+ * @param  {Object}  job   the job or its state, with its owner and institution
+ * @return {Boolean}
+ */
+exports.canAccessJob = function (user, job) {
+  if (!user) { return false; }
+  if (user.group === 'admin' || job.owner === user.username) { return true; }
+
+  return !!job.institution && user.institution === job.institution;
+};
+
+/**
+ * middleware to authorize admins and members of the institution given in the URL
+ * admins authenticated with a token need the admin scope, like in authorizeMembersOf
+ * @param  {String} param  name of the route parameter containing the institution ID
+ */
+exports.authorizeInstitution = function (param) {
+  return function (req, res, next) {
+    if (!req.user) { return res.status(401).end(); }
+
+    if (req.user.group === 'admin') {
+      return exports.requireScope('admin')(req, res, next);
+    }
+    if (req.user.institution !== req.params[param]) {
+      return res.status(403).end();
+    }
+    next();
+  };
+};
+
+/**
+ * middleware to restrict the access to the files of a job owned by an institution
+ * jobs without institution remain accessible to anyone knowing their ID
+ * @param  {Function} getJobID  returns the job ID from the request
+ */
+exports.authorizeJobAccess = function (getJobID) {
+  return function (req, res, next) {
+    jobs.find(getJobID(req)).then(function (state) {
+      if (!state || !state.institution) { return next(); }
+
+      var authorize = function (user) {
+        if (!user) { return res.status(401).end(); }
+        if (!exports.canAccessJob(user, state)) { return res.status(403).end(); }
+        exports.requireScope('read')(req, res, next);
+      };
+
+      if (req.isAuthenticated()) { return authorize(req.user); }
+      if (!req.headers.authorization) { return authorize(null); }
+
+      authenticateCredentials(req, res, next, function (err, user) {
+        if (err) { return next(err); }
+        authorize(user);
+      });
+    }).catch(next);
+  };
+};
+
 /**
  * middleware to ensure a user is authenticated
- * can try a basic auth if it's not the case
+ * can try a bearer token or a basic auth if it's not the case
  */
 exports.ensureAuthenticated = function (tryBasic) {
   return function (req, res, next) {
     if (req.isAuthenticated()) { return next(); }
+    if (!tryBasic) { return res.status(401).end(); }
 
-    if (tryBasic) { passport.authenticate('basic')(req, res, next); }
-    else { res.status(401).end(); }
+    if (!getBearerToken(req)) { return passport.authenticate('basic')(req, res, next); }
+
+    authenticateToken(req, function (err, user) {
+      if (err) { return next(err); }
+      if (!user) { return res.status(401).end(); }
+
+      req.user = user;
+      next();
+    });
+  };
+};
+
+/**
+ * middleware to authenticate a SUSHI requestor
+ * uses the session, a bearer token, a basic auth, or the requestor_id and api_key parameters
+ * of the query, the API key being a token of the requestor
+ * @param  {Function} [reject]  called with (req, res) when the requestor is not authenticated
+ */
+exports.authenticateRequestor = function (reject) {
+  reject = reject || function (req, res) { res.status(401).end(); };
+
+  return function (req, res, next) {
+    if (req.isAuthenticated()) { return next(); }
+
+    var requestorID = req.query.requestor_id;
+
+    if (requestorID) {
+      if (!req.query.api_key) { return reject(req, res); }
+
+      return authenticateToken(req, req.query.api_key, function (err, user) {
+        if (err) { return next(err); }
+        if (!user || user.requestorID !== requestorID) { return reject(req, res); }
+
+        req.user = user;
+        exports.requireScope('read')(req, res, next);
+      });
+    }
+
+    if (!req.headers.authorization) { return reject(req, res); }
+
+    authenticateCredentials(req, res, next, function (err, user) {
+      if (err) { return next(err); }
+      if (!user) { return reject(req, res); }
+
+      req.user = user;
+      exports.requireScope('read')(req, res, next);
+    });
   };
 };
 
 /**
  * middleware used by passport for basic/local authentication
+ * passwords hashed with a legacy or outdated scheme are upgraded on success
  */
 exports.login = function (userid, password, done) {
   userlist.get(userid, function (err, user) {
     if (err) { return done(err); }
+    if (!user) { return done(null, false); }
 
-    var cryptedPassword = userlist.crypt(userid, password);
+    userlist.verify(user, password, function (err, valid, outdated) {
+      if (err) { return done(err); }
+      if (!valid) { return done(null, false); }
+      if (!outdated) { return done(null, user); }
 
-    if (!user || user.password !== cryptedPassword) {
-      return done(null, false);
-    }
+      userlist.hash(password, function (err, hash) {
+        if (err) { return done(null, user); }
 
-    done(null, user);
+        userlist.set(user.username, 'password', hash, function (err, updatedUser) {
+          done(null, (!err && updatedUser) || user);
+        });
+      });
+    });
   });
 };
\ No newline at end of file
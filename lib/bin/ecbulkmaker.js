@@ -20,14 +20,16 @@ exports.EcBulkMaker = function () {
     .usage('Inject files to ezPAARSE (for batch purpose)' +
       '\n  Usage: $0 [-rflvH] SOURCE_DIR [RESULT_DIR]')
     .boolean(['v', 'f', 'r', 'l'])
-    .string(['header', 'proxy'])
+    .string(['header', 'proxy', 'token'])
     .alias('list', 'l')
     .alias('recursive', 'r') //TODO: add report
     .alias('force', 'f')
     .alias('uri', 'u')
     .alias('header', 'H')
     .alias('proxy', 'p')
+    .alias('token', 't')
     .alias('verbose', 'v')
+    .default('token', process.env.EZPAARSE_TOKEN)
     .describe('recursive', 'If provided, files in subdirectories will be processed. '
                          + '(preserves the file tree)')
     .describe('list', 'If provided, only list files.')
@@ -35,6 +37,7 @@ exports.EcBulkMaker = function () {
     .describe('uri', 'the ezPAARSE instance to use.')
     .describe('header', 'header parameter to use.')
     .describe('proxy', 'a proxy to use (no value or empty string to use no proxy).')
+    .describe('token', 'an API token to authenticate with (default: EZPAARSE_TOKEN).')
     .describe('verbose', 'Shows detailed operations.');
   var argv = yargs.argv;
 
@@ -179,6 +182,7 @@ exports.EcBulkMaker = function () {
 
             var options = {
               uri: argv.uri,
+              token: argv.token,
               headers: headers
             };
 
@@ -12,16 +12,19 @@ exports.EcMaker = function () {
     .usage('Inject a file to ezPAARSE (for batch purpose)' +
       '\n  Usage: $0 [-fhiovH] LOG_FILE RESULT_FILE')
     .boolean(['v', 'f'])
-    .string('header')
+    .string(['header', 'token'])
     .alias('verbose', 'v')
     .alias('force', 'f')
     .alias('uri', 'u')
     .alias('header', 'H')
     .alias('proxy', 'p')
+    .alias('token', 't')
+    .default('token', process.env.EZPAARSE_TOKEN)
     .describe('force', 'override existing result (default false).')
     .describe('uri', 'the ezPAARSE instance to use.')
     .describe('header', 'header parameter to use.')
     .describe('proxy', 'a proxy to use.')
+    .describe('token', 'an API token to authenticate with (default: EZPAARSE_TOKEN).')
     .describe('verbose', 'Shows detailed operations.');
   var argv = yargs.argv;
 
@@ -59,6 +62,7 @@ exports.EcMaker = function () {
 
   var options = {
     uri: argv.uri,
+    token: argv.token,
     headers: headers
   };
 
@@ -6,17 +6,18 @@
  */
 function CounterReporter() {
   this.reporters = {};
+  this.formats   = {};
 }
 module.exports = CounterReporter;
 
 /**
  * Add a counter reporter
- * @param {String} type jr1, br2...
+ * @param {String} type jr1, tr_j1...
  * @return {Boolean} false if the reporter couldn't be added
  */
 CounterReporter.prototype.add = function (type) {
   type = (type || '').toLowerCase();
-  if (this.reporters[type]) { return false; }
+  if (this.reporters[type] || !/^[a-z0-9_]+$/.test(type)) { return false; }
 
   try {
     var Reporter = require('./counter-reporters/' + type + '.js');
@@ -27,6 +28,31 @@ CounterReporter.prototype.add = function (type) {
   return true;
 };
 
+/**
+ * Get a counter reporter
+ * @param  {String} type jr1, tr_j1...
+ * @return {Object} the reporter, or undefined if it was not added
+ */
+CounterReporter.prototype.get = function (type) {
+  return this.reporters[type];
+};
+
+/**
+ * Set the format of a report
+ * @param  {String} type   jr1, tr_j1...
+ * @param  {String} format xml, json or tsv, the default format of the report if not set
+ * @return {String} the format of the report, or null if the reporter doesn't support it
+ */
+CounterReporter.prototype.setFormat = function (type, format) {
+  var formats = this.reporters[type].formats;
+
+  format = format || formats[0];
+  if (formats.indexOf(format) === -1) { return null; }
+
+  this.formats[type] = format;
+  return format;
+};
+
 /**
  * Count an EC for each reporter
  * @param  {Object} ec consultation event
@@ -47,13 +73,19 @@ CounterReporter.prototype.set = function (key, value) {
 };
 
 /**
- * Get reports of all counter reporters
- * @return {Object} type -> report
+ * Get reports of the counter reporters which format has been set
+ * Other reporters are only used to aggregate usage
+ * @return {Object} type -> { format, content }
  */
-CounterReporter.prototype.getReports = function (format) {
+CounterReporter.prototype.getReports = function () {
   var reports = {};
-  for (var type in this.reporters) {
-    reports[type] = this.reporters[type].generateReport(format);
+  for (var type in this.formats) {
+    var format = this.formats[type];
+
+    reports[type] = {
+      format: format,
+      content: this.reporters[type].generateReport(format)
+    };
   }
   return reports;
 };
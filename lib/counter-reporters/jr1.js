@@ -34,6 +34,8 @@ function JR1Reporter(customer, vendor) {
 }
 module.exports = JR1Reporter;
 
+JR1Reporter.prototype.formats = ['xml', 'tsv'];
+
 /**
  * Count a new EC
  * @param {Object} ec consultation event
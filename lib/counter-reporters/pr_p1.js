@@ -0,0 +1,26 @@
+'use strict';
+
+var util       = require('util');
+var R5Reporter = require('./r5/reporter.js');
+
+/**
+ * Create a PR_P1 reporter: Platform Usage
+ */
+function PRP1Reporter(customer, vendor) {
+  R5Reporter.call(this, customer, vendor, {
+    id: 'PR_P1',
+    name: 'Platform Usage',
+    scope: 'platform',
+    metrics: [
+      'Searches_Platform',
+      'Total_Item_Requests',
+      'Unique_Item_Requests',
+      'Unique_Title_Requests'
+    ],
+    filters: {
+      'Access_Method': 'Regular'
+    }
+  });
+}
+util.inherits(PRP1Reporter, R5Reporter);
+module.exports = PRP1Reporter;
@@ -0,0 +1,630 @@
+'use strict';
+
+var moment = require('moment');
+
+/**
+ * Base of the COUNTER Release 5 reporters
+ * Each reporter gives a definition of its report:
+ *   - id:         report ID (ex: TR_J1)
+ *   - name:       report name
+ *   - scope:      'title' (one item per title) or 'platform' (one item per platform)
+ *   - dataType:   data type of the titles counted (Journal or Book)
+ *   - metrics:    metric types of the report
+ *   - filters:    report filters, as written in the report header
+ *   - attributes: additional columns of the items (Access_Type, YOP)
+ */
+
+// Resource types of full content items, counted as requests
+var requestTypes = ['ARTICLE', 'BOOK', 'BOOK_SECTION', 'BOOK_CHAPTER', 'ENCYCLOPAEDIA_ENTRY'];
+
+// Resource types used to find the data type of a title
+var dataTypes = {
+  'ARTICLE': 'Journal',
+  'JOURNAL': 'Journal',
+  'ISSUE': 'Journal',
+  'BOOK': 'Book',
+  'BOOKSERIE': 'Book',
+  'BOOK_SECTION': 'Book',
+  'BOOK_CHAPTER': 'Book'
+};
+
+// Event counted by each metric type, and what makes it unique within a session
+var metricTypes = {
+  'Searches_Platform':           { event: 'search' },
+  'Total_Item_Investigations':   { event: 'investigation' },
+  'Unique_Item_Investigations':  { event: 'investigation', unique: 'item' },
+  'Unique_Title_Investigations': { event: 'investigation', unique: 'title' },
+  'Total_Item_Requests':         { event: 'request' },
+  'Unique_Item_Requests':        { event: 'request', unique: 'item' },
+  'Unique_Title_Requests':       { event: 'request', unique: 'title' }
+};
+
+var identifiers = [
+  'print_identifier',
+  'online_identifier',
+  'doi',
+  'title_id',
+  'publication_title'
+];
+
+// Identifiers giving the identity of a title (ISSN or ISBN, then proprietary ID)
+var titleIdentifiers = ['print_identifier', 'online_identifier', 'title_id'];
+
+// Fields describing an item, saved with its aggregated metrics
+var itemFields = identifiers.concat(['platform', 'platformID', 'publisher', 'yop']);
+
+// Number of one-hour sessions slices kept to find unique items and titles
+var maxSessionSlices = 2;
+
+function R5Reporter(customer, vendor, definition) {
+  this.customer   = customer;
+  this.vendor     = vendor;
+  this.definition = definition;
+  this.items      = [];
+  this.references = {};
+  this.sessions   = new Map();
+  this.aggregated = new Map();
+  this.itemID     = 1;
+
+  var self = this;
+  identifiers.concat(['platform']).forEach(function (identifier) {
+    self.references[identifier] = {};
+  });
+}
+module.exports = R5Reporter;
+
+R5Reporter.prototype.formats = ['json', 'tsv'];
+
+/**
+ * Get the data type of the title of an EC
+ * @param  {Object} ec consultation event
+ * @return {String} Journal, Book, or undefined if it can't be guessed
+ */
+R5Reporter.prototype.getDataType = function (ec) {
+  if (dataTypes[ec.rtype]) { return dataTypes[ec.rtype]; }
+
+  var identifier = ec.print_identifier || ec.online_identifier || '';
+
+  if (/^\d{4}-\d{3}[\dxX]$/.test(identifier))       { return 'Journal'; }
+  if (/^(97[89])?[\d-]{9,13}[\dxX]$/.test(identifier)) { return 'Book'; }
+};
+
+/**
+ * Get the events of an EC
+ * @param  {Object} ec consultation event
+ * @return {Object} search, investigation and request flags
+ */
+R5Reporter.prototype.getEvents = function (ec) {
+  var rtype = (ec.rtype || '').toUpperCase();
+
+  if (rtype === 'SEARCH') { return { search: true }; }
+
+  return {
+    investigation: true,
+    request: requestTypes.indexOf(rtype) !== -1
+  };
+};
+
+/**
+ * Count a new EC
+ * @param {Object} ec consultation event
+ */
+R5Reporter.prototype.count = function (ec) {
+  if (!ec.timestamp) { return; }
+
+  if (!this.startDate || ec.timestamp < this.startDate) { this.startDate = ec.timestamp; }
+  if (!this.endDate   || ec.timestamp > this.endDate)   { this.endDate   = ec.timestamp; }
+
+  var definition = this.definition;
+  var events     = this.getEvents(ec);
+  var metrics    = definition.metrics.filter(function (metric) {
+    return events[metricTypes[metric].event];
+  });
+
+  if (!metrics.length) { return; }
+
+  var item;
+
+  if (definition.scope === 'platform') {
+    if (!ec.platform) { return; }
+    item = this.getPlatformItem(ec);
+  } else {
+    if (this.getDataType(ec) !== definition.dataType) { return; }
+    item = this.getTitleItem(ec);
+  }
+
+  if (!item) { return; }
+
+  var date    = moment.unix(ec.timestamp);
+  var month   = date.format('YYYY-MM');
+  var session = this.getSession(ec, date);
+
+  if (!item.metrics[month]) { item.metrics[month] = {}; }
+  var counts = item.metrics[month];
+
+  var title = this.getTitleKey(ec);
+
+  metrics.forEach(function (metric) {
+    var unique = metricTypes[metric].unique;
+
+    if (unique) {
+      // Unique titles are only counted for ECs that identify their title
+      if (unique === 'title' && !title) { return; }
+
+      var target = unique === 'item' ? (ec.unitid || ec.doi || title || item.id) : title;
+      var key    = [metric, item.id, target].join('|');
+
+      if (session.has(key)) { return; }
+      session.add(key);
+    }
+
+    counts[metric] = (counts[metric] || 0) + 1;
+  });
+};
+
+/**
+ * Get the identity of the title of an EC, whatever the scope of the report
+ * @param  {Object} ec consultation event
+ * @return {String} undefined if the EC doesn't identify its title
+ */
+R5Reporter.prototype.getTitleKey = function (ec) {
+  for (var i = 0; i < titleIdentifiers.length; i++) {
+    var identifier = titleIdentifiers[i];
+    if (ec[identifier]) { return identifier + ':' + ec[identifier]; }
+  }
+};
+
+/**
+ * Get the set of items and titles already seen in the session of an EC
+ * Sessions are identified by the session ID or the user, and split into one-hour slices
+ * @param  {Object} ec   consultation event
+ * @param  {Object} date moment date of the EC
+ * @return {Set}
+ */
+R5Reporter.prototype.getSession = function (ec, date) {
+  var slice = date.format('YYYY-MM-DD HH');
+  var user  = ec.session_id || [ec.login, ec.host, ec['user-agent']].join('|');
+  var seen  = this.sessions.get(slice);
+
+  if (!seen) {
+    seen = new Set();
+    this.sessions.set(slice, seen);
+
+    // Logs are mostly sorted by date, old slices won't be used again
+    if (this.sessions.size > maxSessionSlices) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+  }
+
+  // Add the user to the keys, so that a single set is needed per slice
+  return {
+    has: function (key) { return seen.has(user + '|' + key); },
+    add: function (key) { seen.add(user + '|' + key); }
+  };
+};
+
+/**
+ * Get the item of the platform of an EC, creating it if needed
+ * @param  {Object} ec consultation event
+ * @return {Object}
+ */
+R5Reporter.prototype.getPlatformItem = function (ec) {
+  var item = this.references.platform[ec.platform];
+
+  if (!item) {
+    item = {
+      id: this.itemID++,
+      platform: ec.platform_name || ec.platform,
+      metrics: {}
+    };
+    this.references.platform[ec.platform] = item;
+    this.items.push(item);
+  }
+
+  return item;
+};
+
+/**
+ * Get the item of the title of an EC, creating it if needed
+ * Titles are found with their identifiers, and merged if an EC links two of them
+ * @param  {Object} ec consultation event
+ * @return {Object}
+ */
+R5Reporter.prototype.getTitleItem = function (ec) {
+  var self     = this;
+  var platform = ec.platform_name || ec.platform;
+  var item;
+
+  var ecIdentifiers = {};
+  identifiers.forEach(function (identifier) {
+    if (ec[identifier]) { ecIdentifiers[identifier] = ec[identifier]; }
+  });
+
+  if (!Object.keys(ecIdentifiers).length) { return null; }
+
+  for (var identifier in ecIdentifiers) {
+    var other = this.references[identifier][ecIdentifiers[identifier]];
+
+    if (!other || other === item || other.platform !== platform) { continue; }
+
+    if (item) {
+      this.mergeItems(item, other);
+    } else {
+      item = other;
+    }
+  }
+
+  if (!item) {
+    item = {
+      id: this.itemID++,
+      platform: platform,
+      platformID: ec.platform,
+      publisher: ec.publisher_name,
+      metrics: {}
+    };
+    this.items.push(item);
+  }
+
+  if (!item.yop && /^\d{4}/.test(ec.publication_date)) {
+    item.yop = ec.publication_date.substr(0, 4);
+  }
+
+  for (identifier in ecIdentifiers) {
+    if (!item[identifier]) {
+      item[identifier] = ecIdentifiers[identifier];
+      self.references[identifier][item[identifier]] = item;
+    }
+  }
+
+  return item;
+};
+
+/**
+ * Merge the identifiers and metrics of an item into another one, then remove it
+ * @param {Object} item  the item to keep
+ * @param {Object} other the item to remove
+ */
+R5Reporter.prototype.mergeItems = function (item, other) {
+  var self = this;
+
+  identifiers.forEach(function (identifier) {
+    if (other[identifier] && !item[identifier]) {
+      item[identifier] = other[identifier];
+    }
+
+    // Redirect all references to the remaining item
+    if (other[identifier]) {
+      self.references[identifier][other[identifier]] = item;
+    }
+  });
+
+  for (var month in other.metrics) {
+    var counts = item.metrics[month] = item.metrics[month] || {};
+
+    for (var metric in other.metrics[month]) {
+      counts[metric] = (counts[metric] || 0) + other.metrics[month][metric];
+    }
+  }
+
+  this.items.splice(this.items.indexOf(other), 1);
+};
+
+/**
+ * Get a key that identifies an item across jobs
+ * @param  {Object} item
+ * @return {String}
+ */
+R5Reporter.prototype.getItemKey = function (item) {
+  if (this.definition.scope === 'platform') { return item.platform; }
+
+  var identifier = item.online_identifier || item.print_identifier ||
+                   item.doi || item.title_id || item.publication_title;
+
+  return item.platformID + '|' + identifier;
+};
+
+/**
+ * Get the metrics of each item by month, so that they can be saved and summed up later
+ * @return {Array} list of { key, month, item, metrics }
+ */
+R5Reporter.prototype.getAggregates = function () {
+  var self       = this;
+  var aggregates = [];
+
+  this.items.forEach(function (item) {
+    var key         = self.getItemKey(item);
+    var description = {};
+
+    itemFields.forEach(function (field) {
+      if (item[field]) { description[field] = item[field]; }
+    });
+
+    for (var month in item.metrics) {
+      aggregates.push({
+        key: key,
+        month: month,
+        item: description,
+        metrics: item.metrics[month]
+      });
+    }
+  });
+
+  return aggregates;
+};
+
+/**
+ * Add metrics obtained with getAggregates() to the report
+ * Metrics of the same item and month are summed up
+ * @param {Object} aggregate { key, month, item, metrics }
+ */
+R5Reporter.prototype.addAggregate = function (aggregate) {
+  var item = this.aggregated.get(aggregate.key);
+
+  if (!item) {
+    item = Object.assign({ id: this.itemID++, metrics: {} }, aggregate.item);
+    this.aggregated.set(aggregate.key, item);
+    this.items.push(item);
+  }
+
+  var counts = item.metrics[aggregate.month] = item.metrics[aggregate.month] || {};
+
+  for (var metric in aggregate.metrics) {
+    counts[metric] = (counts[metric] || 0) + aggregate.metrics[metric];
+  }
+};
+
+/**
+ * Get the identifiers of an item, with their COUNTER type
+ * @param  {Object} item
+ * @return {Object} type -> value
+ */
+R5Reporter.prototype.getItemIDs = function (item) {
+  var ids = {};
+
+  if (this.definition.dataType === 'Book') {
+    if (item.online_identifier || item.print_identifier) {
+      ids['ISBN'] = item.online_identifier || item.print_identifier;
+    }
+  } else {
+    if (item.print_identifier)  { ids['Print_ISSN']  = item.print_identifier; }
+    if (item.online_identifier) { ids['Online_ISSN'] = item.online_identifier; }
+  }
+
+  if (item.doi)      { ids['DOI']         = item.doi; }
+  if (item.title_id) { ids['Proprietary'] = item.platformID + ':' + item.title_id; }
+
+  return ids;
+};
+
+/**
+ * Get the months covered by the report
+ * @return {Array} list of [begin, end] dates
+ */
+R5Reporter.prototype.getPeriods = function () {
+  var currentDate = moment.unix(this.startDate).startOf('month');
+  var lastDate    = moment.unix(this.endDate).endOf('month');
+  var periods     = [];
+
+  while (currentDate.isBefore(lastDate)) {
+    periods.push([
+      currentDate.format('YYYY-MM-DD'),
+      currentDate.clone().endOf('month').format('YYYY-MM-DD')
+    ]);
+    currentDate.add(1, 'months');
+  }
+
+  return periods;
+};
+
+/**
+ * Get the report filters, including the usage dates
+ * @param  {Array} periods per-month periods
+ * @return {Array} list of { Name, Value }
+ */
+R5Reporter.prototype.getFilters = function (periods) {
+  var filters = this.definition.filters || {};
+  var list    = Object.keys(filters).map(function (name) {
+    return { Name: name, Value: filters[name] };
+  });
+
+  return list.concat([
+    { Name: 'Begin_Date', Value: periods[0][0] },
+    { Name: 'End_Date', Value: periods[periods.length - 1][1] }
+  ]);
+};
+
+/**
+ * Get the value of an attribute of an item
+ * @param  {Object} item
+ * @param  {String} attribute  Access_Type or YOP
+ * @return {String}
+ */
+R5Reporter.prototype.getAttribute = function (item, attribute) {
+  switch (attribute) {
+  case 'Access_Type':
+    // ezPAARSE can't tell Gold Open Access items apart
+    return 'Controlled';
+  case 'YOP':
+    return item.yop || '0001';
+  default:
+    return '';
+  }
+};
+
+/**
+ * Create the report
+ * @param  {String} format json or tsv
+ * @return {String} the report
+ */
+R5Reporter.prototype.generateReport = function (format) {
+  if (!this.startDate || !this.endDate) { return ''; }
+
+  var periods = this.getPeriods();
+
+  switch (format) {
+  case 'json':
+    return JSON.stringify(this.generateJSON(periods), null, 2);
+  case 'tsv':
+    return this.generateTSV(periods);
+  default:
+    return '';
+  }
+};
+
+/**
+ * Generate a JSON version of the report, as sent by a COUNTER_SUSHI API
+ * @param  {Array} periods per-month periods
+ * @return {Object}
+ */
+R5Reporter.prototype.generateJSON = function (periods) {
+  var self       = this;
+  var definition = this.definition;
+
+  var header = {
+    'Created': moment().format(),
+    'Created_By': 'ezPAARSE',
+    'Customer_ID': self.customer ? self.customer.id || '' : '',
+    'Report_ID': definition.id,
+    'Release': '5',
+    'Report_Name': definition.name,
+    'Institution_Name': self.customer ? self.customer.name || '' : '',
+    'Report_Filters': this.getFilters(periods)
+  };
+
+  if (definition.attributes) {
+    header['Report_Attributes'] = [{
+      Name: 'Attributes_To_Show',
+      Value: definition.attributes.join('|')
+    }];
+  }
+
+  var items = this.items.map(function (item) {
+    var reportItem = {};
+
+    if (definition.scope !== 'platform') {
+      var ids = self.getItemIDs(item);
+
+      reportItem['Title']     = item.publication_title || '';
+      reportItem['Item_ID']   = Object.keys(ids).map(function (type) {
+        return { Type: type, Value: ids[type] };
+      });
+      reportItem['Publisher'] = item.publisher || '';
+    }
+
+    reportItem['Platform'] = item.platform;
+
+    (definition.attributes || []).forEach(function (attribute) {
+      reportItem[attribute] = self.getAttribute(item, attribute);
+    });
+
+    reportItem['Performance'] = periods.map(function (period) {
+      var counts = item.metrics[moment(period[0]).format('YYYY-MM')] || {};
+
+      return {
+        'Period': { 'Begin_Date': period[0], 'End_Date': period[1] },
+        'Instance': definition.metrics
+          .filter(function (metric) { return counts[metric]; })
+          .map(function (metric) { return { 'Metric_Type': metric, 'Count': counts[metric] }; })
+      };
+    }).filter(function (performance) {
+      return performance.Instance.length > 0;
+    });
+
+    return reportItem;
+  });
+
+  return { 'Report_Header': header, 'Report_Items': items };
+};
+
+/**
+ * Generate a tabular (TSV) version of the report
+ * @param  {Array} periods per-month periods
+ * @return {String}
+ */
+R5Reporter.prototype.generateTSV = function (periods) {
+  var self       = this;
+  var definition = this.definition;
+  var attributes = definition.attributes || [];
+  var isBook     = definition.dataType === 'Book';
+
+  var escapeMember = function (member) {
+    member = (member === undefined || member === null) ? '' : member.toString();
+    if (/[\t"\n]/.test(member)) {
+      return '"' + member.replace(/"/g, '""').replace(/\n/g, ' ') + '"';
+    }
+    return member;
+  };
+
+  var filters = this.getFilters(periods);
+  var header  = [
+    ['Report_Name', definition.name],
+    ['Report_ID', definition.id],
+    ['Release', '5'],
+    ['Institution_Name', self.customer ? self.customer.name : ''],
+    ['Institution_ID', ''],
+    ['Metric_Types', definition.metrics.join('; ')],
+    ['Report_Filters', filters.slice(0, -2).map(function (filter) {
+      return filter.Name + '=' + filter.Value;
+    }).join('; ')],
+    ['Report_Attributes', attributes.length ? 'Attributes_To_Show=' + attributes.join('|') : ''],
+    ['Exceptions', ''],
+    ['Reporting_Period', filters.slice(-2).map(function (filter) {
+      return filter.Name + '=' + filter.Value;
+    }).join('; ')],
+    ['Created', moment().format()],
+    ['Created_By', 'ezPAARSE'],
+    []
+  ];
+
+  var columns = [];
+
+  if (definition.scope !== 'platform') {
+    columns = ['Title', 'Publisher', 'Publisher_ID', 'Platform', 'DOI', 'Proprietary_ID'];
+    if (isBook) { columns.push('ISBN'); }
+    columns.push('Print_ISSN', 'Online_ISSN', 'URI');
+  } else {
+    columns = ['Platform'];
+  }
+
+  columns = columns.concat(attributes, ['Metric_Type', 'Reporting_Period_Total']);
+  periods.forEach(function (period) {
+    columns.push(moment(period[0], 'YYYY-MM-DD').format('MMM-YYYY'));
+  });
+
+  var rows = [];
+
+  this.items.forEach(function (item) {
+    var cells = [];
+
+    if (definition.scope !== 'platform') {
+      var ids = self.getItemIDs(item);
+
+      cells.push(item.publication_title, item.publisher, '', item.platform);
+      cells.push(ids['DOI'], ids['Proprietary']);
+      if (isBook) { cells.push(ids['ISBN']); }
+      cells.push(ids['Print_ISSN'], ids['Online_ISSN'], '');
+    } else {
+      cells.push(item.platform);
+    }
+
+    attributes.forEach(function (attribute) {
+      cells.push(self.getAttribute(item, attribute));
+    });
+
+    definition.metrics.forEach(function (metric) {
+      var counts = periods.map(function (period) {
+        var monthCounts = item.metrics[moment(period[0]).format('YYYY-MM')] || {};
+        return monthCounts[metric] || 0;
+      });
+      var total = counts.reduce(function (sum, count) { return sum + count; }, 0);
+
+      if (total > 0) {
+        rows.push(cells.concat([metric, total], counts));
+      }
+    });
+  });
+
+  return header.concat([columns], rows).map(function (row) {
+    return row.map(escapeMember).join('\t');
+  }).join('\n') + '\n';
+};
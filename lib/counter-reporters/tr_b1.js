@@ -0,0 +1,25 @@
+'use strict';
+
+var util       = require('util');
+var R5Reporter = require('./r5/reporter.js');
+
+/**
+ * Create a TR_B1 reporter: Book Requests (Excluding OA_Gold)
+ */
+function TRB1Reporter(customer, vendor) {
+  R5Reporter.call(this, customer, vendor, {
+    id: 'TR_B1',
+    name: 'Book Requests (Excluding OA_Gold)',
+    scope: 'title',
+    dataType: 'Book',
+    metrics: ['Total_Item_Requests', 'Unique_Title_Requests'],
+    filters: {
+      'Data_Type': 'Book',
+      'Access_Type': 'Controlled',
+      'Access_Method': 'Regular'
+    },
+    attributes: ['YOP']
+  });
+}
+util.inherits(TRB1Reporter, R5Reporter);
+module.exports = TRB1Reporter;
@@ -0,0 +1,24 @@
+'use strict';
+
+var util       = require('util');
+var R5Reporter = require('./r5/reporter.js');
+
+/**
+ * Create a TR_J1 reporter: Journal Requests (Excluding OA_Gold)
+ */
+function TRJ1Reporter(customer, vendor) {
+  R5Reporter.call(this, customer, vendor, {
+    id: 'TR_J1',
+    name: 'Journal Requests (Excluding OA_Gold)',
+    scope: 'title',
+    dataType: 'Journal',
+    metrics: ['Total_Item_Requests', 'Unique_Item_Requests'],
+    filters: {
+      'Data_Type': 'Journal',
+      'Access_Type': 'Controlled',
+      'Access_Method': 'Regular'
+    }
+  });
+}
+util.inherits(TRJ1Reporter, R5Reporter);
+module.exports = TRJ1Reporter;
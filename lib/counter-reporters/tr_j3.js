@@ -0,0 +1,29 @@
+'use strict';
+
+var util       = require('util');
+var R5Reporter = require('./r5/reporter.js');
+
+/**
+ * Create a TR_J3 reporter: Journal Usage by Access Type
+ */
+function TRJ3Reporter(customer, vendor) {
+  R5Reporter.call(this, customer, vendor, {
+    id: 'TR_J3',
+    name: 'Journal Usage by Access Type',
+    scope: 'title',
+    dataType: 'Journal',
+    metrics: [
+      'Total_Item_Investigations',
+      'Total_Item_Requests',
+      'Unique_Item_Investigations',
+      'Unique_Item_Requests'
+    ],
+    filters: {
+      'Data_Type': 'Journal',
+      'Access_Method': 'Regular'
+    },
+    attributes: ['Access_Type']
+  });
+}
+util.inherits(TRJ3Reporter, R5Reporter);
+module.exports = TRJ3Reporter;
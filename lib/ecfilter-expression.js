@@ -0,0 +1,335 @@
+'use strict';
+
+/**
+ * Compiles EC filter expressions, used by the EC-Filter header
+ *
+ * Examples:
+ *   platform = sd and rtype != TOC
+ *   platform in (sd, wiley) or not (title_id ~ /^J/i)
+ *   date between 2019-01 and 2019-03
+ *
+ * Comparisons:
+ *   field = value, field != value
+ *   field ~ /regex/flags, field !~ /regex/flags
+ *   field in (a, b), field not in (a, b)
+ *   field < value, <=, >, >= and field between a and b (inclusive)
+ *
+ * Values compared with dates (YYYY, YYYY-MM, YYYY-MM-DD...) apply to the same part of the field,
+ * so that "date <= 2019-03" includes the whole month of March. Numbers are compared as numbers,
+ * including 4-digit ones when the field value is a number too.
+ */
+
+var datePattern   = /^\d{4}(-\d{2}(-\d{2}([T ]\d{2}(:\d{2}(:\d{2})?)?)?)?)?$/;
+var numberPattern = /^-?\d+(\.\d+)?$/;
+var operators     = ['!=', '!~', '<=', '>=', '=', '~', '<', '>'];
+var keywords      = ['and', 'or', 'not', 'in', 'between'];
+
+/**
+ * Split an expression into tokens
+ * @param  {String} str
+ * @return {Array} list of { type, value }, type being op, word, string, regex or punctuation
+ */
+function tokenize(str) {
+  var tokens = [];
+  var i      = 0;
+
+  function previous() { return tokens[tokens.length - 1]; }
+
+  while (i < str.length) {
+    var char = str.charAt(i);
+
+    if (/\s/.test(char)) { i++; continue; }
+
+    if (char === '(' || char === ')' || char === ',') {
+      tokens.push({ type: char });
+      i++;
+      continue;
+    }
+
+    var op = operators.find(function (operator) { return str.startsWith(operator, i); });
+    if (op) {
+      tokens.push({ type: 'op', value: op });
+      i += op.length;
+      continue;
+    }
+
+    // regular expressions are only expected after a match operator
+    var prev = previous();
+    var end;
+
+    if (char === '/' && prev && prev.type === 'op' && (prev.value === '~' || prev.value === '!~')) {
+      end = i + 1;
+      while (end < str.length && str.charAt(end) !== '/') {
+        if (str.charAt(end) === '\\') { end++; }
+        end++;
+      }
+      if (end >= str.length) { throw new Error('unclosed regular expression'); }
+
+      var flags = /^[gimsuy]*/.exec(str.substr(end + 1))[0];
+      tokens.push({ type: 'regex', value: str.substring(i + 1, end), flags: flags });
+      i = end + 1 + flags.length;
+      continue;
+    }
+
+    if (char === '"' || char === '\'') {
+      var value = '';
+      end = i + 1;
+
+      while (end < str.length && str.charAt(end) !== char) {
+        if (str.charAt(end) === '\\') { end++; }
+        value += str.charAt(end);
+        end++;
+      }
+      if (end >= str.length) { throw new Error('unclosed quote'); }
+
+      tokens.push({ type: 'string', value: value });
+      i = end + 1;
+      continue;
+    }
+
+    var word = /^[^\s(),=!~<>"']+/.exec(str.substr(i));
+    if (!word) { throw new Error(`unexpected character: ${char}`); }
+
+    tokens.push({ type: 'word', value: word[0] });
+    i += word[0].length;
+  }
+
+  return tokens;
+}
+
+/**
+ * Get the string value of a field
+ * @param  {Object} ec
+ * @param  {String} field
+ * @return {String}
+ */
+function getValue(ec, field) {
+  var value = ec[field];
+  return (value === undefined || value === null) ? '' : value.toString();
+}
+
+/**
+ * Compare a field value with a reference
+ * @param  {String} value
+ * @param  {String} reference
+ * @return {Integer} negative, zero or positive, or NaN if they can't be compared
+ */
+function compare(value, reference) {
+  if (value === '') { return NaN; }
+
+  // years like 2019 are also numbers, compared as such when the value is a number too
+  if (numberPattern.test(reference) && numberPattern.test(value)) {
+    return parseFloat(value) - parseFloat(reference);
+  }
+
+  if (datePattern.test(reference)) {
+    value = value.substr(0, reference.length).replace('T', ' ');
+    reference = reference.replace('T', ' ');
+  } else if (numberPattern.test(reference)) {
+    return NaN;
+  }
+
+  if (value < reference) { return -1; }
+  return value > reference ? 1 : 0;
+}
+
+/**
+ * Parser of a list of tokens, with recursive descent
+ * @param {Array} tokens
+ */
+function Parser(tokens) {
+  this.tokens   = tokens;
+  this.position = 0;
+}
+
+Parser.prototype.peek = function () {
+  return this.tokens[this.position];
+};
+
+Parser.prototype.next = function () {
+  var token = this.tokens[this.position++];
+  if (!token) { throw new Error('unexpected end of expression'); }
+  return token;
+};
+
+/**
+ * Check if the next token is a given keyword, and consume it if so
+ * @param  {String} keyword
+ * @return {Boolean}
+ */
+Parser.prototype.accept = function (keyword) {
+  var token = this.peek();
+
+  if (token && token.type === 'word' && token.value.toLowerCase() === keyword) {
+    this.position++;
+    return true;
+  }
+  return false;
+};
+
+Parser.prototype.expect = function (type) {
+  var token = this.next();
+  if (token.type !== type) { throw new Error(`expected "${type}"`); }
+  return token;
+};
+
+Parser.prototype.parseOr = function () {
+  var left = this.parseAnd();
+
+  while (this.accept('or')) {
+    left = (function (a, b) {
+      return function (ec) { return a(ec) || b(ec); };
+    })(left, this.parseAnd());
+  }
+  return left;
+};
+
+Parser.prototype.parseAnd = function () {
+  var left = this.parseNot();
+
+  while (this.accept('and')) {
+    left = (function (a, b) {
+      return function (ec) { return a(ec) && b(ec); };
+    })(left, this.parseNot());
+  }
+  return left;
+};
+
+Parser.prototype.parseNot = function () {
+  if (this.accept('not')) {
+    var test = this.parseNot();
+    return function (ec) { return !test(ec); };
+  }
+
+  var token = this.peek();
+
+  if (token && token.type === '(') {
+    this.position++;
+    var expression = this.parseOr();
+    this.expect(')');
+    return expression;
+  }
+
+  return this.parseComparison();
+};
+
+/**
+ * Parse a value: a string or a word
+ * @return {String}
+ */
+Parser.prototype.parseValue = function () {
+  var token = this.next();
+
+  if (token.type !== 'string' && token.type !== 'word') {
+    throw new Error('expected a value');
+  }
+  return token.value;
+};
+
+/**
+ * Parse a list of values between parentheses
+ * @return {Array}
+ */
+Parser.prototype.parseList = function () {
+  var values = [];
+
+  this.expect('(');
+  do {
+    values.push(this.parseValue());
+  } while (this.peek() && this.peek().type === ',' && this.next());
+  this.expect(')');
+
+  return values;
+};
+
+Parser.prototype.parseComparison = function () {
+  var token = this.next();
+
+  if (token.type !== 'word' || keywords.indexOf(token.value.toLowerCase()) !== -1) {
+    throw new Error('expected a field name');
+  }
+
+  var field = token.value;
+  var list;
+
+  if (this.accept('in')) {
+    list = this.parseList();
+    return function (ec) { return list.indexOf(getValue(ec, field)) !== -1; };
+  }
+
+  if (this.accept('not')) {
+    if (!this.accept('in')) { throw new Error('expected "in" after "not"'); }
+
+    list = this.parseList();
+    return function (ec) { return list.indexOf(getValue(ec, field)) === -1; };
+  }
+
+  if (this.accept('between')) {
+    var min = this.parseValue();
+    if (!this.accept('and')) { throw new Error('expected "and" after "between"'); }
+    var max = this.parseValue();
+
+    return function (ec) {
+      var value = getValue(ec, field);
+      return compare(value, min) >= 0 && compare(value, max) <= 0;
+    };
+  }
+
+  var opToken = this.next();
+  if (opToken.type !== 'op') { throw new Error(`expected an operator after ${field}`); }
+
+  var operator = opToken.value;
+
+  if (operator === '~' || operator === '!~') {
+    var pattern = this.next();
+    var regex;
+
+    try {
+      regex = pattern.type === 'regex'
+        ? new RegExp(pattern.value, pattern.flags)
+        : new RegExp(pattern.value);
+    } catch (e) {
+      throw new Error(`invalid regular expression: ${pattern.value}`);
+    }
+
+    return function (ec) { return regex.test(getValue(ec, field)) === (operator === '~'); };
+  }
+
+  var reference = this.parseValue();
+
+  switch (operator) {
+  case '=':
+    return function (ec) { return getValue(ec, field) === reference; };
+  case '!=':
+    return function (ec) { return getValue(ec, field) !== reference; };
+  case '<':
+    return function (ec) { return compare(getValue(ec, field), reference) < 0; };
+  case '<=':
+    return function (ec) { return compare(getValue(ec, field), reference) <= 0; };
+  case '>':
+    return function (ec) { return compare(getValue(ec, field), reference) > 0; };
+  default:
+    return function (ec) { return compare(getValue(ec, field), reference) >= 0; };
+  }
+};
+
+/**
+ * Compile a filter expression
+ * @param  {String} expression
+ * @return {Function} returns true if an EC matches the expression
+ * @throws an error if the expression is invalid
+ */
+exports.compile = function (expression) {
+  var parser = new Parser(tokenize(expression || ''));
+
+  if (!parser.peek()) { throw new Error('empty expression'); }
+
+  var test  = parser.parseOr();
+  var extra = parser.peek();
+
+  if (extra) {
+    throw new Error(`unexpected ${extra.value || extra.type} at the end of the expression`);
+  }
+
+  return test;
+};
@@ -23,6 +23,7 @@ module.exports = function ecmaker() {
 
   /**
    * Set request options
+   * The "token" option is sent as a bearer token, to the job and report requests
    * @param {Object} o options
    */
   maker.options = function (o) { requestOptions = o; return this; };
@@ -42,7 +43,16 @@ module.exports = function ecmaker() {
    */
   maker.process = function (callback) {
     if (typeof callback !== 'function') { callback = function () {}; }
-    if (!requestOptions.uri) { requestOptions.uri = uri; }
+    // the options of the caller are left untouched, so that they can be reused
+    var options = Object.assign({}, requestOptions);
+    if (!options.uri) { options.uri = uri; }
+
+    var auth;
+    if (options.token) {
+      auth = { bearer: options.token };
+      options.auth = auth;
+      delete options.token;
+    }
 
     var sendError = function (message) {
       callback(new Error(message));
@@ -74,7 +84,7 @@ module.exports = function ecmaker() {
     }
 
     var resultStream = fs.createWriteStream(resultFile);
-    var req          = logStream.pipe(request.post(requestOptions));
+    var req          = logStream.pipe(request.post(options));
 
     var errorFired = false;
     req.on('error', function (err) { // sometimes error can be called twice
@@ -98,7 +108,9 @@ module.exports = function ecmaker() {
       }
 
       var reportURL = req.response.headers['job-report'];
-      request.get(reportURL, { proxy: requestOptions.proxy }, function (error, res, body) {
+      var reportOptions = { proxy: options.proxy, auth: auth };
+
+      request.get(reportURL, reportOptions, function (error, res, body) {
         if (error || !res) {
           return sendError('The report could not be downloaded');
         } else if (res.statusCode !== 200) {
@@ -121,7 +133,7 @@ module.exports = function ecmaker() {
         }
 
         if (!reportFile) { return callback(); }
-        request(reportURL.replace('.json', '.html?standalone=1'), { proxy: requestOptions.proxy })
+        request(reportURL.replace('.json', '.html?standalone=1'), reportOptions)
           .pipe(fs.createWriteStream(reportFile))
           .on('error', function() { callback(); })
           .on('finish', function() { callback(); });
@@ -0,0 +1,148 @@
+'use strict';
+
+var moment    = require('moment');
+var logParser = require('./logparser.js');
+
+// Maximum number of lines tested at once
+var maxLines = 100;
+
+/**
+ * Find the position in a line where a regular expression stops matching,
+ * using the longest valid prefix of the expression that matches
+ * @param  {RegExp}  regexp
+ * @param  {String}  line
+ * @return {Integer} the number of characters matched
+ */
+function getBreakPosition(regexp, line) {
+  var source = regexp.source;
+
+  for (var length = source.length; length > 0; length--) {
+    var prefix;
+
+    try {
+      prefix = new RegExp(source.substr(0, length));
+    } catch (e) {
+      continue;
+    }
+
+    var match = prefix.exec(line);
+    if (match) { return match[0].length; }
+  }
+
+  return 0;
+}
+
+/**
+ * Test a log format on sample lines
+ * @param  {Object} options  proxy: the proxy type (ex: ezproxy)
+ *                           format: the format to test
+ *                           [dateFormat] the date format
+ * @param  {Array}  lines    the log lines
+ * @return {Object} { valid, matched, total, lines: [{ line, text, matched, ec, breakPosition }],
+ *                    suggestions: [{ type, message }] }
+ */
+module.exports = function testFormat(options, lines) {
+  lines = lines.filter(function (line) { return line; }).slice(0, maxLines);
+
+  var suggestions = [];
+  var result      = {
+    valid:       false,
+    matched:     0,
+    total:       lines.length,
+    lines:       [],
+    suggestions: suggestions
+  };
+
+  var parser = logParser({
+    proxy:      options.proxy,
+    format:     options.format,
+    dateFormat: options.dateFormat
+  });
+
+  var regexp = parser.getRegexp();
+
+  if (!regexp) {
+    suggestions.push({
+      type:    'invalid-format',
+      message: `The format is not a valid ${options.proxy} format,`
+        + ' check the syntax and that each field is used once'
+    });
+    return result;
+  }
+
+  result.valid = true;
+
+  var laxistParser = logParser({
+    proxy:  options.proxy,
+    format: options.format,
+    laxist: true
+  });
+
+  var fields      = parser.getFields();
+  var invalidDate = false;
+  var trailing    = false;
+
+  lines.forEach(function (line, i) {
+    var ec    = parser.extract(line, { ignoreDate: true });
+    var entry = { line: i + 1, text: line, matched: !!ec };
+
+    if (ec) {
+      result.matched++;
+      entry.ec = ec;
+
+      // dates are parsed leniently, check that the date format really applies
+      if (ec.datetime && !moment(ec.datetime, parser.getDateFormat(), true).isValid()) {
+        invalidDate = true;
+      }
+
+      parser.parseDate(ec);
+    } else {
+      entry.breakPosition = getBreakPosition(regexp, line);
+
+      // the format matches the beginning of the line, but not the end
+      if (laxistParser.extract(line)) { trailing = true; }
+    }
+
+    result.lines.push(entry);
+  });
+
+  if (trailing) {
+    suggestions.push({
+      type:    'trailing-content',
+      message: 'Some lines end with content that the format doesn\'t describe,'
+        + ' add the missing fields or end the format with %<.*>'
+    });
+  }
+
+  if (fields.indexOf('datetime') === -1 && fields.indexOf('timestamp') === -1) {
+    suggestions.push({ type: 'no-date', message: 'The format doesn\'t capture the date' });
+  } else if (invalidDate) {
+    suggestions.push({
+      type:       'date-format',
+      dateFormat: parser.getDateFormat(),
+      message:    `Dates don't match the date format ${parser.getDateFormat()}, set the Date-Format`
+    });
+  }
+
+  if (fields.indexOf('url') === -1) {
+    suggestions.push({ type: 'no-url', message: 'The format doesn\'t capture the URL' });
+  }
+
+  // When some lines are not matched, look for a standard format that does better
+  if (result.matched < result.total) {
+    var best = logParser().detect(lines)[0];
+    var rate = result.total ? result.matched / result.total * 100 : 0;
+
+    if (best && best.matchRate > rate) {
+      suggestions.push({
+        type:      'detected-format',
+        proxy:     best.proxy,
+        format:    best.format,
+        matchRate: best.matchRate,
+        message:   `The ${best.proxy} format ${best.format} matches ${best.matchRate}% of the lines`
+      });
+    }
+  }
+
+  return result;
+};
@@ -15,7 +15,12 @@ module.exports = function (req, res, job, next) {
   var reqCharset = req.header('request-charset')  || 'utf-8';
   var resCharset = req.header('response-charset') || 'utf-8';
 
-  if (iconv.encodingExists(reqCharset)) {
+  if (reqCharset.toLowerCase() === 'auto') {
+    // the charset is detected for each file, UTF-8 is used if it can't be
+    job.logger.info('Charset for request : auto-detection');
+    job.detectCharset = true;
+    job.inputCharset  = 'utf-8';
+  } else if (iconv.encodingExists(reqCharset)) {
     job.logger.info('Charset for request : ' + reqCharset);
     job.inputCharset = reqCharset;
   } else {
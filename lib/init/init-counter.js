@@ -1,6 +1,7 @@
 'use strict';
 
 var CounterReporter = require('../counter-reporter.js');
+var sushi           = require('../sushi.js');
 var cfg             = require('../../config.json');
 
 /**
@@ -15,15 +16,17 @@ module.exports = function (req, res, job, next) {
   job.logger.verbose('Initializing counter reporting');
   // Get asked COUNTER reports (ex JR1, BR2...)
   var counterReporter = new CounterReporter();
-  var reportFormat    = (req.header('COUNTER-Format') || 'xml').toLowerCase();
+  var reportFormat    = (req.header('COUNTER-Format') || '').toLowerCase();
   job.counterReports  = [];
 
-  if (['tsv', 'xml'].indexOf(reportFormat) == -1) {
+  // Without format, each report uses its default one (XML for R4, JSON for R5)
+  if (reportFormat && ['tsv', 'xml', 'json'].indexOf(reportFormat) == -1) {
     return next(job.error(4017, 406));
   }
 
-  var customer = req.header('COUNTER-Customer');
-  var vendor   = req.header('COUNTER-Vendor');
+  var customer   = req.header('COUNTER-Customer');
+  var customerID = req.header('COUNTER-Customer-ID');
+  var vendor     = req.header('COUNTER-Vendor');
   var match;
   if (customer) {
     match = /^([^<]*)<(.*)>$/.exec(customer);
@@ -36,6 +39,20 @@ module.exports = function (req, res, job, next) {
     if (match) { vendor = { name: match[1], email: match[2] }; }
     else       { vendor = { name: vendor }; }
   }
+  // Usage is saved for a customer only by its requestors, or by an admin
+  if (customerID) {
+    var user      = req.user;
+    var customers = (user && user.sushiCustomers) || [];
+    var allowed   = user && (user.group === 'admin' || customers.indexOf(customerID) !== -1);
+
+    if (!allowed) {
+      return next(job.error(4028, 403));
+    }
+
+    customer = Object.assign({ name: customerID }, customer, { id: customerID });
+    job.sushiCustomer = { id: customer.id, name: customer.name };
+  }
+
   counterReporter.set('vendor', vendor || { name: 'platform42' });
   counterReporter.set('customer', customer || {
     name: 'ezPAARSE',
@@ -53,13 +70,24 @@ module.exports = function (req, res, job, next) {
       return next(job.error(4018, 406));
     }
 
-    var fileURL = logRoute + '/' + report + '.' + reportFormat;
+    var format = counterReporter.setFormat(report, reportFormat);
+    if (!format) {
+      return next(job.error(4017, 406));
+    }
+
+    var fileURL = logRoute + '/' + report + '.' + format;
     job.report.set('stats', 'url-counter-' + report, fileURL);
     job.headers['Job-Report-' + report] = fileURL;
     job.counterReports.push(report);
   }
 
-  job.counterFormat   = reportFormat;
+  // Reporters of the SUSHI API aggregate the usage to save, without generating a report
+  if (job.sushiCustomer) {
+    Object.keys(sushi.reports).forEach(function (report) {
+      counterReporter.add(report);
+    });
+  }
+
   job.counterReporter = counterReporter;
 
   next(null);
@@ -1,5 +1,8 @@
 'use strict';
 
+var ecFilter     = require('../ecfilter-expression.js');
+var institutions = require('../institutions.js');
+
 /**
  * Get exclusions settings
  * @param  {Object}   req   the request stream
@@ -32,5 +35,25 @@ module.exports = function (req, res, job, next) {
 
   job.logger.verbose(`Filters: ${job.filters}`);
 
-  next(null);
+  var filterHeader = req.header('EC-Filter');
+
+  if (filterHeader) {
+    job.logger.verbose('EC filter: ' + filterHeader);
+
+    try {
+      job.ecFilter = ecFilter.compile(filterHeader);
+    } catch (e) {
+      var err = job.error(4032, 400);
+      err.message = `EC-Filter: ${e.message}`;
+      return next(err);
+    }
+  }
+
+  if (!job.institution) { return next(null); }
+
+  // The institution that owns the job can have its own exclusion lists
+  institutions.getExclusions(job.institution).then(function (exclusions) {
+    job.exclusions = exclusions;
+    next(null);
+  }).catch(next);
 };
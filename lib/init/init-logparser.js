@@ -1,6 +1,7 @@
 'use strict';
 
-var logParser = require('../logparser.js');
+var logParser       = require('../logparser.js');
+var structuredInput = require('../structuredinput.js');
 
 /**
  * Creates the log parser depending on the given log format
@@ -19,7 +20,7 @@ module.exports = function (req, res, job, next) {
     forceECFieldPublisher: req.header('Force-ECField-Publisher')
   };
 
-  var proxies = ['ezproxy', 'apache', 'squid'];
+  var proxies = ['ezproxy', 'apache', 'squid', 'nginx', 'haproxy', 'bibliopam'];
   for (var i = 0, l = proxies.length; i < l; i++) {
     var proxy = proxies[i];
     var logFormat = req.header('Log-Format-' + proxy);
@@ -39,6 +40,21 @@ module.exports = function (req, res, job, next) {
 
   job.logParser = logParser(options);
 
+  // keys of JSON lines mapped to EC fields
+  var mappingHeader = req.header('JSON-Field-Mapping');
+
+  if (mappingHeader) {
+    job.logger.verbose('JSON field mapping: ' + mappingHeader);
+
+    try {
+      job.jsonFieldMapping = structuredInput.parseFieldMapping(mappingHeader);
+    } catch (e) {
+      var err = job.error(4035, 400);
+      err.message = `JSON-Field-Mapping: ${e.message}`;
+      return next(err);
+    }
+  }
+
   job.report.set('general', 'input-format-proxy', job.logParser.getProxy());
   job.report.set('general', 'input-format-literal', job.logParser.getFormat());
   job.report.set('general', 'input-format-regex', job.logParser.getRegexp(true));
@@ -1,7 +1,9 @@
 'use strict';
 
+var OutputMapping = require('../outputmapping.js');
+
 /**
- * Sets the array containing the fields to use when writing ECs
+ * Sets the array containing the fields to use when writing ECs, and the output mapping
  * @param  {Object}   req   the request stream
  * @param  {Object}   res   the response stream
  * @param  {Object}   job   the job being initialized
@@ -11,6 +13,20 @@ module.exports = function (req, res, job, next) {
   job.logger.verbose('Initializing output fields');
   job.outputFields = job.outputFields || { added: [], removed: [] };
 
+  var mappingHeader = req.header('Output-Mapping');
+
+  if (mappingHeader) {
+    job.logger.verbose('Mapping header: ' + mappingHeader);
+
+    try {
+      job.outputMapping = new OutputMapping(mappingHeader);
+    } catch (e) {
+      var err = job.error(4031, 400);
+      err.message = `Output-Mapping: ${e.message}`;
+      return next(err);
+    }
+  }
+
   var fieldsHeader = req.header('Output-Fields');
 
   if (!fieldsHeader) {
@@ -0,0 +1,51 @@
+'use strict';
+
+var PeriodSplitter = require('../periodsplitter.js');
+
+var datePattern = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+
+/**
+ * Get the date range of the ECs to keep, and the period used to split the results
+ * @param  {Object}   req   the request stream
+ * @param  {Object}   res   the response stream
+ * @param  {Object}   job   the job being initialized
+ * @param  {Function} next  continue to next middleware
+ */
+module.exports = function (req, res, job, next) {
+  job.logger.verbose('Initializing periods');
+
+  var rangeHeader = req.header('Date-Range');
+
+  if (rangeHeader) {
+    var bounds = rangeHeader.split('/').map(function (b) { return b.trim(); });
+    var start  = bounds[0];
+    var end    = bounds[1];
+
+    var valid = bounds.length === 2 && (start || end)
+      && (!start || datePattern.test(start))
+      && (!end || datePattern.test(end))
+      && (!start || !end || start.substr(0, end.length) <= end);
+
+    if (!valid) {
+      job.logger.warn(`Invalid date range: ${rangeHeader}`);
+      return next(job.error(4033, 400));
+    }
+
+    job.logger.verbose(`Date range: ${start || '*'} to ${end || '*'}`);
+    job.dateRange = { start: start, end: end };
+  }
+
+  var splitHeader = (req.header('Split-By') || '').trim().toLowerCase();
+
+  if (splitHeader && splitHeader !== 'none') {
+    if (PeriodSplitter.periods.indexOf(splitHeader) === -1) {
+      job.logger.warn(`Unsupported period: ${splitHeader}`);
+      return next(job.error(4034, 400));
+    }
+
+    job.logger.verbose(`Results split by ${splitHeader}`);
+    job.splitBy = splitHeader;
+  }
+
+  next(null);
+};
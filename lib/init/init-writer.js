@@ -1,12 +1,21 @@
 /* eslint no-sync: 0 */
 'use strict';
 
-var getWriter = require('../outputformats/writer.js');
-var iconv     = require('iconv-lite');
-var moment    = require('moment');
-var path      = require('path');
-var fs        = require('fs-extra');
-var zlib      = require('zlib');
+var getWriter      = require('../outputformats/writer.js');
+var PeriodSplitter = require('../periodsplitter.js');
+var iconv          = require('iconv-lite');
+var moment         = require('moment');
+var path           = require('path');
+var fs             = require('fs-extra');
+var zlib           = require('zlib');
+
+var PassThrough = require('stream').PassThrough;
+
+// Extensions of the formats which writers produce binary data instead of text
+var binaryFormats = ['xlsx', 'parquet'];
+
+// Quoting modes of the delimited writer
+var quoteModes = ['minimal', 'all', 'none'];
 
 /**
  * Creates a writer depending on the required data format (json, csv..)
@@ -54,8 +63,20 @@ module.exports = function (req, res, job, next) {
     }
   }
 
+  /**
+   * Get the stream writers write into, which encodes text in the output charset
+   * @param  {String} ext  extension of the output file, before compression
+   * @return {Object}
+   */
+  function getEncodeStream(ext) {
+    if (binaryFormats.indexOf(ext) !== -1) { return new PassThrough(); }
+
+    return iconv.encodeStream(job.outputCharset || 'utf-8');
+  }
+
   function getWriterOutputStream(resType, ext) {
     var stream;
+    var format = ext;
 
     if (zipExt) { ext += zipExt; }
 
@@ -65,7 +86,7 @@ module.exports = function (req, res, job, next) {
     var zipStream = getZipStream();
 
     if (!job.resIsDeferred) {
-      stream = iconv.encodeStream(job.outputCharset || 'utf-8');
+      stream = getEncodeStream(format);
       if (zipStream) { stream = stream.pipe(zipStream); }
       stream.pipe(res);
       return stream;
@@ -73,51 +94,124 @@ module.exports = function (req, res, job, next) {
 
     job.logger.info('Deferred response requested: ECs will be writen in a temp file');
 
-    var date = moment().format('YYYY-MM-DD_HH[h]mm');
+    job.ecsStreamEnd = false;
 
-    // create a file writer stream to store ECs into
-    job.ecsPath       = path.join(job.jobPath, date + '.job-ecs.' + ext);
-    job.ecsStreamEnd  = false;
+    if (job.checkpoint) {
+      // resumed job: keep appending ECs to the file of the checkpoint
+      job.ecsPath = path.join(job.jobPath, job.checkpoint.ecsPath);
+    } else {
+      var date = moment().format('YYYY-MM-DD_HH[h]mm');
 
-    var jobPath = job.jobPath;
-    var reg     = /.*\.job-ecs(\.[a-z]+){1,2}$/;
-    var files   = fs.readdirSync(jobPath);
+      // create a file writer stream to store ECs into
+      job.ecsPath = path.join(job.jobPath, date + '.job-ecs.' + ext);
 
-    files.forEach(function (file) {
-      if (reg.test(file)) {
-        fs.unlink(path.join(jobPath, file));
-      }
-    });
+      var jobPath = job.jobPath;
+      var reg     = /.*\.job-ecs(\.[a-z]+){1,2}$/;
+      var files   = fs.readdirSync(jobPath);
 
-    stream = iconv.encodeStream(job.outputCharset || 'utf-8');
+      files.forEach(function (file) {
+        if (reg.test(file)) {
+          fs.unlink(path.join(jobPath, file));
+        }
+      });
+    }
+
+    stream = getEncodeStream(format);
     if (zipStream) { stream = stream.pipe(zipStream); }
-    job.ecsStream = stream;
+    job.ecsStream     = stream;
+    job.ecsFileStream = fs.createWriteStream(job.ecsPath, { flags: job.checkpoint ? 'a' : 'w' });
 
-    stream.pipe(fs.createWriteStream(job.ecsPath)).on('end', function () {
+    stream.pipe(job.ecsFileStream).on('end', function () {
       job.logger.info('Temp file for deferred download completely written');
     });
 
     return stream;
   }
 
-  function setDeniedWriter(type, ext) {
+  /**
+   * Get the options of the delimited writer from the Output-* headers
+   * @param  {String} defaultDelimiter  delimiter of the requested format
+   * @return {Object} the options, or an error if a header is invalid
+   */
+  function getDelimitedOptions(defaultDelimiter) {
+    var delimiter = req.header('Output-Delimiter') || defaultDelimiter;
+    var quote     = (req.header('Output-Quote') || 'minimal').toLowerCase();
+    var bom       = /^true$/i.test(req.header('Output-BOM'));
+
+    if (/^(tab|\\t)$/i.test(delimiter)) { delimiter = '\t'; }
+
+    if (delimiter.length !== 1 || /["\r\n]/.test(delimiter)) {
+      return job.error(4029, 400);
+    }
+    if (quoteModes.indexOf(quote) === -1) {
+      return job.error(4030, 400);
+    }
+
+    // A BOM only makes sense with unicode charsets
+    if (bom && !/^utf-?(8|16)/i.test(job.outputCharset || 'utf-8')) {
+      job.logger.warn(`No BOM written with the charset ${job.outputCharset}`);
+      bom = false;
+    }
+
+    return { delimiter: delimiter, quote: quote, bom: bom, mapping: job.outputMapping };
+  }
+
+  function setDeniedWriter(type, ext, options) {
     ext = ext || type;
+    var format = ext;
     if (zipExt) { ext += zipExt; }
 
     var deniedPath   = path.join(job.jobPath, '/denied-ecs.' + ext);
     var zipStream    = getZipStream();
-    job.deniedStream = iconv.encodeStream(job.outputCharset || 'utf-8');
+    job.deniedStream = getEncodeStream(format);
 
     if (zipStream) { job.deniedStream = job.deniedStream.pipe(zipStream); }
 
-    job.deniedWriter = getWriter(job.deniedStream, type);
-    job.deniedStream.pipe(fs.createWriteStream(deniedPath));
+    job.deniedWriter     = getWriter(job.deniedStream, type, options);
+    job.deniedFileStream = fs.createWriteStream(deniedPath, { flags: job.checkpoint ? 'a' : 'w' });
+    job.deniedStream.pipe(job.deniedFileStream);
+
+    if (job.splitBy) { setSplitWriter(type, format, options); }
+  }
+
+  /**
+   * Write ECs into one additional file per period, listed in the report
+   * @param {String} type    type of writer
+   * @param {String} format  extension of the files, before compression
+   * @param {Object} options options of the writer
+   */
+  function setSplitWriter(type, format, options) {
+    var ext      = zipExt ? format + zipExt : format;
+    var logRoute = req.ezBaseURL + '/' + req._jobID;
+
+    job.splitWriter = new PeriodSplitter(job.splitBy, function (period) {
+      var filename   = 'job-ecs-' + period + '.' + ext;
+      var stream     = getEncodeStream(format);
+      var zipStream  = getZipStream();
+      var fileStream = fs.createWriteStream(path.join(job.jobPath, filename));
+
+      if (zipStream) { stream = stream.pipe(zipStream); }
+      stream.pipe(fileStream);
+
+      job.report.set('periods', period, logRoute + '/' + filename);
+
+      return {
+        writer: getWriter(stream, type, options),
+        end: function () {
+          return new Promise(function (resolve) {
+            fileStream.on('close', resolve);
+            stream.end();
+          });
+        }
+      };
+    });
   }
 
   // configure the correct Writer depending on the "Accept" HTTP header
   // example : "Accept: text/csv"
   if (job.cleanOnly) {
     job.logger.info('Clean-Only job');
+    // log lines are written as they were read, without output mapping
     job.headers['Content-Type'] = 'text/x-log';
     job.writer = getWriter(getWriterOutputStream('text/x-log', 'log'), 'log');
 
@@ -125,37 +219,71 @@ module.exports = function (req, res, job, next) {
     return next(null);
   }
 
-  var accept = req.header('Accept') || 'text/csv';
+  var accept  = req.header('Accept') || 'text/csv';
+  var options = { mapping: job.outputMapping };
 
   switch (accept) {
   case '*/*':
   case 'text/csv':
     job.logger.info('CSV requested for response');
+    options = getDelimitedOptions(';');
+    if (options instanceof Error) { return next(options); }
+
     job.headers['Content-Type'] = 'text/csv';
-    job.writer = getWriter(getWriterOutputStream('text/csv', 'csv'), 'csv');
+    job.writer = getWriter(getWriterOutputStream('text/csv', 'csv'), 'delimited', options);
 
-    setDeniedWriter('csv');
+    setDeniedWriter('delimited', 'csv', options);
     return next(null);
   case 'text/tab-separated-values':
     job.logger.info('TSV requested for response');
+    options = getDelimitedOptions('\t');
+    if (options instanceof Error) { return next(options); }
+
     job.headers['Content-Type'] = 'text/tab-separated-values';
-    job.writer = getWriter(getWriterOutputStream('text/tab-separated-values', 'txt'), 'tsv');
+    job.writer = getWriter(
+      getWriterOutputStream('text/tab-separated-values', 'txt'),
+      'delimited',
+      options
+    );
 
-    setDeniedWriter('tsv', 'txt');
+    setDeniedWriter('delimited', 'txt', options);
     return next(null);
   case 'application/json':
     job.logger.info('JSON requested for response');
     job.headers['Content-Type'] = 'application/json';
-    job.writer = getWriter(getWriterOutputStream('application/json', 'json'), 'json');
+    job.writer = getWriter(getWriterOutputStream('application/json', 'json'), 'json', options);
 
-    setDeniedWriter('json');
+    setDeniedWriter('json', 'json', options);
     return next(null);
   case 'application/jsonstream':
     job.logger.info('JSONStream requested for response (one line of JSON per line)');
     job.headers['Content-Type'] = 'application/json';
-    job.writer = getWriter(getWriterOutputStream('application/json', 'json'), 'jsonstream');
+    job.writer = getWriter(
+      getWriterOutputStream('application/json', 'json'),
+      'jsonstream',
+      options
+    );
 
-    setDeniedWriter('json');
+    setDeniedWriter('json', 'json', options);
+    return next(null);
+  case 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet':
+    job.logger.info('XLSX requested for response');
+    job.headers['Content-Type'] = accept;
+    job.writer = getWriter(getWriterOutputStream(accept, 'xlsx'), 'xlsx', options);
+
+    setDeniedWriter('xlsx', 'xlsx', options);
+    return next(null);
+  case 'application/vnd.apache.parquet':
+  case 'application/x-parquet':
+    job.logger.info('Parquet requested for response');
+    job.headers['Content-Type'] = 'application/vnd.apache.parquet';
+    job.writer = getWriter(
+      getWriterOutputStream('application/vnd.apache.parquet', 'parquet'),
+      'parquet',
+      options
+    );
+
+    setDeniedWriter('parquet', 'parquet', options);
     return next(null);
   default:
     job.logger.warn('Requested content-type \''
@@ -0,0 +1,150 @@
+'use strict';
+
+/**
+ * Registry of institutions
+ * An institution owns users, predefined settings, exclusion lists and jobs,
+ * its members can only access the jobs of their institution
+ */
+
+const mongo = require('./mongo.js');
+
+const registry = {};
+
+/**
+ * Types of exclusion lists an institution can define
+ */
+registry.exclusionTypes = ['hosts', 'domains', 'robots'];
+
+/**
+ * Pattern of institution identifiers
+ */
+registry.idPattern = /^[a-z0-9][a-z0-9_-]*$/;
+
+function collection() {
+  return mongo.getCollection('institutions');
+}
+
+/**
+ * Get all institutions
+ * @return {Promise} resolved with an array of institutions
+ */
+registry.getAll = function () {
+  const institutions = collection();
+  if (!institutions) { return Promise.resolve([]); }
+
+  return institutions.find({}, { projection: { _id: 0 } }).sort({ id: 1 }).toArray();
+};
+
+/**
+ * Get an institution
+ * @param  {String} id
+ * @return {Promise} resolved with the institution, or null if not found
+ */
+registry.get = function (id) {
+  const institutions = collection();
+  if (!institutions || !id) { return Promise.resolve(null); }
+
+  return institutions.findOne({ id: id }, { projection: { _id: 0 } });
+};
+
+/**
+ * Create an institution
+ * @param  {Object} institution  id, name
+ * @return {Promise} resolved with the new institution
+ */
+registry.add = function (institution) {
+  const institutions = collection();
+  if (!institutions) { return Promise.reject(new Error('database not available')); }
+
+  if (!registry.idPattern.test(institution.id || '')) {
+    return Promise.reject(new Error('invalid institution ID'));
+  }
+
+  const exclusions = {};
+  registry.exclusionTypes.forEach(type => { exclusions[type] = []; });
+
+  const doc = {
+    id: institution.id,
+    name: institution.name || institution.id,
+    predefinedSettings: {},
+    exclusions: exclusions,
+    createdAt: new Date()
+  };
+
+  return institutions.findOne({ id: doc.id }).then(existing => {
+    if (existing) { throw new Error('institution already exists'); }
+
+    return institutions.insertOne(doc);
+  }).then(() => {
+    delete doc._id;
+    return doc;
+  });
+};
+
+/**
+ * Update an institution
+ * @param  {String} id
+ * @param  {Object} change  fields to set
+ * @return {Promise} resolved with the updated institution, or null if not found
+ */
+registry.set = function (id, change) {
+  const institutions = collection();
+  if (!institutions) { return Promise.reject(new Error('database not available')); }
+
+  return institutions.findOneAndUpdate(
+    { id: id },
+    { $set: change },
+    { returnOriginal: false, projection: { _id: 0 } }
+  ).then(result => result.value);
+};
+
+/**
+ * Delete an institution, its members are detached from it
+ * @param  {String} id
+ * @return {Promise} resolved with true if the institution was deleted
+ */
+registry.remove = function (id) {
+  const institutions = collection();
+  if (!institutions) { return Promise.reject(new Error('database not available')); }
+
+  return institutions.deleteOne({ id: id }).then(result => {
+    if (result.deletedCount === 0) { return false; }
+
+    return mongo.getCollection('users')
+      .updateMany({ institution: id }, { $unset: { institution: '' } })
+      .then(() => true);
+  });
+};
+
+/**
+ * Get the members of an institution
+ * @param  {String} id
+ * @return {Promise} resolved with an array of users (without passwords)
+ */
+registry.getMembers = function (id) {
+  const users = mongo.getCollection('users');
+  if (!users) { return Promise.resolve([]); }
+
+  return users.find({ institution: id }, { projection: { _id: 0, password: 0 } }).toArray();
+};
+
+/**
+ * Get the exclusion lists of an institution as sets
+ * @param  {String} id
+ * @return {Promise} resolved with { hosts, domains, robots }, or null if there's no institution
+ */
+registry.getExclusions = function (id) {
+  return registry.get(id).then(institution => {
+    if (!institution) { return null; }
+
+    const exclusions = {};
+
+    registry.exclusionTypes.forEach(type => {
+      exclusions[type] = new Set((institution.exclusions && institution.exclusions[type]) || []);
+    });
+
+    return exclusions;
+  });
+};
+
+module.exports = registry;
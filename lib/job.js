@@ -4,12 +4,14 @@
 const co = require('co');
 
 const statusCodes = require('../statuscodes.json');
-const ezJobs      = require('./jobs.js');
+const jobs        = require('./jobs.js');
+const metrics     = require('./metrics.js');
 const io          = require('./socketio.js').io;
 
-const init      = require('./job/init');
-const read      = require('./job/read');
-const terminate = require('./job/terminate');
+const init       = require('./job/init');
+const read       = require('./job/read');
+const terminate  = require('./job/terminate');
+const checkpoint = require('./job/checkpoint');
 
 module.exports = Job;
 
@@ -17,17 +19,20 @@ module.exports = Job;
  * Create a Job instance that handles the entire process
  */
 function Job(req, res, jobID, options) {
-  const self = ezJobs[jobID] = this;
+  const self = this;
   req._jobID = jobID;
 
-  io().to('admin').emit('jobs', Object.keys(ezJobs));
-
   res.set('Connection', 'close');
   res.setTimeout(parseInt(req.get('ezPAARSE-Response-Timeout')) || 1000 * 60 * 30);
 
   this.jobID        = jobID;
   this.shortID      = jobID.substr(0, 8);
   this.options      = options || {};
+  this.owner        = req.user ? req.user.username : null;
+  this.institution  = (req.user && req.user.institution) || null;
+  this.registered   = false;
+  this.aborted      = false;
+  this.cancelled    = false;
   this.statusHeader = 'ezPAARSE-Status';
   this.msgHeader    = 'ezPAARSE-Status-Message';
 
@@ -35,9 +40,36 @@ function Job(req, res, jobID, options) {
   this.read      = read.bind(this);
   this.terminate = terminate.bind(this);
 
+  /**
+   * Add the job to the registry of running jobs
+   * @param {Object} state  initial state to persist
+   */
+  this.register = function (state) {
+    jobs.add(self);
+    self.registered = true;
+    io().to('admin').emit('jobs', jobs.ids());
+    return self.saveState(state);
+  };
+
   this.wipe = function () {
-    delete ezJobs[jobID];
-    io().to('admin').emit('jobs', Object.keys(ezJobs));
+    if (!self.registered) { return; }
+
+    jobs.remove(jobID);
+    io().to('admin').emit('jobs', jobs.ids());
+  };
+
+  /**
+   * Persist part of the job state in the registry
+   * Failures are only logged, as they should not interrupt the job
+   * @param  {Object}  state
+   * @return {Promise}
+   */
+  this.saveState = function (state) {
+    if (!self.registered) { return Promise.resolve(); }
+
+    return jobs.save(jobID, state).catch(err => {
+      (self.logger || console).warn(`Failed to save the job state: ${err.message}`);
+    });
   };
 
   this.error = function (code, status) {
@@ -51,13 +83,22 @@ function Job(req, res, jobID, options) {
   /**
    * Initiate the job by getting eventual predefined settings and calling init().
    * Once initialized, the job will automatically start.
+   * @return {Promise} resolved when the job is over
    */
   this._run = function () {
-    co(function* () {
+    return co(function* () {
       yield co(self.init(req, res, options));
       yield co(self.read(req, res));
       yield co(self.terminate(req, res));
+
+      // A completed job can't be resumed
+      yield checkpoint.remove(self.jobPath);
+
+      self.saveState({ status: 'done', finishedAt: new Date() });
+      metrics.jobFinished('done');
     }).catch(err => {
+      if (self.checkpointer) { self.checkpointer.stop(); }
+
       // If in dev mode, show the stack of unexpected errors
       if (err.type !== 'JobError' && process.env.NODE_ENV === 'development') {
         (self.logger || console).error(err.stack);
@@ -73,11 +114,38 @@ function Job(req, res, jobID, options) {
         self.logger.error(msg || 'unknown');
       }
 
+      if (self.cancelled && self.logger) {
+        self.logger.info(`Job cancelled by ${self.cancelledBy || 'anonymous'}`);
+      }
+
       if (self.report) {
         self.report.set('general', 'status', err.code);
         self.report.set('general', 'status-message', msg);
       }
 
+      if (self.cancelled) {
+        if (self.report) {
+          self.report.set('general', 'Job-Done', true);
+          self.report.finalize();
+        }
+
+        self.saveState({
+          status: 'cancelled',
+          finishedAt: new Date(),
+          cancelledBy: self.cancelledBy
+        });
+        metrics.jobFinished('cancelled');
+
+        io().to('admin').emit('job-cancelled', { id: jobID, by: self.cancelledBy });
+      } else {
+        self.saveState({
+          status: 'error',
+          finishedAt: new Date(),
+          error: { code: err.code, message: msg }
+        });
+        metrics.jobFinished('error');
+      }
+
       // When the job stops before writing anything, send a clear HTTP error
       if (!res.headersSent) {
         return res.writeHead(err.status || 500, self.headers);
@@ -113,6 +181,19 @@ function Job(req, res, jobID, options) {
     }
   };
 
+  /**
+   * Cancel the job on user request
+   * The job stops reading and terminates with a "cancelled" status
+   * @param {String} username  the user who cancelled the job
+   */
+  this.cancel = function (username) {
+    if (self.cancelled) { return; }
+
+    self.cancelled   = true;
+    self.cancelledBy = username;
+    self._stop(self.error(4026, 409));
+  };
+
   /**
    * Close all stream objects in the job
    */
@@ -134,6 +215,11 @@ function Job(req, res, jobID, options) {
         self.deniedStream.end(resolve);
       });
 
+      if (self.splitWriter) {
+        self.logger.info('Closing period streams');
+        yield self.splitWriter.end();
+      }
+
       yield new Promise((resolve, reject) => {
         self.logger.info('Closing result stream');
 
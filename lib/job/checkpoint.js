@@ -0,0 +1,260 @@
+/* eslint no-sync: 0 */
+'use strict';
+
+/**
+ * Checkpoints of deferred jobs
+ * The progress of a job is regularly saved in its directory, so that a job
+ * interrupted while processing a large file can be resumed where it stopped
+ */
+
+const fs   = require('fs-extra');
+const path = require('path');
+
+const config = require('../config.js');
+
+const checkpointFile = 'checkpoint.json';
+const idleTimeout    = 10000;
+const idlePolling    = 100;
+
+/**
+ * Load the checkpoint of a job
+ * @param  {String} jobPath  the job directory
+ * @return {Promise} resolved with the checkpoint, or null if there's none
+ */
+exports.load = function (jobPath) {
+  return fs.readJson(path.join(jobPath, checkpointFile)).catch(err => {
+    if (err.code === 'ENOENT') { return null; }
+    throw err;
+  });
+};
+
+/**
+ * Remove the checkpoint of a job
+ * @param  {String} jobPath  the job directory
+ * @return {Promise}
+ */
+exports.remove = function (jobPath) {
+  return fs.remove(path.join(jobPath, checkpointFile));
+};
+
+/**
+ * Truncate the output files of a job to the size they had when the checkpoint was made,
+ * so that lines processed after it are not written twice
+ * Must be called before the files are opened
+ * @param {String} jobPath     the job directory
+ * @param {Object} checkpoint
+ */
+exports.restore = function (jobPath, checkpoint) {
+  const sizes = checkpoint.sizes || {};
+
+  for (const file in sizes) {
+    const filePath = path.join(jobPath, file);
+
+    if (fs.existsSync(filePath)) {
+      fs.truncateSync(filePath, sizes[file]);
+    }
+  }
+};
+
+/**
+ * Create a checkpointer for a job, or return null if checkpoints are disabled
+ * Checkpoints are only made for deferred jobs which results are not compressed,
+ * and written in a format that can be appended to
+ * @param  {Object} job
+ * @param  {Object} linesProcessor
+ * @return {Checkpointer}
+ */
+exports.create = function (job, linesProcessor) {
+  const interval = parseInt(config.EZPAARSE_CHECKPOINT_INTERVAL);
+
+  if (!interval || interval < 0 || !job.resIsDeferred) { return null; }
+
+  if (job.headers['Content-Encoding']) {
+    job.logger.verbose('Compressed results, checkpoints disabled');
+    return null;
+  }
+
+  if (typeof job.writer.resume !== 'function' || typeof job.deniedWriter.resume !== 'function') {
+    job.logger.verbose('Results can\'t be appended, checkpoints disabled');
+    return null;
+  }
+
+  if (job.splitWriter) {
+    job.logger.verbose('Results split by period, checkpoints disabled');
+    return null;
+  }
+
+  return new Checkpointer(job, linesProcessor, interval * 1000);
+};
+
+/**
+ * Periodically save the progress of a job
+ * The position in the input is given by the reader with setFile() and advance()
+ */
+function Checkpointer(job, linesProcessor, interval) {
+  this.job            = job;
+  this.linesProcessor = linesProcessor;
+  this.interval       = interval;
+  this.file           = 1;
+  this.offset         = 0;
+  this.disabled       = false;
+  this.timer          = null;
+}
+
+/**
+ * Start making checkpoints
+ */
+Checkpointer.prototype.start = function () {
+  if (this.disabled || this.timer) { return; }
+
+  this.timer = setTimeout(() => {
+    this.save()
+      .catch(err => { this.job.logger.warn(`Failed to save a checkpoint: ${err.message}`); })
+      .then(() => {
+        if (this.timer) {
+          this.timer = null;
+          this.start();
+        }
+      });
+  }, this.interval);
+};
+
+/**
+ * Stop making checkpoints
+ */
+Checkpointer.prototype.stop = function () {
+  clearTimeout(this.timer);
+  this.timer = null;
+};
+
+/**
+ * Stop making checkpoints for good, when the input can't be located by byte offsets
+ * @param {String} reason
+ */
+Checkpointer.prototype.disable = function (reason) {
+  if (this.disabled) { return; }
+
+  this.disabled = true;
+  this.stop();
+  this.job.logger.verbose(`Checkpoints disabled: ${reason}`);
+};
+
+/**
+ * Set the index of the file being read (starting from 1)
+ * @param {Integer} index
+ */
+Checkpointer.prototype.setFile = function (index) {
+  this.file   = index;
+  this.offset = 0;
+};
+
+/**
+ * Move forward in the current file
+ * @param {Integer} bytes  number of bytes read
+ */
+Checkpointer.prototype.advance = function (bytes) {
+  this.offset += bytes;
+};
+
+/**
+ * Pause the input, wait for all pending ECs to be written, then save the checkpoint
+ * If ECs are still being processed after some time, the checkpoint is postponed
+ * @return {Promise}
+ */
+Checkpointer.prototype.save = async function () {
+  const job = this.job;
+
+  if (this.disabled || job.aborted || !job.parsedLines) { return; }
+
+  job.addPressure('checkpoint');
+
+  try {
+    const idle = await this.waitForIdle();
+
+    if (!idle) {
+      job.logger.verbose('Checkpoint postponed, some ECs are still being processed');
+      return;
+    }
+    if (this.disabled || job.aborted) { return; }
+
+    const checkpoint = {
+      date: new Date(),
+      file: this.file,
+      offset: this.offset,
+      lineNumber: this.linesProcessor.lastLineNumber(),
+      ecsPath: path.basename(job.ecsPath),
+      writerStarted: !!job.writerStarted,
+      deniedWriterStarted: !!job.deniedWriterStarted,
+      sizes: {},
+      report: JSON.parse(JSON.stringify(job.report.getJson())),
+      middlewares: {}
+    };
+
+    for (const stream of this.fileStreams()) {
+      checkpoint.sizes[path.basename(stream.path)] = (await fs.stat(stream.path)).size;
+    }
+
+    job.statefulMiddlewares.forEach(({ name, mw, ctx }) => {
+      checkpoint.middlewares[name] = mw.checkpoint.call(ctx);
+    });
+
+    const filePath = path.join(job.jobPath, checkpointFile);
+
+    await fs.writeJson(`${filePath}.tmp`, checkpoint);
+    await fs.rename(`${filePath}.tmp`, filePath);
+
+    job.logger.verbose(`Checkpoint saved at line ${checkpoint.lineNumber}`);
+    await job.saveState({
+      checkpoint: {
+        date: checkpoint.date,
+        lineNumber: checkpoint.lineNumber,
+        file: checkpoint.file,
+        offset: checkpoint.offset
+      }
+    });
+  } finally {
+    job.removePressure('checkpoint');
+  }
+};
+
+/**
+ * Get the file streams of the job
+ * @return {Array}
+ */
+Checkpointer.prototype.fileStreams = function () {
+  const job     = this.job;
+  const streams = [job.ecsFileStream, job.deniedFileStream];
+
+  for (const name in job.logStreams.streams) {
+    streams.push(job.logStreams.streams[name]);
+  }
+
+  return streams.filter(stream => stream && stream.path);
+};
+
+/**
+ * Wait until all pushed lines are processed and all streams are flushed
+ * @return {Promise} resolved with false if it takes too long
+ */
+Checkpointer.prototype.waitForIdle = function () {
+  const job     = this.job;
+  const streams = this.fileStreams().concat([job.ecsStream, job.deniedStream]);
+
+  const isIdle = () => {
+    if (this.linesProcessor.pending() > 0) { return false; }
+
+    return streams.every(stream => {
+      return !stream || (!stream.writableLength && !stream.readableLength);
+    });
+  };
+
+  return new Promise(resolve => {
+    const start = Date.now();
+
+    (function check() {
+      if (isIdle()) { return resolve(true); }
+      if (job.aborted || Date.now() - start > idleTimeout) { return resolve(false); }
+      setTimeout(check, idlePolling);
+    })();
+  });
+};
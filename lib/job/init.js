@@ -8,10 +8,14 @@ const moment  = require('moment');
 
 const ReportManager = require('../reportmanager.js');
 const StreamHandler = require('../streamhandler.js');
+const checkpoint    = require('./checkpoint.js');
 
-const config     = require('../config.js');
-const io         = require('../socketio.js').io;
-const pkg        = require('../../package.json');
+const config       = require('../config.js');
+const jobs         = require('../jobs.js');
+const institutions = require('../institutions.js');
+const auth         = require('../auth-middlewares.js');
+const io           = require('../socketio.js').io;
+const pkg          = require('../../package.json');
 
 const predefFile = path.resolve(__dirname, '../../resources/predefined-settings.json');
 const tmpDir     = path.resolve(__dirname, '../../tmp/jobs');
@@ -23,7 +27,11 @@ module.exports = function* init(req, res, options) {
   const jobID   = this.jobID;
   const logPath = path.resolve(tmpDir, jobID.charAt(0), jobID.charAt(1), jobID);
 
-  yield checkJobDirectory(logPath);
+  if (options.resume) {
+    yield loadCheckpoint(logPath);
+  } else {
+    yield checkJobDirectory(logPath);
+  }
   yield setPredefSettings();
 
   const logRoute = `${req.ezBaseURL}/${jobID}`;
@@ -32,6 +40,15 @@ module.exports = function* init(req, res, options) {
 
   mkdirp.sync(logPath);
 
+  yield this.register({
+    status: 'running',
+    owner: this.owner,
+    institution: this.institution,
+    headers: jobs.filterHeaders(req.headers),
+    reportPath: path.join(logPath, 'report.json'),
+    startedAt: new Date()
+  });
+
   this.saturated = new Set();
 
   this.addPressure = function (name) {
@@ -70,7 +87,9 @@ module.exports = function* init(req, res, options) {
       'nb-lines-pkb-miss-ecs':    0,
       'nb-lines-unordered-ecs':   0,
       'nb-lines-ignored-hosts':   0,
-      'nb-lines-robots-ecs':      0
+      'nb-lines-robots-ecs':      0,
+      'nb-lines-excluded-ecs':    0,
+      'nb-lines-out-of-range':    0
     },
     'stats': {
       'platforms': 0,
@@ -105,6 +124,19 @@ module.exports = function* init(req, res, options) {
     baseReport.rejets[`url-${reject}`] = `${logRoute}/lines-${reject}.log`;
   });
 
+  // When resuming, start from the report saved with the checkpoint
+  if (this.checkpoint) {
+    const savedReport = this.checkpoint.report || {};
+
+    for (const group in savedReport) {
+      baseReport[group] = Object.assign(baseReport[group] || {}, savedReport[group]);
+    }
+
+    baseReport.general['Job-Done']          = false;
+    baseReport.general['resumed-at']        = moment().format();
+    baseReport.general['resumed-from-line'] = this.checkpoint.lineNumber;
+  }
+
   this.jobPath = logPath; // temp job directory
   this.socket  = io().sockets.connected[req.header('Socket-ID')];
   this.report  = new ReportManager(path.join(logPath, '/report.json'), {
@@ -114,7 +146,6 @@ module.exports = function* init(req, res, options) {
     writeThrottle: 4000
   });
   this.resIsDeferred    = options.resIsDeferred || false;
-  this.aborted          = false;
   this.maxParseAttempts = parseInt(req.header('max-parse-attempts')) || 10;
   this.cleanOnly        = /^true$/i.test(req.header('clean-only'));
   this.filterRedirs     = /^true$/i.test(req.header('ezpaarse-filter-redirects') || 'true');
@@ -179,7 +210,9 @@ module.exports = function* init(req, res, options) {
         )
       }),
       new (winston.transports.Stream)({
-        stream: fs.createWriteStream(path.join(logPath, '/job-traces.log'))
+        stream: fs.createWriteStream(path.join(logPath, '/job-traces.log'), {
+          flags: this.checkpoint ? 'a' : 'w'
+        })
       }),
       new (winston.transports.IOLogger)({
         socket: this.socket
@@ -191,7 +224,9 @@ module.exports = function* init(req, res, options) {
 
   this.logStreams = new StreamHandler();
   this.rejects.forEach(reject => {
-    this.logStreams.add(reject, `${logPath}/lines-${reject}.log`);
+    this.logStreams.add(reject, `${logPath}/lines-${reject}.log`, {
+      flags: this.checkpoint ? 'a' : 'w'
+    });
   });
 
   const initDir   = path.resolve(__dirname, '../init');
@@ -243,6 +278,8 @@ module.exports = function* init(req, res, options) {
 
   self.report.set('general', 'middlewares', mwNames.join(', '));
   self.middlewares = [];
+  self.middlewareNames = [];
+  self.statefulMiddlewares = [];
 
   for (let mwName of mwNames) {
     if (!/^[a-z0-9_-]+$/i.test(mwName)) {
@@ -277,10 +314,21 @@ module.exports = function* init(req, res, options) {
     if (mw instanceof Error) {
       return Promise.reject(mw);
     } else if (mw instanceof Promise) {
-      const m = yield mw;
-      self.middlewares.push(m.bind(ctx));
-    } else {
-      self.middlewares.push(mw.bind(ctx));
+      mw = yield mw;
+    }
+
+    self.middlewares.push(mw.bind(ctx));
+    self.middlewareNames.push(mwName);
+
+    // Middlewares can expose their state, so that it's saved with checkpoints
+    if (typeof mw.checkpoint === 'function') {
+      self.statefulMiddlewares.push({ name: mwName, mw, ctx });
+
+      const savedStates = (self.checkpoint && self.checkpoint.middlewares) || {};
+
+      if (savedStates[mwName] && typeof mw.restore === 'function') {
+        mw.restore.call(ctx, savedStates[mwName]);
+      }
     }
   }
 
@@ -294,6 +342,8 @@ module.exports = function* init(req, res, options) {
 
   res.set(self.headers);
 
+  yield self.saveState({ resultPath: self.ecsPath || null });
+
   if (self.socket) {
     self.socket.emit('headers', self.headers);
   }
@@ -310,36 +360,77 @@ module.exports = function* init(req, res, options) {
     });
   }
 
+  /**
+   * Load the checkpoint of the job to resume, and restore its files
+   * Only the users who can access the job can resume it, the job keeps its owner and institution
+   */
+  function loadCheckpoint(logPath) {
+    if (jobs.get(jobID)) {
+      return Promise.reject(self.error(4023, 409));
+    }
+
+    return Promise.all([
+      checkpoint.load(logPath),
+      jobs.find(jobID)
+    ]).then(([saved, state]) => {
+      if (!saved) { throw self.error(4027, 404); }
+
+      // Jobs without a known owner can only be resumed by admins
+      if (!auth.canAccessJob(req.user, state || {})) { throw self.error(4036, 403); }
+
+      self.owner       = state ? state.owner : null;
+      self.institution = state ? state.institution : null;
+
+      checkpoint.restore(logPath, saved);
+      self.checkpoint = saved;
+    });
+  }
+
   /**
    * Check if predefined settings are requested and override the headers
    */
   function setPredefSettings() {
-    return new Promise((resolve, reject) => {
+    const predefKey = req.get('ezPAARSE-Predefined-Settings');
 
-      const predefKey = req.get('ezPAARSE-Predefined-Settings');
+    if (!predefKey) { return Promise.resolve(); }
 
-      if (!predefKey) { return resolve(); }
+    // The settings of the institution take precedence over the global ones
+    return institutions.get(self.institution).then(institution => {
+      const settings = institution && institution.predefinedSettings;
 
-      fs.readFile(predefFile, function (err, content) {
-        if (err) { return reject(err); }
+      if (settings && settings[predefKey]) {
+        return applyPredefSettings(settings[predefKey]);
+      }
 
-        let predef;
-        try {
-          predef = JSON.parse(content)[predefKey];
-        } catch (e) {
-          return reject(e);
-        }
+      return new Promise((resolve, reject) => {
+        fs.readFile(predefFile, function (err, content) {
+          if (err) { return reject(err); }
 
-        if (predef && predef.headers) {
-          for (const name in predef.headers) {
-            if (!req.headers[name.toLowerCase()]) {
-              req.headers[name.toLowerCase()] = predef.headers[name];
-            }
+          let predef;
+          try {
+            predef = JSON.parse(content)[predefKey];
+          } catch (e) {
+            return reject(e);
           }
-        }
 
-        resolve();
+          applyPredefSettings(predef);
+          resolve();
+        });
       });
     });
   }
+
+  /**
+   * Add the headers of predefined settings to the request, unless they're already set
+   * @param {Object} predef
+   */
+  function applyPredefSettings(predef) {
+    if (!predef || !predef.headers) { return; }
+
+    for (const name in predef.headers) {
+      if (!req.headers[name.toLowerCase()]) {
+        req.headers[name.toLowerCase()] = predef.headers[name];
+      }
+    }
+  }
 };
@@ -1,24 +1,70 @@
 'use strict';
 
-const zlib     = require('zlib');
-const iconv    = require('iconv-lite');
-const parse    = require('co-busboy');
-const csvParse = require('csv').parse;
-const is       = require('type-is');
-const Splitter = require('../splitter.js').Splitter;
-
-const LinesProcessor = require('../lineprocessor.js');
-
-const gzipTypes = new Set([
-  'application/gzip',
-  'application/x-gzip',
-  'application/x-gunzip',
-  'application/gzipped',
-  'application/gzip-compressed',
-  'application/x-compressed',
-  'application/x-compress',
-  'gzip/document'
-]);
+const zlib      = require('zlib');
+const lzma      = require('lzma-native');
+const unbzip2   = require('unbzip2-stream');
+const unzipper  = require('unzipper');
+const iconv     = require('iconv-lite');
+const jschardet = require('jschardet');
+const parse     = require('co-busboy');
+const csvParse  = require('csv').parse;
+const is        = require('type-is');
+const Splitter  = require('../splitter.js').Splitter;
+const Skipper   = require('../splitter.js').Skipper;
+
+const LinesProcessor  = require('../lineprocessor.js');
+const structuredInput = require('../structuredinput.js');
+const checkpoint      = require('./checkpoint.js');
+
+/**
+ * Supported compressions, detected by MIME type, file extension or magic bytes
+ */
+const compressionTypes = {
+  gzip: {
+    mimeTypes: new Set([
+      'application/gzip',
+      'application/x-gzip',
+      'application/x-gunzip',
+      'application/gzipped',
+      'application/gzip-compressed',
+      'application/x-compressed',
+      'application/x-compress',
+      'gzip/document'
+    ]),
+    extension: /\.gz$/i,
+    magic: Buffer.from([0x1f, 0x8b]),
+    decompress: () => zlib.createUnzip()
+  },
+  bzip2: {
+    mimeTypes: new Set([
+      'application/x-bzip2',
+      'application/x-bzip',
+      'application/bzip2'
+    ]),
+    extension: /\.bz2$/i,
+    magic: Buffer.from('BZh'),
+    decompress: () => unbzip2()
+  },
+  xz: {
+    mimeTypes: new Set([
+      'application/x-xz',
+      'application/xz'
+    ]),
+    extension: /\.xz$/i,
+    magic: Buffer.from([0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00]),
+    decompress: () => lzma.createDecompressor()
+  },
+  zip: {
+    mimeTypes: new Set([
+      'application/zip',
+      'application/x-zip',
+      'application/x-zip-compressed',
+      'multipart/x-zip'
+    ]),
+    extension: /\.zip$/i,
+    magic: Buffer.from([0x50, 0x4b, 0x03, 0x04])
+  }
+};
 
 const csvTypes = new Set([
   'text/csv',
@@ -30,6 +76,13 @@ const csvTypes = new Set([
   'application/vnd.ms-excel'
 ]);
 
+const ndjsonTypes = new Set([
+  'application/x-ndjson',
+  'application/ndjson',
+  'application/jsonlines',
+  'application/x-jsonlines'
+]);
+
 module.exports = function* read(req, res) {
   const self = this;
 
@@ -37,7 +90,13 @@ module.exports = function* read(req, res) {
 
   req.on('close', () => { this._stop(); });
 
+  if (this.cancelled) { return Promise.reject(this.error(4026, 409)); }
+
   const linesProcessor = new LinesProcessor(this);
+  const checkpointer   = checkpoint.create(this, linesProcessor);
+  const resumeFrom     = this.checkpoint;
+
+  this.checkpointer = checkpointer;
 
   /**
    * Write ECs
@@ -48,7 +107,13 @@ module.exports = function* read(req, res) {
     if (!this.writerStarted) {
       this.writerStarted = true;
       res.status(200);
-      this.writer.writeHead(this.outputFields);
+
+      // When resuming, the result file already starts with a header
+      if (resumeFrom && resumeFrom.writerStarted) {
+        this.writer.resume(this.outputFields);
+      } else {
+        this.writer.writeHead(this.outputFields);
+      }
 
       for (const prop in ec) {
         this.report.set('first_event', prop, ec[prop]);
@@ -56,6 +121,7 @@ module.exports = function* read(req, res) {
     }
 
     this.writer.write(ec);
+    if (this.splitWriter) { this.splitWriter.write(ec, this.outputFields); }
     this.report.inc('general', 'nb-ecs');
   });
 
@@ -67,7 +133,12 @@ module.exports = function* read(req, res) {
 
     if (!this.deniedWriterStarted) {
       this.deniedWriterStarted = true;
-      this.deniedWriter.writeHead(this.outputFields);
+
+      if (resumeFrom && resumeFrom.deniedWriterStarted) {
+        this.deniedWriter.resume(this.outputFields);
+      } else {
+        this.deniedWriter.writeHead(this.outputFields);
+      }
     }
 
     this.deniedWriter.write(ec);
@@ -84,8 +155,22 @@ module.exports = function* read(req, res) {
   this.logStreams.on('drain',   () => { this.removePressure('loggers'); });
   linesProcessor.on('drain',    () => { this.removePressure('lineprocessor'); });
 
+  if (this.splitWriter) {
+    this.splitWriter.on('saturated', () => { this.addPressure('splitWriter'); });
+    this.splitWriter.on('drain',     () => { this.removePressure('splitWriter'); });
+  }
+
   let needHeartbeat = true;
 
+  if (resumeFrom) {
+    this.logger.info(`Resuming job from line ${resumeFrom.lineNumber}`
+      + ` (file ${resumeFrom.file}, offset ${resumeFrom.offset})`);
+  }
+
+  if (checkpointer) { checkpointer.start(); }
+
+  let nbFiles = 0;
+
   if (!is(req, ['multipart/form-data'])) {
     // handle a not multipart stream: log data are embeded directly in the HTTP body
     this.logger.info('Handling a raw stream upload');
@@ -102,13 +187,15 @@ module.exports = function* read(req, res) {
     fileSize: Infinity
   });
 
-  let nbFiles = 0;
   let part;
   while (part = yield parts) { // eslint-disable-line no-cond-assign
-    this.report.set('files', ++nbFiles, part.filename || 'N/A');
+    if (this.cancelled) {
+      part.resume();
+      return Promise.reject(this.error(4026, 409));
+    }
 
     this.logger.info(`Reading file [${part.filename || 'N/A'}][${part.mimeType || 'N/A'}]`);
-    yield readInputStream(part);
+    yield readInputStream(part, part.filename || 'N/A');
     this.logger.info(`Finished reading file [${part.filename}]`);
   }
 
@@ -118,102 +205,373 @@ module.exports = function* read(req, res) {
 
   /**
    * Stop the splitter and wait for the line processor to drain
+   * Rejects if the job was cancelled in the meantime
    * @return {Promise}
    */
   function drain() {
-    return new Promise(resolve => {
-      if (linesProcessor.ended) { return resolve(); }
+    if (checkpointer) { checkpointer.stop(); }
+
+    return new Promise((resolve, reject) => {
+      const done = () => {
+        if (self.cancelled) { reject(self.error(4026, 409)); }
+        else { resolve(); }
+      };
+
+      if (linesProcessor.ended) { return done(); }
 
-      linesProcessor.on('end', resolve);
+      linesProcessor.on('end', done);
       linesProcessor.drain();
     });
   }
 
   /**
-   * Read a stream and pipe it to the line splitter
-   * Can be either a raw request or a file provided by busboy
-   * @param  {Object} source  the stream to read
+   * Read an input stream, which can be either a raw request,
+   * a file provided by busboy or an entry of a zip archive
+   * Compressed streams are decompressed, zip archives are read entry by entry
+   * @param  {Object} source    the stream to read
+   * @param  {String} filename  name of the file, recorded in the report (optional)
    * @return {Promise}
    */
-  function readInputStream(source) {
+  function readInputStream(source, filename) {
     const headers         = source.headers || {};
-    const filename        = source.filename || '';
     const contentType     = headers['content-type'] || source.mimeType || '';
     const contentEncoding = headers['content-encoding'] || '';
-    const isGzip          = gzipTypes.has(contentType) || contentEncoding === 'gzip';
-    const isCsv           = csvTypes.has(contentType) || filename.endsWith('.csv');
 
-    return new Promise((resolve, reject) => {
+    // only accepted encoding is gzip
+    if (contentEncoding && contentEncoding != 'gzip') {
+      return Promise.reject(self.error(4005, 406));
+    }
 
-      // only accepted encoding is gzip
-      if (contentEncoding && contentEncoding != 'gzip') {
-        return reject(self.error(4005, 406));
+    return getCompression(source, contentType, contentEncoding, filename).then(compression => {
+      if (compression === 'zip') {
+        self.logger.info('Part detected as ZIP');
+        return readArchive(source, filename);
       }
 
-      let readStream = source;
+      // files without name are only numbered for checkpoints
+      const fileIndex = ++nbFiles;
+      if (filename) { self.report.set('files', fileIndex, filename); }
 
-      if (isGzip) {
-        self.logger.info('Part detected as GZIP');
+      // Files entirely processed before the checkpoint are skipped
+      if (resumeFrom && fileIndex < resumeFrom.file) {
+        self.logger.info(`Skipping file [${filename || 'N/A'}], already processed`);
+        return skipStream(source);
+      }
 
-        const unzip = zlib.createUnzip();
+      const name     = (filename || '').replace(/\.(gz|bz2|xz)$/i, '');
+      const isCsv    = csvTypes.has(contentType) || name.endsWith('.csv');
+      const isNdjson = ndjsonTypes.has(contentType) || /\.(ndjson|jsonl)$/i.test(name);
 
-        unzip.on('error', err => {
-          uploadError(new Error(`Error while unziping request data: ${err}`), 4002, 400);
+      return readLines(source, { compression, fileIndex, isCsv, isNdjson });
+    });
+  }
+
+  /**
+   * Read a zip archive and process each of its entries as a file
+   * @param  {Object} source       the stream of the archive
+   * @param  {String} archiveName  name of the archive (optional)
+   * @return {Promise}
+   */
+  function readArchive(source, archiveName) {
+    return new Promise((resolve, reject) => {
+      const archive = source.pipe(unzipper.Parse());
+      let entries   = Promise.resolve();
+      let failed    = false;
+
+      archive.on('entry', entry => {
+        if (failed || entry.type !== 'File') { return entry.autodrain(); }
+
+        const filename = archiveName ? `${archiveName}/${entry.path}` : entry.path;
+
+        // entries are read one at a time, the archive is paused until the current one is consumed
+        entries = entries.then(() => {
+          self.logger.info(`Reading archive entry [${filename}]`);
+          return readInputStream(entry, filename);
+        }).catch(err => {
+          failed = true;
+          source.unpipe(archive);
+          entry.autodrain();
+          reject(err);
         });
+      });
 
-        readStream = source.pipe(unzip);
+      archive.on('error', err => {
+        failed = true;
+        uploadError(reject, new Error(`Error while reading zip archive: ${err}`), 4002, 400);
+      });
 
-      }
+      archive.on('close', () => { entries.then(resolve); });
+    });
+  }
 
-      let stream;
-
-      if (isCsv) {
-        self.logger.info('Part detected as CSV');
-        stream = source.pipe(csvParse({
-          'delimiter': ';',
-          'relax_column_count': true,
-          'columns': (columns) => {
-            self.csvColumns = columns;
-            return columns;
-          },
-        }));
+  /**
+   * Consume a stream without processing it
+   * @param  {Object} stream
+   * @return {Promise}
+   */
+  function skipStream(stream) {
+    return new Promise((resolve, reject) => {
+      stream.on('end', resolve);
+      stream.on('error', reject);
+
+      if (typeof stream.autodrain === 'function') {
+        stream.autodrain();
       } else {
-        stream = readStream
-          .pipe(iconv.decodeStream(self.inputCharset))
-          .pipe(new Splitter());
+        stream.resume();
       }
+    });
+  }
 
-      self.onPause  = function () { stream.pause(); };
-      self.onResume = function () { stream.resume(); };
-      self.onAbort  = function (err) {
-        readStream.unpipe();
-        return reject(err || new Error('Job aborted'));
-      };
+  /**
+   * Find out how a stream is compressed, using its MIME type, file name or magic bytes
+   * @param  {Object} source           the stream to read
+   * @param  {String} contentType
+   * @param  {String} contentEncoding
+   * @param  {String} filename
+   * @return {Promise} resolved with gzip, bzip2, xz, zip, or null if not compressed
+   */
+  function getCompression(source, contentType, contentEncoding, filename) {
+    if (contentEncoding === 'gzip') { return Promise.resolve('gzip'); }
 
-      // read input stream line by line
-      stream.on('data', line => {
-        if (line) { linesProcessor.push(line); }
+    for (const compression in compressionTypes) {
+      if (compressionTypes[compression].mimeTypes.has(contentType)) {
+        return Promise.resolve(compression);
+      }
+    }
+
+    for (const compression in compressionTypes) {
+      if (compressionTypes[compression].extension.test(filename || '')) {
+        return Promise.resolve(compression);
+      }
+    }
 
-        // Regularly send dots to prevent the client from timing out
-        if (self.resIsDeferred && needHeartbeat && self.parsedLines) {
-          res.write('.');
-          needHeartbeat = false;
-          setTimeout(() => { needHeartbeat = true; }, 20000);
+    return peek(source).then(chunk => {
+      for (const compression in compressionTypes) {
+        const magic = compressionTypes[compression].magic;
+
+        if (chunk.length >= magic.length && chunk.slice(0, magic.length).equals(magic)) {
+          return compression;
         }
-      });
+      }
+      return null;
+    });
+  }
 
-      stream.on('error', err => {
-        reject(err.code === 'ENOBREAKS' ? self.error(4022, 400) : err);
-      });
+  /**
+   * Read a stream and pipe it to the line splitter
+   * @param  {Object}  source               the stream to read
+   * @param  {Object}  options
+   * @param  {String}  options.compression  gzip, bzip2, xz or null
+   * @param  {Integer} options.fileIndex    index of the file in the request (starting from 1)
+   * @param  {Boolean} options.isCsv        whether the file is a CSV
+   * @param  {Boolean} options.isNdjson     whether the file contains JSON lines
+   * @return {Promise}
+   */
+  function readLines(source, options) {
+    const { compression, fileIndex, isCsv, isNdjson } = options;
 
-      stream.on('end', resolve);
+    return new Promise((resolve, reject) => {
+      let readStream = source;
+
+      if (compression) {
+        self.logger.info(`Part detected as ${compression.toUpperCase()}`);
+
+        const decompressor = compressionTypes[compression].decompress();
+
+        decompressor.on('error', err => {
+          const error = new Error(`Error while decompressing request data: ${err}`);
+          uploadError(reject, error, 4002, 400);
+        });
+
+        readStream = source.pipe(decompressor);
+      }
 
-      function uploadError(err, code, status) {
-        self.logger.error(`Upload error [${err.message}]`);
-        err.code   = code;
-        err.status = status;
-        reject(err);
+      if (resumeFrom && resumeFrom.file === fileIndex && resumeFrom.offset) {
+        readStream = readStream.pipe(new Skipper(resumeFrom.offset));
+      }
+
+      // the charset can be detected using the first chunk of the file
+      const detection = (self.detectCharset && !isCsv)
+        ? peek(readStream).then(detectCharset)
+        : Promise.resolve(self.inputCharset);
+
+      detection.then(pipeLines).catch(reject);
+
+      /**
+       * Decode the stream and push its lines into the line processor
+       * @param {String} charset
+       */
+      function pipeLines(charset) {
+        // size of strings in the input charset, to keep track of the position in the file
+        const byteLength = str => iconv.encode(str, charset, { addBOM: false }).length;
+        const eolSize    = byteLength('\n');
+        const jsonParser = isNdjson ? structuredInput.jsonParser(self.jsonFieldMapping) : null;
+        const w3cParser  = isNdjson ? null : structuredInput.w3cParser();
+        let stream;
+
+        if (checkpointer) {
+          checkpointer.setFile(fileIndex);
+          if (isCsv) { checkpointer.disable('CSV input'); }
+        }
+
+        if (isNdjson) { self.logger.info('Part detected as JSON lines'); }
+
+        if (isCsv) {
+          self.logger.info('Part detected as CSV');
+          stream = readStream.pipe(csvParse({
+            'delimiter': ';',
+            'relax_column_count': true,
+            'columns': (columns) => {
+              self.inputColumns = columns;
+              return columns;
+            },
+          }));
+        } else {
+          stream = readStream
+            .pipe(iconv.decodeStream(charset, {
+              stripBOM: () => {
+                if (checkpointer) { checkpointer.advance(byteLength('\ufeff')); }
+              }
+            }))
+            .pipe(new Splitter());
+        }
+
+        self.onPause  = function () { stream.pause(); };
+        self.onResume = function () { stream.resume(); };
+        self.onAbort  = function (err) {
+          readStream.unpipe();
+          return reject(err || new Error('Job aborted'));
+        };
+
+        // read input stream line by line
+        stream.on('data', line => {
+          if (typeof line === 'string') {
+            if (checkpointer) {
+              checkpointer.advance(byteLength(line) + eolSize);
+            }
+            line = line.replace(/\r$/, '');
+
+            if (line) { pushLine(line); }
+          } else {
+            linesProcessor.push(line);
+          }
+
+          // Regularly send dots to prevent the client from timing out
+          if (self.resIsDeferred && needHeartbeat && self.parsedLines) {
+            res.write('.');
+            needHeartbeat = false;
+            setTimeout(() => { needHeartbeat = true; }, 20000);
+          }
+        });
+
+        stream.on('error', err => {
+          reject(err.code === 'ENOBREAKS' ? self.error(4022, 400) : err);
+        });
+
+        stream.on('end', resolve);
+
+        /**
+         * Push a text line into the line processor
+         * JSON lines and W3C lines are turned into ECs using their fields
+         * @param {String} line
+         */
+        function pushLine(line) {
+          if (jsonParser) {
+            const ec = jsonParser.parse(line);
+
+            if (ec && !self.inputColumns) { self.inputColumns = jsonParser.getColumns(ec); }
+            return linesProcessor.push(line, ec);
+          }
+
+          if (w3cParser.isDirective(line)) {
+            if (w3cParser.directive(line)) {
+              self.logger.info('Part detected as W3C extended log');
+              self.inputColumns = self.inputColumns || w3cParser.getColumns();
+
+              // the columns are only known from the directive, we can't resume after it
+              if (checkpointer) { checkpointer.disable('W3C input'); }
+            }
+            return;
+          }
+
+          if (w3cParser.isReady()) {
+            return linesProcessor.push(line, w3cParser.parse(line));
+          }
+
+          linesProcessor.push(line);
+        }
       }
     });
   }
+
+  /**
+   * Detect the charset of a chunk of data, and record it in the report
+   * Fall back to the default charset if it can't be detected or decoded
+   * @param  {Buffer} chunk
+   * @return {String} the charset to use
+   */
+  function detectCharset(chunk) {
+    const result     = jschardet.detect(chunk.slice(0, 65536)) || {};
+    const detected   = result.encoding;
+    const confidence = result.confidence || 0;
+
+    self.logger.info(`Detected charset: ${detected || 'unknown'} (confidence: ${confidence})`);
+    self.report.set('general', 'input-charset', detected || 'unknown');
+    self.report.set('general', 'input-charset-confidence', confidence);
+
+    // ASCII is a subset of UTF-8, which is more tolerant if other characters come later
+    if (!detected || detected === 'ascii' || !iconv.encodingExists(detected)) {
+      return self.inputCharset;
+    }
+
+    return detected;
+  }
+
+  /**
+   * Reject with an upload error
+   * @param {Function} reject
+   * @param {Error}    err
+   * @param {Integer}  code    ezPAARSE status code
+   * @param {Integer}  status  HTTP status
+   */
+  function uploadError(reject, err, code, status) {
+    self.logger.error(`Upload error [${err.message}]`);
+    err.code   = code;
+    err.status = status;
+    reject(err);
+  }
 };
+
+/**
+ * Read the first chunk of a stream and put it back in the stream
+ * @param  {Object} stream
+ * @return {Promise} resolved with the chunk (empty if the stream has no data)
+ */
+function peek(stream) {
+  return new Promise((resolve, reject) => {
+    const onReadable = () => {
+      cleanup();
+      const chunk = stream.read();
+      if (chunk) { stream.unshift(chunk); }
+      resolve(chunk || Buffer.alloc(0));
+    };
+    const onEnd = () => {
+      cleanup();
+      resolve(Buffer.alloc(0));
+    };
+    const onError = err => {
+      cleanup();
+      reject(err);
+    };
+
+    function cleanup() {
+      stream.removeListener('readable', onReadable);
+      stream.removeListener('end', onEnd);
+      stream.removeListener('error', onError);
+    }
+
+    stream.on('readable', onReadable);
+    stream.on('end', onEnd);
+    stream.on('error', onError);
+  });
+}
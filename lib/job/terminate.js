@@ -5,6 +5,7 @@ const path = require('path');
 
 const config = require('../config.js');
 const mailer = require('../mailer.js');
+const sushi  = require('../sushi.js');
 
 /**
  * Close all streams, finalize report and close response
@@ -15,8 +16,10 @@ module.exports = function* terminateResponse(req, res) {
   this.logger.info('Terminating response');
 
   // If request ended and no buffer left, terminate the response
-  if (this.writerStarted)       { this.writer.writeEnd(); }
-  if (this.deniedWriterStarted) { this.deniedWriter.writeEnd(); }
+  // Some writers (ie. XLSX) return a promise, resolved when their output is complete
+  if (this.writerStarted)       { yield Promise.resolve(this.writer.writeEnd()); }
+  if (this.deniedWriterStarted) { yield Promise.resolve(this.deniedWriter.writeEnd()); }
+  if (this.splitWriter)         { yield this.splitWriter.end(); }
 
   // No parsed lines = wrong format
   // If the headers are been sent, an upload error occured
@@ -24,17 +27,27 @@ module.exports = function* terminateResponse(req, res) {
     return Promise.reject(this.error(4003, 400));
   }
 
-  const reports = this.counterReporter.getReports(this.counterFormat);
+  const reports = this.counterReporter.getReports();
   for (let type in reports) {
     yield new Promise((resolve, reject) => {
       fs.writeFile(
-        path.join(this.jobPath, `${type}.${this.counterFormat}`),
-        reports[type],
+        path.join(this.jobPath, `${type}.${reports[type].format}`),
+        reports[type].content,
         err => { resolve(); }
       );
     });
   }
 
+  // Save the usage harvested through the SUSHI API, the job doesn't fail if it can't
+  if (this.sushiCustomer) {
+    try {
+      const nbAggregates = yield sushi.save(this);
+      this.logger.info(`${nbAggregates} COUNTER aggregates saved for ${this.sushiCustomer.id}`);
+    } catch (e) {
+      this.logger.error(`Failed to save COUNTER usage: ${e.message}`);
+    }
+  }
+
   this.report.set('general', 'Job-Done', true);
   this.logger.info(`${this.report.get('general', 'nb-lines-input')} lines were read`);
   this.logger.info(`${this.report.get('general', 'nb-ecs')} ECs were created`);
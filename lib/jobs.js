@@ -1,6 +1,141 @@
 'use strict';
 
 /**
- * Shared object which contains temporary data about ezPAARSE jobs
+ * Registry of ezPAARSE jobs
+ * Running Job instances are kept in memory, while their state is persisted
+ * in MongoDB so that it survives a restart of the application
  */
-module.exports = {};
\ No newline at end of file
+
+const mongo = require('./mongo.js');
+
+const running  = new Map();
+const registry = {};
+
+/**
+ * Headers that should never be stored with the job state
+ */
+const privateHeaders = new Set([
+  'authorization',
+  'cookie',
+  'proxy-authorization'
+]);
+
+function collection() {
+  return mongo.getCollection('jobs');
+}
+
+/**
+ * Add a running job to the registry
+ * @param {Object} job  the Job instance
+ */
+registry.add = function (job) {
+  running.set(job.jobID, job);
+};
+
+/**
+ * Remove a job from the running jobs
+ * @param {String} jobID
+ */
+registry.remove = function (jobID) {
+  running.delete(jobID);
+};
+
+/**
+ * Get a running job
+ * @param  {String} jobID
+ * @return {Object} the Job instance if running, otherwise undefined
+ */
+registry.get = function (jobID) {
+  return running.get(jobID);
+};
+
+/**
+ * Get the IDs of running jobs
+ * @return {Array}
+ */
+registry.ids = function () {
+  return Array.from(running.keys());
+};
+
+/**
+ * Remove sensitive data from a set of request headers
+ * @param  {Object} headers
+ * @return {Object} a filtered copy of the headers
+ */
+registry.filterHeaders = function (headers) {
+  const filtered = {};
+
+  for (const name in headers) {
+    if (!privateHeaders.has(name.toLowerCase())) {
+      filtered[name] = headers[name];
+    }
+  }
+
+  return filtered;
+};
+
+/**
+ * Persist the state of a job, creating it if needed
+ * @param  {String} jobID
+ * @param  {Object} state  fields to set
+ * @return {Promise}
+ */
+registry.save = function (jobID, state) {
+  const jobs = collection();
+  if (!jobs) { return Promise.resolve(); }
+
+  const now = new Date();
+
+  return jobs.updateOne(
+    { id: jobID },
+    {
+      $set: Object.assign({}, state, { updatedAt: now }),
+      $setOnInsert: { id: jobID, createdAt: now }
+    },
+    { upsert: true }
+  );
+};
+
+/**
+ * Get the persisted state of a job
+ * @param  {String} jobID
+ * @return {Promise} resolved with the job state, or null if not found
+ */
+registry.find = function (jobID) {
+  const jobs = collection();
+  if (!jobs) { return Promise.resolve(null); }
+
+  return jobs.findOne({ id: jobID }, { projection: { _id: 0 } });
+};
+
+/**
+ * Delete the persisted state of a job
+ * @param  {String} jobID
+ * @return {Promise}
+ */
+registry.delete = function (jobID) {
+  const jobs = collection();
+  if (!jobs) { return Promise.resolve(); }
+
+  return jobs.deleteOne({ id: jobID });
+};
+
+/**
+ * Create indexes and mark jobs left running or queued by a previous process as interrupted
+ * Should be called once, when the application starts
+ * @return {Promise} resolved with the number of interrupted jobs
+ */
+registry.init = async function () {
+  const jobs = collection();
+
+  await jobs.createIndex({ id: 1 }, { unique: true });
+
+  const result = await jobs.updateMany(
+    { status: { $in: ['running', 'queued'] } },
+    { $set: { status: 'interrupted', updatedAt: new Date() } }
+  );
+
+  return result.modifiedCount;
+};
+
+module.exports = registry;
@@ -5,6 +5,50 @@ const util         = require('util');
 const co           = require('co');
 const crypto       = require('crypto');
 const Organizer    = require('./organizer.js');
+const parserPool   = require('./parserpool.js');
+const metrics      = require('./metrics.js');
+
+// Number of lines sent at once to a parser worker
+const batchSize     = 500;
+// Number of lines being parsed by workers above which the input should be paused
+const maxInflight   = 10000;
+// Number of lines used to detect the log format
+const sampleSize    = 50;
+// Number of candidate formats listed in the report
+const maxCandidates = 5;
+
+/**
+ * Check if a date is within a date range
+ * Bounds apply to the same part of the date, so that 2026-03 includes the whole month
+ * @param  {Object}  range  { start, end } the bounds can be YYYY, YYYY-MM or YYYY-MM-DD
+ * @param  {String}  date   YYYY-MM-DD
+ * @return {Boolean}
+ */
+function isInRange(range, date) {
+  if (!date) { return false; }
+
+  if (range.start && date.substr(0, range.start.length) < range.start) { return false; }
+  if (range.end && date.substr(0, range.end.length) > range.end) { return false; }
+
+  return true;
+}
+
+/**
+ * Check if an EC is excluded by the lists of the institution that owns the job
+ * Lists are only applied if the corresponding filter is enabled
+ * @param  {Object} job
+ * @param  {Object} ec
+ * @return {String} the reason of the exclusion (ignored-hosts, ignored-domains, robots-ecs) or null
+ */
+function getExclusion(job, ec) {
+  const { filters, exclusions } = job;
+
+  if (filters.hosts && exclusions.hosts.has(ec.host))       { return 'ignored-hosts'; }
+  if (filters.domains && exclusions.domains.has(ec.domain)) { return 'ignored-domains'; }
+  if (filters.robots && exclusions.robots.has(ec.host))     { return 'robots-ecs'; }
+
+  return null;
+}
 
 /**
  * Create a Line Processor
@@ -21,8 +65,30 @@ const LinesProcessor = function (job) {
     return this.emit('end');
   }
 
+  // When resuming a job, keep numbering ECs from the checkpoint
+  if (job.checkpoint) {
+    ecNumber  = job.checkpoint.lineNumber || 0;
+    firstLine = false;
+  }
+
   const logParser   = job.logParser;
-  const ecOrganizer = new Organizer();
+  const ecOrganizer = new Organizer(ecNumber);
+  const useWorkers  = parserPool.isEnabled();
+
+  let batch      = [];
+  let batchTimer = null;
+  let inflight   = 0;
+  let saturated  = false;
+  let onIdle     = null;
+
+  // When the format is not given, the first lines are kept until it's detected
+  let sample = logParser.needsDetection() ? [] : null;
+
+  if (useWorkers) {
+    job.report.set('general', 'parser-workers', parserPool.size);
+  } else if (parserPool.isUnsupported()) {
+    job.logger.warn('Parser workers are not supported by this version of Node.js');
+  }
 
   ecOrganizer.on('ec', ec => {
     job.counterReporter.count(ec);
@@ -44,14 +110,24 @@ const LinesProcessor = function (job) {
   /**
    * Parse a line and push the resulting EC into the enhancement process (if valid)
    * @param  {String} line
+   * @param  {Object} structured  EC extracted from a structured line (JSON, W3C),
+   *                              null if the line couldn't be read (optional)
    */
-  this.push = function processLine(line) {
-    let isObjectSource = (typeof line === 'object');
+  this.push = function processLine(line, structured) {
+    let isObjectSource = (typeof line === 'object') || (structured !== undefined);
     let ec;
 
-    if (isObjectSource) {
+    if (sample && !isObjectSource) {
+      sample.push(line);
+      if (sample.length >= sampleSize) { detectFormat(); }
+      return;
+    }
+
+    if (typeof line === 'object') {
       ec = line;
       line = JSON.stringify(line);
+    } else if (structured) {
+      ec = structured;
     }
 
     if (firstLine) {
@@ -65,8 +141,14 @@ const LinesProcessor = function (job) {
     line = line.replace(/\r$/, '');
 
     if (!line) { return; }
-    if (!ec) {
-      // If an EC is already defined, we got a CSV source
+
+    // Once the format is known, lines can be parsed by the worker pool
+    if (useWorkers && job.parsedLines && !isObjectSource) {
+      return queueLine(line);
+    }
+
+    if (!ec && !isObjectSource) {
+      // If an EC is already defined, we got a CSV or structured source
       ec = logParser.parse(line, {
         ignoreUrl: true,
         ignoreDate: true
@@ -102,7 +184,7 @@ const LinesProcessor = function (job) {
         // We can't do it before because we need to process one line to autodetect the format
         job.addOutputFields(logParser.getFields());
       } else {
-        job.addOutputFields(job.csvColumns);
+        job.addOutputFields(job.inputColumns);
       }
     }
 
@@ -112,6 +194,41 @@ const LinesProcessor = function (job) {
       ec['log_id'] = crypto.createHash('sha1').update(line).digest('hex');
     }
 
+    enhance(ec, line, ++ecNumber, { isObjectSource });
+  };
+
+  /**
+   * Detect the log format using the sample lines, then process them
+   * The formats that matched are listed in the report
+   */
+  const detectFormat = () => {
+    const lines = sample;
+    sample = null;
+
+    if (lines.length === 0) { return; }
+
+    job.logger.info(`Detecting the log format using ${lines.length} line(s)`);
+
+    const candidates = logParser.detect(lines.map(line => line.replace(/\r$/, '')));
+
+    candidates.slice(0, maxCandidates).forEach((candidate, i) => {
+      job.report.set('format-detection', `candidate-${i + 1}`,
+        `${candidate.proxy}: ${candidate.format}`
+        + ` (${candidate.matchRate}% of lines, ${candidate.properties} properties)`);
+    });
+
+    lines.forEach(line => { this.push(line); });
+  };
+
+  /**
+   * Complete a parsed EC and push it through the middlewares
+   * @param {Object}  ec
+   * @param {String}  line        the original line
+   * @param {Integer} lineNumber  the position of the EC in the output
+   * @param {Object}  options     isObjectSource: the EC comes from a CSV or a structured line
+   *                              parsed: URL and date were already parsed by a worker
+   */
+  function enhance(ec, line, lineNumber, options) {
     // Versions
     if (!ec['ezpaarse_version']) {
       ec['ezpaarse_version'] = job.report.get('general', 'git-tag');
@@ -138,13 +255,29 @@ const LinesProcessor = function (job) {
       ec['middlewares'] = job.report.get('general', 'middlewares');
     }
 
-    logParser.parseUrl(ec);
-    logParser.parseDate(ec, { ignoreFormat: isObjectSource });
+    if (!options.parsed) {
+      logParser.parseUrl(ec);
+      logParser.parseDate(ec, { ignoreFormat: options.isObjectSource });
+    }
+
+    // Lines out of the requested date range don't go through the middlewares
+    if (job.dateRange && !isInRange(job.dateRange, ec.date)) {
+      job.report.inc('rejets', 'nb-lines-out-of-range');
+      return ecOrganizer.skip(lineNumber);
+    }
+
+    const exclusion = job.exclusions && getExclusion(job, ec);
+
+    if (exclusion) {
+      job.report.inc('rejets', `nb-lines-${exclusion}`);
+      job.logStreams.write(exclusion, line + '\n');
+      return ecOrganizer.skip(lineNumber);
+    }
 
     Object.defineProperty(ec, '_meta', {
       value: {
         originalLine: line,
-        lineNumber: ++ecNumber,
+        lineNumber: lineNumber,
       },
       writable: true,
       enumerable: false,
@@ -152,9 +285,12 @@ const LinesProcessor = function (job) {
     });
 
     co(function* () {
-      for (const mw of job.middlewares) {
+      for (const [i, mw] of job.middlewares.entries()) {
+        const endTimer = metrics.timeMiddleware(job.middlewareNames[i]);
+
         yield new Promise((resolve, reject) => {
           mw(ec, err => {
+            endTimer();
             if (err) { reject(err); }
             else { resolve(); }
           });
@@ -166,6 +302,13 @@ const LinesProcessor = function (job) {
         job.report.inc('rejets', 'nb-lines-pkb-miss-ecs');
       }
 
+      if (job.ecFilter && !job.ecFilter(ec)) {
+        job.report.inc('rejets', 'nb-lines-excluded-ecs');
+        job.logStreams.write('filtered-ecs', ec._meta.originalLine + '\n');
+        ecOrganizer.skip(ec._meta.lineNumber);
+        return;
+      }
+
       if (ec._meta.granted === false) {
         emit('denied', ec);
         ecOrganizer.skip(ec._meta.lineNumber);
@@ -173,9 +316,119 @@ const LinesProcessor = function (job) {
         ecOrganizer.push(ec);
       }
     }).catch(err => handleError(err, ec));
+  }
+
+  /**
+   * Add a line to the next batch sent to the parser workers
+   * The line gets its position right away, so that the output order is preserved
+   * @param {String} line
+   */
+  function queueLine(line) {
+    batch.push({ line, lineNumber: ++ecNumber });
+    inflight++;
+
+    if (batch.length >= batchSize) {
+      sendBatch();
+    } else if (!batchTimer) {
+      batchTimer = setImmediate(sendBatch);
+    }
+
+    if (!saturated && inflight >= maxInflight) {
+      saturated = true;
+      emit('saturated');
+    }
+  }
+
+  /**
+   * Send the current batch to the parser workers, then process the resulting ECs
+   * If a worker fails, the lines are parsed on the main thread
+   * If the ECs can't be processed, the job is stopped
+   */
+  function sendBatch() {
+    clearImmediate(batchTimer);
+    batchTimer = null;
+
+    if (batch.length === 0) { return; }
+
+    const lines   = batch;
+    const options = {
+      proxy: logParser.getProxy(),
+      format: logParser.getFormat(),
+      dateFormat: logParser.getDateFormat()
+    };
+    batch = [];
+
+    parserPool.parse(options, lines.map(l => l.line)).catch(err => {
+      job.logger.warn(`Parser worker failed, parsing lines locally: ${err.message}`);
+      return { results: lines.map(l => logParser.parse(l.line)) };
+    }).then(({ results, worker }) => {
+      if (worker) {
+        const entry = `nb-lines-worker-${worker}`;
+        job.report.set('general', entry, (job.report.get('general', entry) || 0) + lines.length);
+      }
+
+      results.forEach((ec, i) => {
+        const { line, lineNumber } = lines[i];
+
+        if (!ec) {
+          job.logStreams.write('unknown-formats', line + '\n');
+          job.report.inc('rejets', 'nb-lines-unknown-formats');
+          return ecOrganizer.skip(lineNumber);
+        }
+
+        if (!ec['log_id']) {
+          ec['log_id'] = crypto.createHash('sha1').update(line).digest('hex');
+        }
+
+        enhance(ec, line, lineNumber, { parsed: true });
+      });
+    }).catch(err => {
+      job.logger.error(`Failed to process the lines parsed by workers: ${err.message}`);
+      job._stop(err);
+    }).then(() => {
+      inflight -= lines.length;
+
+      if (saturated && inflight <= maxInflight / 2) {
+        saturated = false;
+        emit('drain');
+      }
+      if (inflight === 0 && onIdle) {
+        const whenIdle = onIdle;
+        onIdle = null;
+        whenIdle();
+      }
+    });
+  }
+
+  /**
+   * Get the number of the last EC that went through the whole process
+   * @return {Integer}
+   */
+  this.lastLineNumber = function () {
+    return ecOrganizer.lastFlushed();
+  };
+
+  /**
+   * Get the number of ECs still being processed
+   * @return {Integer}
+   */
+  this.pending = function () {
+    return ecNumber + (sample ? sample.length : 0) - ecOrganizer.lastFlushed();
   };
 
   this.drain = function () {
+    if (sample) { detectFormat(); }
+    sendBatch();
+
+    // Wait for the lines being parsed by workers
+    if (inflight > 0) {
+      onIdle = drainMiddlewares;
+    } else {
+      drainMiddlewares();
+    }
+  };
+
+  function drainMiddlewares() {
     ecOrganizer.setLast(ecNumber);
 
     co(function* () {
@@ -188,7 +441,7 @@ const LinesProcessor = function (job) {
         });
       }
     });
-  };
+  }
 
   function handleError(err, ec) {
     ecOrganizer.skip(ec._meta.lineNumber);
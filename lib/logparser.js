@@ -3,13 +3,23 @@
 
 var URL     = require('url');
 var moment  = require('moment');
-var formats = require('../resources/auto-formats.js');
+var formats = Object.assign({}, require('../resources/auto-formats.js'));
 var extractors = {
-  'ezproxy': require('./proxyformats/ezproxy.js'),
-  'squid':   require('./proxyformats/squid.js'),
-  'apache':  require('./proxyformats/apache.js')
+  'ezproxy':   require('./proxyformats/ezproxy.js'),
+  'squid':     require('./proxyformats/squid.js'),
+  'apache':    require('./proxyformats/apache.js'),
+  'nginx':     require('./proxyformats/nginx.js'),
+  'haproxy':   require('./proxyformats/haproxy.js'),
+  'bibliopam': require('./proxyformats/bibliopam.js')
 };
 
+// Native formats are guessed after those of the resources
+var nativeFormats = require('./proxyformats/auto-formats.js');
+
+for (var nativeProxy in nativeFormats) {
+  formats[nativeProxy] = (formats[nativeProxy] || []).concat(nativeFormats[nativeProxy]);
+}
+
 /**
  * Create a log parser
  * @param  {Object} options -> [proxy] the proxy name (ex: ezproxy)
@@ -20,8 +30,10 @@ var extractors = {
  * @return {Object} the parser
  */
 module.exports = function logParser(options) {
-  options            = options || {};
-  options.dateFormat = options.dateFormat || 'DD/MMM/YYYY:HH:mm:ss Z';
+  options = options || {};
+
+  var customDateFormat = !!options.dateFormat;
+  options.dateFormat   = options.dateFormat || 'DD/MMM/YYYY:HH:mm:ss Z';
 
   var parser = {};
   var extractor;
@@ -30,49 +42,112 @@ module.exports = function logParser(options) {
   if (options.proxy) {
     if (typeof extractors[options.proxy] === 'function') {
       extractor = extractors[options.proxy](options.format, options.laxist);
+
+      // Some formats imply a date format, unless one is given
+      if (extractor && extractor.dateFormat && !customDateFormat) {
+        options.dateFormat = extractor.dateFormat;
+      }
     } else {
       extractor = null;
     }
   }
 
   /**
-   * Try standard formats on the given line
+   * Score every standard format against sample lines, and use the best one
+   * Formats are ranked by the number of lines they match,
+   * then by the average number of properties they capture
    * Parser options are overriden
-   * @param  {String} line the log line to parse
-   * @return {Object}      the resulting EC or null
+   * @param  {Array} lines  the log lines to test
+   * @return {Array}        the matching formats, best first:
+   *                        { proxy, format, dateFormat, matchRate, properties }
    */
-  parser.guess = function (line) {
+  parser.detect = function (lines) {
     autoDetect = true;
+    lines      = lines.filter(function (line) { return line; });
+
+    var candidates = [];
 
     for (var proxy in formats) {
+      if (typeof extractors[proxy] !== 'function') { continue; }
+
       var proxyFormats = formats[proxy];
 
       for (var i = 0, l = proxyFormats.length; i < l; i++) {
         var autoFormat = proxyFormats[i];
 
         if (!autoFormat.format) { continue; }
-        if (typeof extractors[proxy] !== 'function') { continue; }
 
-        options.proxy      = proxy;
-        options.format     = autoFormat.format;
-        options.dateFormat = autoFormat.dateFormat || 'DD/MMM/YYYY:HH:mm:ss Z';
+        var candidateExtractor = extractors[proxy](autoFormat.format);
+        if (!candidateExtractor) { continue; }
 
-        extractor = extractors[proxy](autoFormat.format);
-        if (!extractor) { continue; }
+        var matched  = 0;
+        var captured = 0;
 
-        var ec = parser.extract(line);
+        lines.forEach(function (line) {
+          var match = candidateExtractor.regexp.exec(line);
+          if (!match) { return; }
 
-        if (ec) {
-          if (options.logger) {
-            options.logger.info('Format found: ' + options.format + ' (' + proxy + ')');
-          }
-          return ec;
-        }
+          matched++;
+          captured += match.slice(1).filter(function (v) { return v && v !== '-'; }).length;
+        });
+
+        if (matched === 0) { continue; }
+
+        candidates.push({
+          proxy:      proxy,
+          format:     autoFormat.format,
+          dateFormat: autoFormat.dateFormat || 'DD/MMM/YYYY:HH:mm:ss Z',
+          matchRate:  Math.round(matched / lines.length * 1000) / 10,
+          properties: Math.round(captured / matched * 10) / 10,
+          extractor:  candidateExtractor
+        });
       }
     }
 
-    extractor = undefined;
-    return null;
+    // sort is stable, formats with the same score keep the order of declaration
+    candidates.sort(function (a, b) {
+      return (b.matchRate - a.matchRate) || (b.properties - a.properties);
+    });
+
+    var best = candidates[0];
+
+    if (best) {
+      options.proxy      = best.proxy;
+      options.format     = best.format;
+      options.dateFormat = best.dateFormat;
+      extractor          = best.extractor;
+
+      if (options.logger) {
+        options.logger.info('Format found: ' + options.format + ' (' + options.proxy + ')'
+          + ', matching ' + best.matchRate + '% of ' + lines.length + ' line(s)');
+      }
+    } else {
+      extractor = undefined;
+    }
+
+    return candidates.map(function (candidate) {
+      delete candidate.extractor;
+      return candidate;
+    });
+  };
+
+  /**
+   * Try standard formats on the given line
+   * Parser options are overriden
+   * @param  {String} line the log line to parse
+   * @return {Object}      the resulting EC or null
+   */
+  parser.guess = function (line) {
+    parser.detect([line]);
+    return parser.extract(line);
+  };
+
+  /**
+   * Check if the format still has to be detected
+   * @return {Boolean}
+   */
+  parser.needsDetection = function () {
+    return extractor === undefined;
   };
 
   /**
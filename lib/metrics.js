@@ -0,0 +1,138 @@
+'use strict';
+
+/**
+ * Metrics of the application, exposed in the Prometheus text format
+ * Counters are updated by the job pipeline, gauges are computed when metrics are rendered
+ */
+
+const client = require('prom-client');
+const mongo  = require('./mongo.js');
+const jobs   = require('./jobs.js');
+
+const register = new client.Registry();
+const metrics  = {};
+
+// Process metrics, including the event loop lag
+client.collectDefaultMetrics({ register, timeout: 5000 });
+
+const runningJobs = new client.Gauge({
+  name: 'ezpaarse_jobs_running',
+  help: 'Number of running jobs',
+  registers: [register]
+});
+
+const queuedJobs = new client.Gauge({
+  name: 'ezpaarse_jobs_queued',
+  help: 'Number of jobs waiting in the queue',
+  registers: [register]
+});
+
+const finishedJobs = new client.Counter({
+  name: 'ezpaarse_jobs_finished_total',
+  help: 'Number of finished jobs, by status (done, cancelled, error)',
+  labelNames: ['status'],
+  registers: [register]
+});
+
+const linesRead = new client.Counter({
+  name: 'ezpaarse_lines_read_total',
+  help: 'Number of log lines read',
+  registers: [register]
+});
+
+const producedECs = new client.Counter({
+  name: 'ezpaarse_ecs_total',
+  help: 'Number of consultation events produced',
+  registers: [register]
+});
+
+const rejectedLines = new client.Counter({
+  name: 'ezpaarse_rejected_lines_total',
+  help: 'Number of rejected lines, by reason (like the rejects of the job reports)',
+  labelNames: ['reason'],
+  registers: [register]
+});
+
+const middlewareDuration = new client.Histogram({
+  name: 'ezpaarse_middleware_duration_seconds',
+  help: 'Time taken by the middlewares to process an EC',
+  labelNames: ['middleware'],
+  buckets: [0.0001, 0.0005, 0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1, 5, 30],
+  registers: [register]
+});
+
+const pkbCacheRequests = new client.Counter({
+  name: 'ezpaarse_pkb_cache_requests_total',
+  help: 'Number of PKB requests, by result (hit if the PKB was already loaded, miss otherwise)',
+  labelNames: ['result'],
+  registers: [register]
+});
+
+const mongoUp = new client.Gauge({
+  name: 'ezpaarse_mongodb_up',
+  help: 'Whether the application is connected to MongoDB (1) or not (0)',
+  registers: [register]
+});
+
+/**
+ * Content type of the rendered metrics
+ */
+metrics.contentType = register.contentType;
+
+/**
+ * Update the metrics matching a report entry that was incremented
+ * Only lines, ECs and rejects are counted
+ * @param {String} group
+ * @param {String} entry
+ */
+metrics.countReport = function (group, entry) {
+  if (group === 'rejets') {
+    rejectedLines.inc({ reason: entry.replace(/^nb-lines-/, '') });
+  } else if (group === 'general') {
+    if (entry === 'nb-lines-input') { linesRead.inc(); }
+    if (entry === 'nb-ecs')         { producedECs.inc(); }
+  }
+};
+
+/**
+ * Count a finished job
+ * @param {String} status  done, cancelled or error
+ */
+metrics.jobFinished = function (status) {
+  finishedJobs.inc({ status });
+};
+
+/**
+ * Start measuring the time taken by a middleware to process an EC
+ * @param  {String}   name  name of the middleware
+ * @return {Function} to call when the EC is processed
+ */
+metrics.timeMiddleware = function (name) {
+  return middlewareDuration.startTimer({ middleware: name });
+};
+
+/**
+ * Count a PKB request
+ * @param {Boolean} hit  whether the PKB was already loaded
+ */
+metrics.pkbRequest = function (hit) {
+  pkbCacheRequests.inc({ result: hit ? 'hit' : 'miss' });
+};
+
+/**
+ * Render all metrics in the Prometheus text format
+ * @return {String}
+ */
+metrics.render = function () {
+  // Required lazily, as the queue depends on this module through the Job class
+  // eslint-disable-next-line global-require
+  const queue = require('./queue.js');
+
+  runningJobs.set(jobs.ids().length);
+  queuedJobs.set(queue.pending.length);
+  mongoUp.set(mongo.client && mongo.client.isConnected() ? 1 : 0);
+
+  return register.metrics({ timestamps: false });
+};
+
+module.exports = metrics;
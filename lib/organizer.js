@@ -5,11 +5,12 @@ var util         = require('util');
 
 /**
  * Create an EC organizer, used to put ECs in a good order
+ * @param {Integer} start  number of the last EC already processed (defaults to 0)
  */
-function Organizer() {
+function Organizer(start) {
   var self   = this;
   var buffer = new Map();
-  var next   = 1;
+  var next   = (start || 0) + 1;
   var last   = false;
 
   /**
@@ -61,6 +62,14 @@ function Organizer() {
     buffer.set(n, false);
     if (n == next) { freeNext(); }
   };
+
+  /**
+   * Get the number of the last EC emitted or skipped
+   * @return {Integer}
+   */
+  self.lastFlushed = function () {
+    return next - 1;
+  };
 }
 util.inherits(Organizer, EventEmitter);
 module.exports = Organizer;
@@ -0,0 +1,113 @@
+'use strict';
+
+var EventEmitter = require('events').EventEmitter;
+var util         = require('util');
+
+/**
+ * Provides methods to write ECs into a stream as delimiter-separated values (CSV, TSV...)
+ * @param {Object} outputStream the stream to write into
+ * @param {Array}  outputFields the default fields to use as headers
+ * @param {Object} options
+ *                 - delimiter: character separating the values (default: ";")
+ *                 - quote: quoting of the values, "minimal" (default), "all" or "none"
+ *                 - bom: true to write a byte order mark before the header
+ */
+var Writer = function (outputStream, outputFields, options) {
+  var self     = this;
+  outputFields = outputFields || [];
+  options      = options || {};
+
+  var delimiter = options.delimiter || ';';
+  var quote     = options.quote || 'minimal';
+
+  // values containing one of these characters are quoted in "minimal" mode
+  var specialChars = new RegExp(`["\r\n${delimiter.replace(/[\\\]^-]/g, '\\$&')}]`);
+
+  outputStream.on('drain', function () {
+    self.emit('drain');
+  });
+
+  /**
+   * Add or remove fields from the default ones, or replace them
+   * @param {Object} fields added and removed fields, or columns
+   */
+  function setFields(fields) {
+    // with an output mapping, the exact list of columns is given
+    if (fields.columns) {
+      outputFields = fields.columns.slice();
+      return;
+    }
+
+    fields.added.forEach(function (field) {
+      if (outputFields.indexOf(field) === -1) {
+        outputFields.push(field);
+      }
+    });
+
+    fields.removed.forEach(function (field) {
+      var index = outputFields.indexOf(field);
+      if (index !== -1) {
+        outputFields.splice(index, 1);
+      }
+    });
+  }
+
+  /**
+   * Format a value according to the quoting mode
+   * Without quotes, line breaks and delimiters are replaced with spaces
+   * @param  {Mixed}  value
+   * @return {String}
+   */
+  function format(value) {
+    var str = (value === undefined || value === null) ? '' : value.toString().trim();
+
+    switch (quote) {
+    case 'none':
+      return str.split(delimiter).join(' ').replace(/\r?\n|\r/g, ' ');
+    case 'all':
+      return `"${str.replace(/"/g, '""')}"`;
+    default:
+      return specialChars.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    }
+  }
+
+  /**
+   * Called before writing the first EC
+   * @param {Object} fields fields to use as headers
+   */
+  self.writeHead = function (fields) {
+    setFields(fields);
+
+    var header = outputFields.map(format).join(delimiter);
+
+    outputStream.write(`${options.bom ? '\ufeff' : ''}${header}\n`);
+  };
+
+  /**
+   * Called instead of writeHead when appending to results that already have a header
+   * @param {Object} fields fields to use as headers
+   */
+  self.resume = function (fields) {
+    setFields(fields);
+  };
+
+  /**
+   * Called at at the end of writing
+   */
+  self.writeEnd = function () {};
+
+  /**
+   * Write an EC
+   * @param {Object} ec the EC to write
+   */
+  self.write = function (ec) {
+    var str = outputFields.map(function (field) { return format(ec[field]); }).join(delimiter);
+
+    if (!outputStream.write(`${str}\n`)) {
+      self.emit('saturated');
+    }
+  };
+};
+
+util.inherits(Writer, EventEmitter);
+module.exports = Writer;
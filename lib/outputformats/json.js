@@ -22,6 +22,13 @@ var Writer = function (outputStream) {
     outputStream.write('[');
   };
 
+  /**
+   * Called instead of writeHead when appending to results that already contain ECs
+   */
+  self.resume = function () {
+    delimiter = ',';
+  };
+
   /**
    * Called at at the end of writing
    */
@@ -21,6 +21,13 @@ var Writer = function (outputStream) {
   self.writeHead = function () {
   };
 
+  /**
+   * Called instead of writeHead when appending to results that already contain ECs
+   */
+  self.resume = function () {
+    firstLine = false;
+  };
+
   /**
    * Called at at the end of writing
    */
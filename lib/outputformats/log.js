@@ -19,6 +19,11 @@ var Writer = function (outputStream) {
    */
   self.writeHead = function () {};
 
+  /**
+   * Called instead of writeHead when appending to results that already contain ECs
+   */
+  self.resume = function () {};
+
   /**
    * Called at at the end of writing
    */
@@ -0,0 +1,204 @@
+'use strict';
+
+var EventEmitter = require('events').EventEmitter;
+var PassThrough  = require('stream').PassThrough;
+var util         = require('util');
+var parquet      = require('parquetjs-lite');
+var moment       = require('moment');
+var fieldTypes   = require('./fieldtypes.json');
+
+// Number of rows buffered before a row group is written
+var rowGroupSize = 10000;
+
+// Number of rows waiting to be appended before the writer is saturated
+var highWaterMark = 1000;
+
+var dayLength = 86400000;
+
+// Column types and conversion of the values of each type of field
+// Datetimes are stored in microseconds, as the library can't read back TIMESTAMP_MILLIS columns
+var columnTypes = {
+  datetime: {
+    type: 'TIMESTAMP_MICROS',
+    convert: function (value) {
+      var date = moment(value, moment.ISO_8601, true);
+      return date.isValid() ? date.toDate() : null;
+    }
+  },
+  date: {
+    type: 'DATE',
+    convert: function (value) {
+      var date = moment.utc(value, 'YYYY-MM-DD', true);
+      return date.isValid() ? date.valueOf() / dayLength : null;
+    }
+  },
+  integer: {
+    type: 'INT64',
+    convert: function (value) {
+      return /^-?\d+$/.test(value) ? parseInt(value, 10) : null;
+    }
+  },
+  float: {
+    type: 'DOUBLE',
+    convert: function (value) {
+      var number = parseFloat(value);
+      return isFinite(number) ? number : null;
+    }
+  },
+  string: {
+    type: 'UTF8',
+    convert: function (value) {
+      return value.toString();
+    }
+  }
+};
+
+/**
+ * Provides methods to write ECs into a stream as an Apache Parquet file.
+ * ECs are buffered and written by row groups, so that memory stays bounded.
+ * @param {Object} outputStream the stream to write into (must accept buffers)
+ * @param {Array}  outputFields the default fields to use as columns
+ */
+var Writer = function (outputStream, outputFields) {
+  var self      = this;
+  var pending   = 0;
+  var saturated = false;
+  var sources   = {}; // fields of the renamed columns, which give their type
+  var queue;
+  var failure;
+  var writer;
+  var output;
+
+  outputFields = outputFields || [];
+
+  /**
+   * Add or remove fields from the default ones, or replace them
+   * @param {Object} fields added and removed fields, or columns
+   */
+  function setFields(fields) {
+    // with an output mapping, the exact list of columns is given
+    if (fields.columns) {
+      outputFields = fields.columns.slice();
+      sources      = fields.sources || {};
+      return;
+    }
+
+    fields.added.forEach(function (field) {
+      if (outputFields.indexOf(field) === -1) {
+        outputFields.push(field);
+      }
+    });
+
+    fields.removed.forEach(function (field) {
+      var index = outputFields.indexOf(field);
+      if (index !== -1) {
+        outputFields.splice(index, 1);
+      }
+    });
+  }
+
+  /**
+   * Get the column type of a field
+   * @param  {String} field
+   * @return {Object}
+   */
+  function getColumnType(field) {
+    return columnTypes[fieldTypes[sources[field] || field]] || columnTypes.string;
+  }
+
+  /**
+   * Add an operation to the queue, operations are skipped once one has failed
+   * @param {Function} operation  returns a promise
+   */
+  function enqueue(operation) {
+    queue = queue.then(function () {
+      if (!failure) { return operation(); }
+    }).catch(function (err) {
+      failure = failure || err;
+    });
+  }
+
+  /**
+   * Called before writing the first EC
+   * @param {Object} fields fields to use as columns
+   */
+  self.writeHead = function (fields) {
+    setFields(fields);
+
+    var schema = {};
+
+    outputFields.forEach(function (field) {
+      schema[field] = {
+        type: getColumnType(field).type,
+        optional: true,
+        compression: 'SNAPPY'
+      };
+    });
+
+    // the library ends its stream, the job ends the output stream itself
+    output = new PassThrough();
+    output.pipe(outputStream, { end: false });
+
+    queue = parquet.ParquetWriter.openStream(new parquet.ParquetSchema(schema), output, {
+      rowGroupSize: rowGroupSize
+    }).then(function (parquetWriter) {
+      writer = parquetWriter;
+    }).catch(function (err) {
+      failure = err;
+    });
+  };
+
+  /**
+   * Called at at the end of writing
+   * @return {Promise} resolved when the file is completely written
+   */
+  self.writeEnd = function () {
+    var ended = new Promise(function (resolve) {
+      output.on('end', resolve);
+    });
+
+    enqueue(function () { return writer.close(); });
+
+    return queue.then(function () {
+      if (failure) { throw failure; }
+      return ended;
+    });
+  };
+
+  /**
+   * Write an EC
+   * @param {Object} ec the EC to write
+   */
+  self.write = function (ec) {
+    var row = {};
+
+    outputFields.forEach(function (field) {
+      var value = ec[field];
+      if (value === undefined || value === null || value === '') { return; }
+
+      value = getColumnType(field).convert(value);
+      if (value !== null) { row[field] = value; }
+    });
+
+    pending++;
+
+    enqueue(function () { return writer.appendRow(row); });
+
+    queue.then(function () {
+      pending--;
+
+      if (saturated && pending === 0) {
+        saturated = false;
+        self.emit('drain');
+      }
+    });
+
+    if (!saturated && pending >= highWaterMark) {
+      saturated = true;
+      self.emit('saturated');
+    }
+  };
+};
+
+util.inherits(Writer, EventEmitter);
+module.exports = Writer;
@@ -4,7 +4,14 @@
 const path = require('path');
 const outputFields = require('../config.js').EZPAARSE_OUTPUT_FIELDS;
 
-module.exports = function getWriter(outputStream, format) {
+/**
+ * Create a writer
+ * @param  {Object} outputStream  the stream to write into
+ * @param  {String} format        name of the writer (delimited, json...)
+ * @param  {Object} [options]     options of the writer, such as the delimiter
+ * @return {Object} the writer, or false if the format doesn't exist
+ */
+module.exports = function getWriter(outputStream, format, options) {
   let Writer;
 
   try {
@@ -13,7 +20,11 @@ module.exports = function getWriter(outputStream, format) {
     return false;
   }
 
-  const writerInstance = new Writer(outputStream, outputFields.slice());
+  const writerInstance = new Writer(outputStream, outputFields.slice(), options);
+
+  if (options && options.mapping) {
+    mapWriter(writerInstance, options.mapping);
+  }
 
   /**
    * Writes arbitrary string into the output stream
@@ -23,4 +34,30 @@ module.exports = function getWriter(outputStream, format) {
   };
 
   return writerInstance;
-};
\ No newline at end of file
+};
+
+/**
+ * Make a writer use an output mapping
+ * Writers receive the exact list of columns with writeHead() and resume(), and mapped ECs
+ * @param {Object} writer
+ * @param {Object} mapping  an OutputMapping
+ */
+function mapWriter(writer, mapping) {
+  const { writeHead, resume, write } = writer;
+  let columns = [];
+
+  function getFields(fields) {
+    const mapped = mapping.getColumns(outputFields, fields);
+    columns = mapped.columns;
+
+    return { added: [], removed: [], columns: mapped.columns, sources: mapped.sources };
+  }
+
+  writer.writeHead = fields => writeHead.call(writer, getFields(fields));
+  writer.write     = ec => write.call(writer, mapping.map(ec, columns));
+
+  // writers that can't append to existing results don't have resume()
+  if (resume) {
+    writer.resume = fields => resume.call(writer, getFields(fields));
+  }
+}
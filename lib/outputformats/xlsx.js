@@ -0,0 +1,333 @@
+'use strict';
+
+var EventEmitter = require('events').EventEmitter;
+var PassThrough  = require('stream').PassThrough;
+var util         = require('util');
+var archiver     = require('archiver');
+var moment       = require('moment');
+var fieldTypes   = require('./fieldtypes.json');
+
+// Cell styles of date fields
+var dateStyles = {
+  'datetime': 2,
+  'date': 1
+};
+
+var maxCellLength = 32767;
+var maxRows       = 1048576; // rows of an Excel worksheet, including the header
+var excelEpoch    = 25569; // 1970-01-01 as an Excel serial date
+var dayLength     = 86400000;
+
+var xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+var sheetType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml';
+var relsType  = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+var staticFiles = {
+  '_rels/.rels':
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Target="xl/workbook.xml" ' +
+    'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument"/>' +
+    '</Relationships>',
+
+  // cell styles: 0 = default, 1 = date, 2 = date and time, 3 = header
+  'xl/styles.xml':
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<numFmts count="2">' +
+    '<numFmt numFmtId="164" formatCode="yyyy-mm-dd"/>' +
+    '<numFmt numFmtId="165" formatCode="yyyy-mm-dd hh:mm:ss"/>' +
+    '</numFmts>' +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+    '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill>' +
+    '<fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="4">' +
+    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+    '</cellXfs>' +
+    '</styleSheet>'
+};
+
+/**
+ * Get the files of the workbook that list its worksheets
+ * @param  {Integer} nbSheets
+ * @return {Object} content of the files, by name
+ */
+function workbookFiles(nbSheets) {
+  var overrides = '';
+  var sheets    = '';
+  var rels      = '';
+
+  for (var i = 1; i <= nbSheets; i++) {
+    var name = i === 1 ? 'ECs' : `ECs (${i})`;
+
+    overrides += `<Override PartName="/xl/worksheets/sheet${i}.xml" ContentType="${sheetType}"/>`;
+    sheets    += `<sheet name="${name}" sheetId="${i}" r:id="rId${i}"/>`;
+    rels      += `<Relationship Id="rId${i}" Target="worksheets/sheet${i}.xml" ` +
+                 `Type="${relsType}/worksheet"/>`;
+  }
+
+  return {
+    '[Content_Types].xml':
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ' +
+      'ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ' +
+      'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      overrides +
+      '<Override PartName="/xl/styles.xml" ' +
+      'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      '</Types>',
+
+    'xl/workbook.xml':
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+      `xmlns:r="${relsType}">` +
+      `<sheets>${sheets}</sheets>` +
+      '</workbook>',
+
+    'xl/_rels/workbook.xml.rels':
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      rels +
+      `<Relationship Id="rId${nbSheets + 1}" Target="styles.xml" Type="${relsType}/styles"/>` +
+      '</Relationships>'
+  };
+}
+
+/**
+ * Escape a string to be put in an XML document, removing forbidden characters
+ * @param  {String} str
+ * @return {String}
+ */
+function escapeXML(str) {
+  return str
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '') // eslint-disable-line no-control-regex
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Get the letters of a column from its index (0 => A, 26 => AA)
+ * @param  {Integer} index
+ * @return {String}
+ */
+function columnName(index) {
+  var name = '';
+
+  for (index += 1; index > 0; index = Math.floor((index - 1) / 26)) {
+    name = String.fromCharCode(65 + ((index - 1) % 26)) + name;
+  }
+
+  return name;
+}
+
+/**
+ * Convert a date into an Excel serial date, keeping the local time of the EC
+ * @param  {String} value
+ * @return {Number} the serial date, or null if the value is not a valid date
+ */
+function toSerialDate(value) {
+  var date = moment.parseZone(value, moment.ISO_8601, true);
+  if (!date.isValid()) { return null; }
+
+  return (date.valueOf() + date.utcOffset() * 60000) / dayLength + excelEpoch;
+}
+
+/**
+ * Build a cell
+ * @param  {String} ref    reference of the cell (ex: B12)
+ * @param  {String} field  name of the field, which gives its type
+ * @param  {Mixed}  value  value of the field
+ * @param  {Integer} style cell style used for strings
+ * @return {String}
+ */
+function cell(ref, field, value, style) {
+  if (value === undefined || value === null || value === '') { return ''; }
+
+  var type = !style && fieldTypes[field];
+
+  if (dateStyles.hasOwnProperty(type)) {
+    var serial = toSerialDate(value);
+
+    if (serial !== null) {
+      return `<c r="${ref}" s="${dateStyles[type]}"><v>${serial}</v></c>`;
+    }
+  }
+
+  if ((type === 'integer' || type === 'float') && /^-?\d+(\.\d+)?$/.test(value)) {
+    return `<c r="${ref}"><v>${value}</v></c>`;
+  }
+
+  var str = value.toString().trim().substr(0, maxCellLength);
+  var s   = style ? ` s="${style}"` : '';
+
+  return `<c r="${ref}" t="inlineStr"${s}><is><t>${escapeXML(str)}</t></is></c>`;
+}
+
+/**
+ * Provides methods to write ECs into a stream as an Excel (XLSX) workbook.
+ * The worksheets are streamed into the archive, so that ECs are not kept in memory.
+ * When a worksheet is full, the next ECs go into a new one.
+ * @param {Object} outputStream the stream to write into (must accept buffers)
+ * @param {Array}  outputFields the default fields to use as headers
+ */
+var Writer = function (outputStream, outputFields) {
+  var self     = this;
+  var rowIndex = 0;
+  var nbSheets = 0;
+  var columns  = [];
+  var sources  = {}; // fields of the renamed columns, which give their type
+  var sheet;
+  var finished;
+
+  outputFields = outputFields || [];
+
+  var archive = archiver('zip', { zlib: { level: 6 } });
+
+  /**
+   * Add or remove fields from the default ones, or replace them
+   * @param {Object} fields added and removed fields, or columns
+   */
+  function setFields(fields) {
+    // with an output mapping, the exact list of columns is given
+    if (fields.columns) {
+      outputFields = fields.columns.slice();
+      sources      = fields.sources || {};
+      return;
+    }
+
+    fields.added.forEach(function (field) {
+      if (outputFields.indexOf(field) === -1) {
+        outputFields.push(field);
+      }
+    });
+
+    fields.removed.forEach(function (field) {
+      var index = outputFields.indexOf(field);
+      if (index !== -1) {
+        outputFields.splice(index, 1);
+      }
+    });
+  }
+
+  /**
+   * Write a row of cells in the worksheet
+   * @param  {Function} getCell  returns a cell from a field and its column
+   * @return {Boolean} false if the worksheet buffer is full
+   */
+  function writeRow(getCell) {
+    rowIndex++;
+
+    var cells = outputFields.map(function (field, i) {
+      return getCell(field, `${columns[i]}${rowIndex}`);
+    });
+
+    return sheet.write(`<row r="${rowIndex}">${cells.join('')}</row>`);
+  }
+
+  /**
+   * End the current worksheet, if any
+   */
+  function endSheet() {
+    if (sheet) { sheet.end('</sheetData></worksheet>'); }
+  }
+
+  /**
+   * Start a new worksheet, with the header row
+   */
+  function startSheet() {
+    endSheet();
+
+    nbSheets++;
+    rowIndex = 0;
+    sheet    = new PassThrough();
+
+    sheet.on('drain', function () {
+      self.emit('drain');
+    });
+
+    archive.append(sheet, { name: `xl/worksheets/sheet${nbSheets}.xml` });
+
+    sheet.write(xmlHeader);
+    sheet.write('<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">');
+    sheet.write('<sheetViews><sheetView workbookViewId="0">');
+    sheet.write('<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>');
+    sheet.write('</sheetView></sheetViews>');
+    sheet.write('<sheetData>');
+
+    writeRow(function (field, ref) { return cell(ref, field, field, 3); });
+  }
+
+  /**
+   * Called before writing the first EC
+   * @param {Object} fields fields to use as headers
+   */
+  self.writeHead = function (fields) {
+    setFields(fields);
+
+    columns = outputFields.map(function (field, i) { return columnName(i); });
+
+    finished = new Promise(function (resolve, reject) {
+      archive.on('end', resolve);
+      archive.on('error', reject);
+    });
+
+    // the stream is ended by the job, once the archive is complete
+    archive.pipe(outputStream, { end: false });
+
+    for (var name in staticFiles) {
+      archive.append(xmlHeader + staticFiles[name], { name: name });
+    }
+
+    startSheet();
+  };
+
+  /**
+   * Called at at the end of writing
+   * The files listing the worksheets are added once their number is known
+   * @return {Promise} resolved when the archive is completely written
+   */
+  self.writeEnd = function () {
+    endSheet();
+
+    var files = workbookFiles(nbSheets);
+
+    for (var name in files) {
+      archive.append(xmlHeader + files[name], { name: name });
+    }
+    archive.finalize();
+
+    return finished;
+  };
+
+  /**
+   * Write an EC
+   * @param {Object} ec the EC to write
+   */
+  self.write = function (ec) {
+    if (rowIndex >= Writer.maxRows) { startSheet(); }
+
+    var written = writeRow(function (field, ref) {
+      return cell(ref, sources[field] || field, ec[field]);
+    });
+
+    if (!written) {
+      self.emit('saturated');
+    }
+  };
+};
+
+util.inherits(Writer, EventEmitter);
+
+/**
+ * Maximum number of rows of a worksheet
+ */
+Writer.maxRows = maxRows;
+
+module.exports = Writer;
@@ -0,0 +1,280 @@
+'use strict';
+
+/**
+ * Output mapping: renames, orders and computes the columns written for each EC
+ *
+ * A mapping is a comma-separated list of columns, each one being either:
+ *   - a field name (ex: title_id)
+ *   - a renamed field (ex: resource=platform)
+ *   - a computed column (ex: issn=print_identifier|online_identifier)
+ *   - a star, replaced with the other output fields
+ *
+ * Expressions are made of terms joined with "+", each term being a fallback chain
+ * of values separated by "|". A value can be a field, a quoted string,
+ * or date(field, "FORMAT"[, "INPUT FORMAT"]) to reformat a date.
+ */
+
+var moment = require('moment');
+
+var fieldPattern = /^[a-z0-9_\-:.]+$/i;
+
+/**
+ * Split a string on a separator, except between quotes and parentheses
+ * @param  {String} str
+ * @param  {String} separator  a single character
+ * @return {Array}
+ */
+function splitTopLevel(str, separator) {
+  var parts = [];
+  var depth = 0;
+  var quote = null;
+  var start = 0;
+
+  for (var i = 0; i < str.length; i++) {
+    var char = str.charAt(i);
+
+    if (quote) {
+      if (char === '\\') { i++; }
+      else if (char === quote) { quote = null; }
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (char === separator && depth === 0) {
+      parts.push(str.substring(start, i));
+      start = i + 1;
+    }
+  }
+
+  if (quote)     { throw new Error(`unclosed quote in ${str}`); }
+  if (depth > 0) { throw new Error(`unclosed parenthesis in ${str}`); }
+
+  parts.push(str.substring(start));
+  return parts.map(function (part) { return part.trim(); });
+}
+
+/**
+ * Get the content of a quoted string, or null if the string is not quoted
+ * @param  {String} str
+ * @return {String}
+ */
+function unquote(str) {
+  var match = /^(["'])(.*)\1$/.exec(str);
+  return match ? match[2].replace(/\\(.)/g, '$1') : null;
+}
+
+/**
+ * Reformat a date, keeping its timezone
+ * @param  {String} value        date, ISO 8601 or timestamp
+ * @param  {String} format       output format
+ * @param  {String} inputFormat  format of the value, if not ISO 8601
+ * @return {String} the formatted date, or an empty string if the value is not a valid date
+ */
+function formatDate(value, format, inputFormat) {
+  var date;
+
+  if (inputFormat) {
+    date = moment.parseZone(value, inputFormat, true);
+  } else if (/^\d+$/.test(value)) {
+    date = moment.unix(parseInt(value, 10));
+  } else {
+    date = moment.parseZone(value, moment.ISO_8601, true);
+  }
+
+  return date.isValid() ? date.format(format) : '';
+}
+
+/**
+ * Compile a value: a field, a quoted string, or a call to date()
+ * @param  {String} str
+ * @return {Object} { get(ec), field, literal }
+ */
+function compileValue(str) {
+  var literal = unquote(str);
+
+  if (literal !== null) {
+    return { literal: true, get: function () { return literal; } };
+  }
+
+  var call = /^date\s*\((.*)\)$/i.exec(str);
+
+  if (call) {
+    var args        = splitTopLevel(call[1], ',');
+    var field       = args[0];
+    var format      = args[1] && unquote(args[1]);
+    var inputFormat = args[2] && unquote(args[2]);
+
+    if (!fieldPattern.test(field) || !format || args.length > 3 || (args[2] && !inputFormat)) {
+      throw new Error(`invalid call: ${str} (expected: date(field, "FORMAT"))`);
+    }
+
+    return {
+      get: function (ec) {
+        var value = ec[field];
+        if (value === undefined || value === null || value === '') { return ''; }
+        return formatDate(value.toString(), format, inputFormat);
+      }
+    };
+  }
+
+  if (!fieldPattern.test(str)) {
+    throw new Error(`invalid value: ${str}`);
+  }
+
+  return {
+    field: str,
+    get: function (ec) {
+      var value = ec[str];
+      return (value === undefined || value === null) ? '' : value.toString();
+    }
+  };
+}
+
+/**
+ * Compile an expression into a function that computes the value of a column
+ * A concatenation is empty if one of its terms made of fields is empty
+ * @param  {String} str
+ * @return {Object} { get(ec), source } source is set if the column is a plain field
+ */
+function compileExpression(str) {
+  if (!str) { throw new Error('empty expression'); }
+
+  var terms = splitTopLevel(str, '+').map(function (term) {
+    var values = splitTopLevel(term, '|').map(compileValue);
+
+    return {
+      literal: values.every(function (value) { return value.literal; }),
+      get: function (ec) {
+        for (var i = 0; i < values.length; i++) {
+          var value = values[i].get(ec);
+          if (value !== '') { return value; }
+        }
+        return '';
+      },
+      values: values
+    };
+  });
+
+  var first  = terms[0].values[0];
+  var source = (terms.length === 1 && terms[0].values.length === 1) ? first.field : undefined;
+
+  return {
+    source: source,
+    get: function (ec) {
+      var result = '';
+
+      for (var i = 0; i < terms.length; i++) {
+        var value = terms[i].get(ec);
+        if (value === '' && !terms[i].literal) { return ''; }
+        result += value;
+      }
+
+      return result;
+    }
+  };
+}
+
+/**
+ * Create a mapping from its definition
+ * @param {String} definition ex: "resource=platform,issn=print_identifier|online_identifier,*"
+ * @throws an error if the definition is invalid
+ */
+function OutputMapping(definition) {
+  var self = this;
+
+  this.columns  = [];
+  this.wildcard = false;
+
+  splitTopLevel(definition || '', ',').forEach(function (declaration) {
+    if (!declaration) { throw new Error('empty column'); }
+
+    if (declaration === '*') {
+      if (self.wildcard) { throw new Error('only one * is allowed'); }
+      self.wildcard = true;
+      self.columns.push({ wildcard: true });
+      return;
+    }
+
+    var index      = declaration.indexOf('=');
+    var name       = (index === -1 ? declaration : declaration.substr(0, index)).trim();
+    var expression = (index === -1 ? declaration : declaration.substr(index + 1)).trim();
+
+    if (!fieldPattern.test(name)) {
+      throw new Error(`invalid column name: ${name}`);
+    }
+
+    var duplicate = self.columns.some(function (column) { return column.name === name; });
+    if (duplicate) { throw new Error(`duplicate column: ${name}`); }
+
+    var compiled = compileExpression(expression);
+
+    self.columns.push({ name: name, source: compiled.source, get: compiled.get });
+  });
+}
+module.exports = OutputMapping;
+
+/**
+ * Get the columns to write
+ * @param  {Array}  defaultFields  default output fields
+ * @param  {Object} fields         added and removed fields
+ * @return {Object} { columns, sources } sources gives the field of renamed columns
+ */
+OutputMapping.prototype.getColumns = function (defaultFields, fields) {
+  var outputFields = defaultFields.concat(fields.added.filter(function (field) {
+    return defaultFields.indexOf(field) === -1;
+  })).filter(function (field) {
+    return fields.removed.indexOf(field) === -1;
+  });
+
+  var columns = [];
+  var sources = {};
+  var used    = {};
+
+  this.columns.forEach(function (column) {
+    if (column.wildcard) { return; }
+
+    used[column.name] = true;
+    if (column.source) {
+      used[column.source]  = true;
+      sources[column.name] = column.source;
+    }
+  });
+
+  this.columns.forEach(function (column) {
+    if (!column.wildcard) { return columns.push(column.name); }
+
+    outputFields.forEach(function (field) {
+      if (!used[field]) { columns.push(field); }
+    });
+  });
+
+  return { columns: columns, sources: sources };
+};
+
+/**
+ * Map an EC into the columns of the mapping
+ * Fields added by the star are copied as they are
+ * @param  {Object} ec
+ * @param  {Array}  columns  list of columns, given by getColumns()
+ * @return {Object} the mapped EC
+ */
+OutputMapping.prototype.map = function (ec, columns) {
+  var getters = this.getters;
+
+  if (!getters) {
+    getters = this.getters = {};
+    this.columns.forEach(function (column) {
+      if (!column.wildcard) { getters[column.name] = column.get; }
+    });
+  }
+
+  var mapped = {};
+
+  columns.forEach(function (column) {
+    mapped[column] = getters[column] ? getters[column](ec) : ec[column];
+  });
+
+  return mapped;
+};
@@ -0,0 +1,128 @@
+/* eslint global-require: 0 */
+'use strict';
+
+/**
+ * Pool of worker threads used to parse log lines out of the main event loop
+ * Lines are sent by batches to the least busy worker
+ */
+
+const path   = require('path');
+const config = require('./config.js');
+
+let Worker;
+try {
+  Worker = require('worker_threads').Worker;
+} catch (e) {
+  // worker_threads needs Node.js >= 10.5 (with --experimental-worker before 11.7)
+  Worker = null;
+}
+
+const workerFile = path.resolve(__dirname, 'parserworker.js');
+
+function ParserPool(size) {
+  this.size      = Math.max(parseInt(size) || 0, 0);
+  this.workers   = [];
+  this.batchID   = 0;
+  this.callbacks = new Map();
+}
+
+/**
+ * Whether lines should be parsed by workers
+ * @return {Boolean}
+ */
+ParserPool.prototype.isEnabled = function () {
+  return this.size > 0 && Worker !== null;
+};
+
+/**
+ * Whether workers are configured but can't be used with this version of Node.js
+ * @return {Boolean}
+ */
+ParserPool.prototype.isUnsupported = function () {
+  return this.size > 0 && Worker === null;
+};
+
+/**
+ * Create a worker, replaced if it ever stops
+ * @param  {Integer} index  position of the worker in the pool
+ * @return {Object}
+ */
+ParserPool.prototype.spawn = function (index) {
+  const worker = new Worker(workerFile);
+
+  worker.index   = index;
+  worker.batches = new Set();
+
+  worker.on('message', ({ id, results }) => {
+    const callback = this.callbacks.get(id);
+    if (!callback) { return; }
+
+    worker.batches.delete(id);
+    this.callbacks.delete(id);
+    if (worker.batches.size === 0) { worker.unref(); }
+    callback(null, results, index);
+  });
+
+  const fail = err => {
+    if (this.workers[index] !== worker) { return; }
+    this.workers[index] = null;
+
+    worker.batches.forEach(id => {
+      const handler = this.callbacks.get(id);
+      this.callbacks.delete(id);
+      if (handler) { handler(err || new Error('Parser worker stopped')); }
+    });
+  };
+
+  worker.on('error', fail);
+  worker.on('exit', () => fail());
+
+  // Idle workers should not prevent the process from exiting
+  worker.unref();
+
+  this.workers[index] = worker;
+  return worker;
+};
+
+/**
+ * Get the worker with the least pending batches
+ * @return {Object}
+ */
+ParserPool.prototype.getWorker = function () {
+  let selected;
+
+  for (let i = 0; i < this.size; i++) {
+    const worker = this.workers[i] || this.spawn(i);
+
+    if (!selected || worker.batches.size < selected.batches.size) {
+      selected = worker;
+    }
+  }
+
+  return selected;
+};
+
+/**
+ * Parse a batch of lines
+ * @param  {Object} options  parser options (proxy, format and dateFormat)
+ * @param  {Array}  lines
+ * @return {Promise} resolved with the ECs (null for lines that can't be parsed)
+ *                   and the number of the worker (starting from 1)
+ */
+ParserPool.prototype.parse = function (options, lines) {
+  return new Promise((resolve, reject) => {
+    const id     = ++this.batchID;
+    const worker = this.getWorker();
+
+    this.callbacks.set(id, (err, results, index) => {
+      if (err) { reject(err); }
+      else { resolve({ results, worker: index + 1 }); }
+    });
+
+    worker.batches.add(id);
+    worker.ref();
+    worker.postMessage({ id, options, lines });
+  });
+};
+
+module.exports = new ParserPool(config.EZPAARSE_PARSER_WORKERS);
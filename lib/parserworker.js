@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * Worker thread of the parser pool
+ * Parses batches of log lines and computes their log_id
+ */
+
+const { parentPort } = require('worker_threads');
+const crypto    = require('crypto');
+const logParser = require('./logparser.js');
+
+const maxParsers = 50;
+const parsers    = new Map();
+
+/**
+ * Get a log parser for the given format, creating it if needed
+ * @param  {Object} options  proxy, format and dateFormat
+ * @return {Object}
+ */
+function getParser(options) {
+  const key = `${options.proxy}|${options.format}|${options.dateFormat}`;
+  let parser = parsers.get(key);
+
+  if (!parser) {
+    if (parsers.size >= maxParsers) { parsers.clear(); }
+
+    parser = logParser(Object.assign({}, options));
+    parsers.set(key, parser);
+  }
+
+  return parser;
+}
+
+parentPort.on('message', ({ id, options, lines }) => {
+  const parser = getParser(options);
+
+  const results = lines.map(line => {
+    const ec = parser.extract(line);
+    if (!ec) { return null; }
+
+    if (!ec['log_id']) {
+      ec['log_id'] = crypto.createHash('sha1').update(line).digest('hex');
+    }
+
+    return ec;
+  });
+
+  parentPort.postMessage({ id, results });
+});
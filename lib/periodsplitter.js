@@ -0,0 +1,72 @@
+'use strict';
+
+const EventEmitter = require('events').EventEmitter;
+const util         = require('util');
+
+// Get the period of a date (YYYY-MM-DD), for each supported split mode
+const periods = {
+  year:    date => date.substr(0, 4),
+  quarter: date => `${date.substr(0, 4)}-Q${Math.ceil(parseInt(date.substr(5, 2), 10) / 3)}`,
+  month:   date => date.substr(0, 7),
+  day:     date => date.substr(0, 10)
+};
+
+/**
+ * Write ECs into one result file per period
+ * @param {String}   period        year, quarter, month or day
+ * @param {Function} createWriter  called with a period name, returns { writer, end() }
+ *                                 end() closes the file and returns a promise
+ */
+function PeriodSplitter(period, createWriter) {
+  EventEmitter.call(this);
+
+  this.getPeriod    = periods[period];
+  this.createWriter = createWriter;
+  this.outputs      = new Map();
+  this.saturated    = new Set();
+}
+
+util.inherits(PeriodSplitter, EventEmitter);
+module.exports = PeriodSplitter;
+
+PeriodSplitter.periods = Object.keys(periods);
+
+/**
+ * Write an EC into the file of its period, ECs without a date go into "undated"
+ * @param {Object} ec
+ * @param {Object} fields  output fields, used as headers of new files
+ */
+PeriodSplitter.prototype.write = function (ec, fields) {
+  const key  = /^\d{4}-\d{2}-\d{2}/.test(ec.date) ? this.getPeriod(ec.date) : 'undated';
+  let output = this.outputs.get(key);
+
+  if (!output) {
+    output = this.createWriter(key);
+    output.writer.writeHead(fields);
+
+    output.writer.on('saturated', () => {
+      if (this.saturated.size === 0) { this.emit('saturated'); }
+      this.saturated.add(key);
+    });
+    output.writer.on('drain', () => {
+      if (this.saturated.delete(key) && this.saturated.size === 0) { this.emit('drain'); }
+    });
+
+    this.outputs.set(key, output);
+  }
+
+  output.writer.write(ec);
+};
+
+/**
+ * Terminate all writers and close their files, can be called several times
+ * @return {Promise}
+ */
+PeriodSplitter.prototype.end = function () {
+  if (!this.ending) {
+    this.ending = Promise.all(Array.from(this.outputs.values()).map(output => {
+      return Promise.resolve(output.writer.writeEnd()).then(() => output.end());
+    }));
+  }
+  return this.ending;
+};
@@ -10,6 +10,7 @@ var path          = require('path');
 var async         = require('async');
 var csvextractor  = require('./csvextractor.js');
 var kbartHeaders  = require('./outputformats/kbart.json');
+var metrics       = require('./metrics.js');
 
 var platformsRoot = path.join(__dirname, '/../platforms');
 
@@ -105,6 +106,8 @@ function pkbManager() {
       var callback = task.callback;
       var pkb      = knowledge[platform];
 
+      metrics.pkbRequest(pkb !== undefined);
+
       if (pkb) {
         task.callback(pkb);
         return queueCallback();
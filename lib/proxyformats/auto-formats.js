@@ -0,0 +1,27 @@
+/*eslint max-len: 0*/
+'use strict';
+
+/**
+ * Native formats of the proxies supported by ezPAARSE, tried when guessing the format of a log
+ * They come after the formats listed in the resources
+ */
+module.exports = {
+  'nginx': [
+    { format: '$remote_addr - $remote_user [$time_local] "$request" $status $body_bytes_sent "$http_referer" "$http_user_agent"' },
+    { format: '$remote_addr - $remote_user [$time_local] "$request" $status $body_bytes_sent "$http_referer" "$http_user_agent" "$http_x_forwarded_for"' }
+  ],
+  'haproxy': [
+    {
+      format: '%<.*haproxy\\[[0-9]+\\]: >%ci:%cp [%tr] %ft %b/%s %TR/%Tw/%Tc/%Tr/%Ta %ST %B %CC %CS %tsc %ac/%fc/%bc/%sc/%rc %sq/%bq %{+Q}r',
+      dateFormat: 'DD/MMM/YYYY:HH:mm:ss.SSS'
+    },
+    {
+      format: '%<.*haproxy\\[[0-9]+\\]: >%ci:%cp [%tr] %ft %b/%s %TR/%Tw/%Tc/%Tr/%Ta %ST %B %CC %CS %tsc %ac/%fc/%bc/%sc/%rc %sq/%bq %hr %hs %{+Q}r',
+      dateFormat: 'DD/MMM/YYYY:HH:mm:ss.SSS'
+    }
+  ],
+  'bibliopam': [
+    { format: '%h %l %u %t "%r" %>s %b "%{Referer}i" "%{User-Agent}i"' },
+    { format: '%h %l %u %t "%r" %>s %b' }
+  ]
+};
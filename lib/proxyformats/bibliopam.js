@@ -0,0 +1,119 @@
+/*eslint max-len: 0*/
+'use strict';
+
+/*
+* Takes a custom log format and translates it into a regex,
+* using the Apache syntax of Bibliopam and LemonLDAP::NG portals.
+* logFormat example: %h %l %u %t "%r" %>s %b "%{Referer}i" "%{User-Agent}i"
+*/
+
+function regexpEscape(str) {
+  if (!str) { return ''; }
+  return str.replace(/[-[\]/{}()*+?.\\^$|]/g, '\\$&');
+}
+
+module.exports = function (logFormat, laxist) {
+  var usedProperties = [];
+  var parameters = {
+    'h':  {property: 'host',         regexp: '([a-zA-Z0-9\\.\\-:]+(?:, ?[a-zA-Z0-9\\.\\-:]+)*)'},
+    'a':  {property: 'host',         regexp: '([a-zA-Z0-9\\.\\-:]+)'},
+    'l':  {property: 'identd',       regexp: '([a-zA-Z0-9\\-]+)'},
+    // portals authenticate against LDAP, logins are often DNs that may contain spaces
+    'u':  {property: 'login',        regexp: '([^"\\[\\]]+?)'},
+    't':  {property: 'datetime',     regexp: '\\[([^\\]]+)\\]'},
+    'r':  {property: 'url',          regexp: '[A-Z]+ ([^ ]+) [^ "]+'},
+    'U':  {property: 'url',          regexp: '([^ ]+)'},
+    'm':  {property: 'method',       regexp: '([A-Z]+)'},
+    'v':  {property: 'vhost',        regexp: '([a-zA-Z0-9\\.\\-]+)'},
+    's':  {property: 'status',       regexp: '([0-9]+)'},
+    '>s': {property: 'status',       regexp: '([0-9]+)'},
+    'b':  {property: 'size',         regexp: '([0-9]+|\\-)'},
+    'B':  {property: 'size',         regexp: '([0-9]+)'},
+    'D':  {property: 'responseTime', regexp: '([0-9]+)'},
+    'T':  {property: 'responseTime', regexp: '([0-9]+)'}
+  };
+
+  // Request headers and environment variables which are known fields
+  var variables = {
+    'referer':         'referer',
+    'user-agent':      'user-agent',
+    'lm-remote-user':  'login',
+    'auth-user':       'login',
+    'remote_user':     'login',
+    'x-forwarded-for': 'host'
+  };
+
+  var format = {
+    regexp: '^',
+    properties: []
+  };
+
+  // This regexp is used to catch any expression matching one of those patterns :
+  //   %x
+  //   %>x
+  //   %{Header}i (also o, e, C and n)
+  //   %{property}<regexp>
+  //   %{property}
+  //   %<regexp>
+  var paramRegex = /%\{([a-zA-Z0-9\-_]+)\}([ioeCn])|%\{([a-zA-Z0-9\-_]+)\}(?:<([^<>]+)>)?|%<([^<>]+)>|%(>?[a-zA-Z])/g;
+  var lastIndex  = 0;
+  var match;
+
+  while ((match = paramRegex.exec(logFormat)) !== null) {
+    var previous = logFormat.substring(lastIndex, match.index);
+    var variable = match[1];
+    var property = match[3];
+    var regexp   = match[4] || match[5];
+    var code     = match[6];
+
+    format.regexp += regexpEscape(previous);
+    lastIndex = paramRegex.lastIndex;
+
+    if (regexp && /\((?!\?:)/.test(regexp)) { return null; }
+
+    if (variable) {
+      property = variables[variable.toLowerCase()] || variable.toLowerCase();
+
+      if (property === 'login') {
+        regexp = parameters.u.regexp;
+      } else {
+        regexp = previous.endsWith('"') ? '([^"]*)' : '([^ ]*)';
+      }
+    } else if (code) {
+      var param = parameters[code];
+
+      // Unknown codes are ignored
+      if (!param) {
+        format.regexp += '[^ ]*';
+        continue;
+      }
+
+      property = param.property;
+      regexp   = param.regexp;
+    } else if (property) {
+      regexp = '(' + (regexp || '[a-zA-Z0-9\\-]+') + ')';
+    } else {
+      // If a regex has no matching label, it'll be taken into account
+      // but won't be caught when parsing log lines
+      format.regexp += regexp;
+      continue;
+    }
+
+    // Properties can't be used twice
+    if (usedProperties.indexOf(property) !== -1) { return null; }
+
+    usedProperties.push(property);
+    format.properties.push(property);
+    format.regexp += regexp;
+  }
+
+  format.regexp += regexpEscape(logFormat.substring(lastIndex)) + (laxist ? '' : '$');
+
+  try {
+    format.regexp = new RegExp(format.regexp);
+  } catch (e) {
+    return null;
+  }
+
+  return format;
+};
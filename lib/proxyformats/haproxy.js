@@ -0,0 +1,144 @@
+/*eslint max-len: 0*/
+'use strict';
+
+/*
+* Takes a custom log format and translates it into
+* a regex using HAProxy syntax (log-format directive).
+* logFormat example: %ci:%cp [%tr] %ft %b/%s %TR/%Tw/%Tc/%Tr/%Ta %ST %B %CC %CS %tsc %ac/%fc/%bc/%sc/%rc %sq/%bq %hr %hs %{+Q}r
+*/
+
+function regexpEscape(str) {
+  if (!str) { return ''; }
+  return str.replace(/[-[\]/{}()*+?.\\^$|]/g, '\\$&');
+}
+
+var date = '[0-9]{2}\\/[a-zA-Z]{3}\\/[0-9]{4}:[0-9]{2}:[0-9]{2}:[0-9]{2}';
+
+module.exports = function (logFormat, laxist) {
+  var usedProperties = [];
+  var dateFormat;
+  var parameters = {
+    'ci':  {property: 'host',                 regexp: '([a-zA-Z0-9\\.\\-:]+)'},
+    'cp':  {property: 'client_port',          regexp: '([0-9]+)'},
+    't':   {property: 'datetime',             regexp: '(' + date + '(?:\\.[0-9]+)?)', dateFormat: 'DD/MMM/YYYY:HH:mm:ss.SSS'},
+    'tr':  {property: 'datetime',             regexp: '(' + date + '(?:\\.[0-9]+)?)', dateFormat: 'DD/MMM/YYYY:HH:mm:ss.SSS'},
+    'trl': {property: 'datetime',             regexp: '(' + date + '\\.[0-9]+ [+\\-][0-9]{4})', dateFormat: 'DD/MMM/YYYY:HH:mm:ss.SSS Z'},
+    'T':   {property: 'datetime',             regexp: '(' + date + ' [+\\-][0-9]{4})', dateFormat: 'DD/MMM/YYYY:HH:mm:ss Z'},
+    'Tl':  {property: 'datetime',             regexp: '(' + date + ' [+\\-][0-9]{4})', dateFormat: 'DD/MMM/YYYY:HH:mm:ss Z'},
+    'Ts':  {property: 'timestamp',            regexp: '([0-9]+)'},
+    'ft':  {property: 'frontend',             regexp: '([^ \\/]+)'},
+    'b':   {property: 'backend',              regexp: '([^ \\/]+)'},
+    's':   {property: 'server',               regexp: '([^ \\/]+)'},
+    'TR':  {property: 'requestTime',          regexp: '(-?[0-9]+)'},
+    'Tw':  {property: 'queueTime',            regexp: '(-?[0-9]+)'},
+    'Tc':  {property: 'connectTime',          regexp: '(-?[0-9]+)'},
+    'Tr':  {property: 'responseTime',         regexp: '(-?[0-9]+)'},
+    'Ta':  {property: 'activeTime',           regexp: '(-?[0-9]+)'},
+    'Tt':  {property: 'totalTime',            regexp: '(-?[0-9]+)'},
+    'ST':  {property: 'status',               regexp: '([0-9]+)'},
+    'B':   {property: 'size',                 regexp: '([0-9]+)'},
+    'U':   {property: 'uploadSize',           regexp: '([0-9]+)'},
+    'CC':  {property: 'requestCookie',        regexp: '([^ ]*)'},
+    'CS':  {property: 'responseCookie',       regexp: '([^ ]*)'},
+    'tsc': {property: 'terminationState',     regexp: '([^ ]+)'},
+    'ts':  {property: 'terminationState',     regexp: '([^ ]+)'},
+    'ac':  {property: 'activeConnections',    regexp: '([0-9]+)'},
+    'fc':  {property: 'frontendConnections',  regexp: '([0-9]+)'},
+    'bc':  {property: 'backendConnections',   regexp: '([0-9]+)'},
+    'sc':  {property: 'serverConnections',    regexp: '([0-9]+)'},
+    'rc':  {property: 'retries',              regexp: '(\\+?[0-9]+)'},
+    'sq':  {property: 'serverQueue',          regexp: '([0-9]+)'},
+    'bq':  {property: 'backendQueue',         regexp: '([0-9]+)'},
+    'hr':  {property: 'requestHeaders',       regexp: '(\\{[^}]*\\})'},
+    'hs':  {property: 'responseHeaders',      regexp: '(\\{[^}]*\\})'},
+    'r':   {property: 'url',                  regexp: '[A-Z]+ ([^ ]+) [^ "]+'},
+    'HM':  {property: 'method',               regexp: '([A-Z]+)'},
+    'HU':  {property: 'url',                  regexp: '([^ ]+)'},
+    'HP':  {property: 'url',                  regexp: '([^ ]+)'},
+    'HV':  {property: 'protocolVersion',      regexp: '([^ "]+)'},
+    'ID':  {property: 'uniqueId',             regexp: '([^ ]*)'},
+    'H':   {property: 'hostname',             regexp: '([^ ]+)'},
+    'pid': {property: 'pid',                  regexp: '([0-9]+)'}
+  };
+
+  // Spaces used to be escaped in the log-format directive
+  logFormat = (logFormat || '').replace(/\\ /g, ' ');
+
+  var format = {
+    regexp: '^',
+    properties: []
+  };
+
+  // This regexp is used to catch any expression matching one of those patterns :
+  //   %x
+  //   %{+Q}x (options of the variable)
+  //   %[sample] (ignored)
+  //   %{property}<regexp>
+  //   %{property}
+  //   %<regexp>
+  var paramRegex = /%(?:\{([+-][a-zA-Z](?:,[+-][a-zA-Z])*)\})?([a-zA-Z]+)|%\[[^\]]+\]|%\{([a-zA-Z0-9\-_]+)\}(?:<([^<>]+)>)?|%<([^<>]+)>/g;
+  var lastIndex  = 0;
+  var match;
+
+  while ((match = paramRegex.exec(logFormat)) !== null) {
+    var options  = match[1] || '';
+    var code     = match[2];
+    var property = match[3];
+    var regexp   = match[4] || match[5];
+    var suffix   = '';
+
+    format.regexp += regexpEscape(logFormat.substring(lastIndex, match.index));
+    lastIndex = paramRegex.lastIndex;
+
+    if (regexp && /\((?!\?:)/.test(regexp)) { return null; }
+
+    if (code) {
+      // Codes are not delimited: keep the longest known one, the rest is literal
+      var length = code.length;
+      while (length > 0 && !parameters[code.substr(0, length)]) { length--; }
+
+      var param = parameters[code.substr(0, length)];
+
+      if (param) {
+        suffix = regexpEscape(code.substr(length));
+      } else {
+        param = {property: code, regexp: '([^ ]*)'};
+      }
+
+      // Codes which property is already used (ex: %t and %tr) are kept with their name
+      property = usedProperties.indexOf(param.property) === -1 ? param.property : code;
+      regexp   = param.regexp;
+
+      if (param.dateFormat && property === 'datetime') { dateFormat = param.dateFormat; }
+
+      // The +Q option surrounds the value with quotes
+      if (/\+Q/.test(options)) { regexp = '"' + regexp + '"'; }
+    } else if (property) {
+      regexp = '(' + (regexp || '[a-zA-Z0-9\\-]+') + ')';
+    } else {
+      // Samples and regexps with no matching label are taken into account
+      // but won't be caught when parsing log lines
+      format.regexp += regexp || '[^ ]*';
+      continue;
+    }
+
+    // Properties can't be used twice
+    if (usedProperties.indexOf(property) !== -1) { return null; }
+
+    usedProperties.push(property);
+    format.properties.push(property);
+    format.regexp += regexp + suffix;
+  }
+
+  format.regexp += regexpEscape(logFormat.substring(lastIndex)) + (laxist ? '' : '$');
+
+  if (dateFormat) { format.dateFormat = dateFormat; }
+
+  try {
+    format.regexp = new RegExp(format.regexp);
+  } catch (e) {
+    return null;
+  }
+
+  return format;
+};
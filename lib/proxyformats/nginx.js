@@ -0,0 +1,110 @@
+/*eslint max-len: 0*/
+'use strict';
+
+/*
+* Takes a custom log format and translates it into
+* a regex using Nginx syntax (log_format directive).
+* logFormat example: $remote_addr - $remote_user [$time_local] "$request" $status $body_bytes_sent "$http_referer" "$http_user_agent"
+*/
+
+function regexpEscape(str) {
+  if (!str) { return ''; }
+  return str.replace(/[-[\]/{}()*+?.\\^$|]/g, '\\$&');
+}
+
+module.exports = function (logFormat, laxist) {
+  var usedProperties = [];
+  var dateFormat;
+  var variables = {
+    'remote_addr':          {property: 'host',         regexp: '([a-zA-Z0-9\\.\\-:]+)'},
+    'http_x_forwarded_for': {property: 'host',         regexp: '([a-zA-Z0-9\\.\\-:]+(?:, ?[a-zA-Z0-9\\.\\-:]+)*)'},
+    'remote_user':          {property: 'login',        regexp: '([a-zA-Z0-9@\\.\\-_%=,]+)'},
+    'time_local':           {property: 'datetime',     regexp: '([^\\]]+)', dateFormat: 'DD/MMM/YYYY:HH:mm:ss Z'},
+    'time_iso8601':         {property: 'datetime',     regexp: '([0-9\\-]+T[0-9:]+(?:Z|[+\\-][0-9:]+))', dateFormat: 'YYYY-MM-DDTHH:mm:ssZ'},
+    'msec':                 {property: 'timestamp',    regexp: '([0-9]+)\\.[0-9]+'},
+    'request':              {property: 'url',          regexp: '[A-Z]+ ([^ ]+) [^ "]+'},
+    'request_uri':          {property: 'url',          regexp: '([^ ]+)'},
+    'uri':                  {property: 'url',          regexp: '([^ ]+)'},
+    'request_method':       {property: 'method',       regexp: '([A-Z]+)'},
+    'status':               {property: 'status',       regexp: '([0-9]+)'},
+    'body_bytes_sent':      {property: 'size',         regexp: '([0-9]+)'},
+    'bytes_sent':           {property: 'size',         regexp: '([0-9]+)'},
+    'request_time':         {property: 'responseTime', regexp: '([0-9\\.]+)'},
+    'host':                 {property: 'vhost',        regexp: '([a-zA-Z0-9\\.\\-:]+)'},
+    'http_host':            {property: 'vhost',        regexp: '([a-zA-Z0-9\\.\\-:]+)'},
+    'server_name':          {property: 'vhost',        regexp: '([a-zA-Z0-9\\.\\-]+)'},
+    'http_referer':         {property: 'referer',      regexp: '([^"]*)'},
+    'http_user_agent':      {property: 'user-agent',   regexp: '([^"]*)'}
+  };
+
+  var format = {
+    regexp: '^',
+    properties: []
+  };
+
+  // This regexp is used to catch any expression matching one of those patterns :
+  //   $variable
+  //   ${variable}
+  //   %{property}<regexp>
+  //   %{property}
+  //   %<regexp>
+  var paramRegex = /\$\{([a-zA-Z0-9_]+)\}|\$([a-zA-Z0-9_]+)|%\{([a-zA-Z0-9\-_]+)\}(?:<([^<>]+)>)?|%<([^<>]+)>/g;
+  var lastIndex  = 0;
+  var match;
+
+  while ((match = paramRegex.exec(logFormat)) !== null) {
+    var previous = logFormat.substring(lastIndex, match.index);
+    var variable = match[1] || match[2];
+    var property = match[3];
+    var regexp   = match[4] || match[5];
+
+    format.regexp += regexpEscape(previous);
+    lastIndex = paramRegex.lastIndex;
+
+    if (regexp && /\((?!\?:)/.test(regexp)) { return null; }
+
+    if (variable) {
+      var param = variables[variable];
+
+      // Unknown variables, or variables which property is already used, are kept with their name
+      // Quoted values may contain spaces
+      if (!param || usedProperties.indexOf(param.property) !== -1) {
+        param = {
+          property: variable,
+          regexp: previous.endsWith('"') ? '([^"]*)' : '([^ ]*)'
+        };
+      }
+
+      property = param.property;
+      regexp   = param.regexp;
+
+      if (param.dateFormat) { dateFormat = param.dateFormat; }
+    } else if (property) {
+      regexp = '(' + (regexp || '[a-zA-Z0-9\\-]+') + ')';
+    } else {
+      // If a regex has no matching label, it'll be taken into account
+      // but won't be caught when parsing log lines
+      format.regexp += regexp;
+      continue;
+    }
+
+    // Properties can't be used twice
+    if (usedProperties.indexOf(property) !== -1) { return null; }
+
+    usedProperties.push(property);
+    format.properties.push(property);
+    format.regexp += regexp;
+  }
+
+  format.regexp += regexpEscape(logFormat.substring(lastIndex)) + (laxist ? '' : '$');
+
+  if (dateFormat) { format.dateFormat = dateFormat; }
+
+  try {
+    format.regexp = new RegExp(format.regexp);
+  } catch (e) {
+    return null;
+  }
+
+  return format;
+};
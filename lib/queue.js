@@ -0,0 +1,350 @@
+'use strict';
+
+/**
+ * Queue of jobs waiting to be processed
+ * Uploads are stored in a temporary file, then processed by a bounded
+ * number of workers, in order of submission
+ */
+
+const fs           = require('fs-extra');
+const path         = require('path');
+const util         = require('util');
+const stream       = require('stream');
+const EventEmitter = require('events').EventEmitter;
+
+const Job    = require('./job.js');
+const codes  = require('../statuscodes.json');
+const jobs   = require('./jobs.js');
+const config = require('./config.js');
+const io     = require('./socketio.js').io;
+
+const queueDir = path.resolve(__dirname, '../tmp/queue');
+const jobsDir  = path.resolve(__dirname, '../tmp/jobs');
+
+function JobQueue(concurrency) {
+  this.concurrency = parseInt(concurrency) || 1;
+  this.pending     = [];
+  this.active      = new Map();
+
+  this.on('change', () => { this.notifyPositions(); });
+}
+util.inherits(JobQueue, EventEmitter);
+
+/**
+ * Store the upload of a request and add the job to the queue
+ * Responds with a 202 as soon as the upload is complete
+ * @param {Object} req    the request containing the log data
+ * @param {Object} res    the response
+ * @param {String} jobID  the ID of the job
+ */
+JobQueue.prototype.submit = function (req, res, jobID) {
+  const self       = this;
+  const uploadPath = path.resolve(queueDir, jobID);
+  const jobPath    = path.resolve(jobsDir, jobID.charAt(0), jobID.charAt(1), jobID);
+
+  const entry = {
+    id: jobID,
+    owner: req.user ? req.user.username : null,
+    institution: (req.user && req.user.institution) || null,
+    user: req.user,
+    socketID: req.header('Socket-ID'),
+    headers: Object.assign({}, req.headers),
+    method: req.method,
+    url: req.url,
+    baseURL: req.ezBaseURL,
+    uploadPath: uploadPath,
+    queuedAt: new Date()
+  };
+
+  Promise.all([
+    jobs.find(jobID),
+    fs.pathExists(jobPath),
+    fs.ensureDir(queueDir)
+  ]).then(([state, jobExists]) => {
+    if (state || jobExists || this.get(jobID)) {
+      res.writeHead(409, {
+        'ezPAARSE-Status': 4023,
+        'ezPAARSE-Status-Message': codes[4023]
+      });
+      return res.end();
+    }
+
+    const upload = fs.createWriteStream(uploadPath);
+
+    upload.on('error', () => {
+      fs.remove(uploadPath, () => { res.status(500).end(); });
+    });
+
+    // The client disconnected before the end of the upload
+    req.on('aborted', () => {
+      req.unpipe(upload);
+      upload.destroy();
+      fs.remove(uploadPath, () => {});
+    });
+
+    upload.on('finish', () => {
+      jobs.save(jobID, {
+        status: 'queued',
+        owner: entry.owner,
+        institution: entry.institution,
+        headers: jobs.filterHeaders(entry.headers),
+        queuedAt: entry.queuedAt
+      }).then(() => {
+        self.push(entry);
+
+        res.set('Job-ID', jobID);
+        res.set('Location', `${req.ezBaseURL}/jobs/${jobID}`);
+        res.status(202).json({ id: jobID, position: self.position(jobID) });
+      }).catch(() => {
+        fs.remove(uploadPath, () => { res.status(500).end(); });
+      });
+    });
+
+    req.pipe(upload);
+  }).catch(() => {
+    res.status(500).end();
+  });
+};
+
+/**
+ * Add an entry at the end of the queue
+ * @param {Object} entry
+ */
+JobQueue.prototype.push = function (entry) {
+  this.pending.push(entry);
+  this.emit('change');
+  this.next();
+};
+
+/**
+ * Start pending jobs while there are free workers
+ */
+JobQueue.prototype.next = function () {
+  while (this.active.size < this.concurrency && this.pending.length > 0) {
+    const entry = this.pending.shift();
+
+    this.active.set(entry.id, entry);
+    this.emit('change');
+
+    this.run(entry).catch(() => {}).then(() => {
+      this.active.delete(entry.id);
+      this.emit('change');
+      this.next();
+    });
+  }
+};
+
+/**
+ * Process a queued job, using its stored upload as input
+ * The upload is deleted once the job is over, whether it succeeded or not
+ * @param  {Object} entry
+ * @return {Promise} resolved when the job is over
+ */
+JobQueue.prototype.run = function (entry) {
+  const removeUpload = () => fs.remove(entry.uploadPath);
+
+  return new Promise(resolve => {
+    const req = createRequest(entry);
+    const res = createResponse();
+
+    resolve(new Job(req, res, entry.id, { resIsDeferred: true })._run());
+  }).then(removeUpload, err => removeUpload().then(() => { throw err; }));
+};
+
+/**
+ * Delete the uploads left by a previous process
+ * Should be called once, when the application starts, as the queue is only kept in memory
+ * @return {Promise} resolved with the number of deleted uploads
+ */
+JobQueue.prototype.sweep = function () {
+  return fs.ensureDir(queueDir)
+    .then(() => fs.readdir(queueDir))
+    .then(files => fs.emptyDir(queueDir).then(() => files.length));
+};
+
+/**
+ * Get a queued entry, either pending or active
+ * @param  {String} jobID
+ * @return {Object}
+ */
+JobQueue.prototype.get = function (jobID) {
+  return this.active.get(jobID) || this.pending.find(entry => entry.id === jobID);
+};
+
+/**
+ * Get the position of a pending job (starting from 1)
+ * @param  {String} jobID
+ * @return {Integer} the position, or 0 if the job is not pending
+ */
+JobQueue.prototype.position = function (jobID) {
+  return this.pending.findIndex(entry => entry.id === jobID) + 1;
+};
+
+/**
+ * List active and pending jobs
+ * @return {Array}
+ */
+JobQueue.prototype.list = function () {
+  const list = [];
+
+  this.active.forEach(entry => {
+    list.push({
+      id: entry.id,
+      owner: entry.owner,
+      institution: entry.institution,
+      status: 'running',
+      queuedAt: entry.queuedAt
+    });
+  });
+
+  this.pending.forEach((entry, index) => {
+    list.push({
+      id: entry.id,
+      owner: entry.owner,
+      institution: entry.institution,
+      status: 'queued',
+      position: index + 1,
+      queuedAt: entry.queuedAt
+    });
+  });
+
+  return list;
+};
+
+/**
+ * Remove a pending job from the queue and delete its upload
+ * @param  {String} jobID
+ * @param  {String} username  the user who cancelled the job
+ * @return {Promise} resolved with false if the job is not pending
+ */
+JobQueue.prototype.cancel = function (jobID, username) {
+  const index = this.pending.findIndex(entry => entry.id === jobID);
+  if (index === -1) { return Promise.resolve(false); }
+
+  const entry = this.pending.splice(index, 1)[0];
+  this.emit('change');
+
+  return Promise.all([
+    fs.remove(entry.uploadPath),
+    jobs.save(jobID, { status: 'cancelled', finishedAt: new Date(), cancelledBy: username })
+  ]).then(() => true);
+};
+
+/**
+ * Move a pending job to another position in the queue
+ * @param  {String}  jobID
+ * @param  {Integer} position  the new position (starting from 1)
+ * @return {Boolean} false if the job is not pending
+ */
+JobQueue.prototype.move = function (jobID, position) {
+  const index = this.pending.findIndex(entry => entry.id === jobID);
+  if (index === -1) { return false; }
+
+  const entry = this.pending.splice(index, 1)[0];
+  position    = Math.min(Math.max(parseInt(position) || 1, 1), this.pending.length + 1);
+
+  this.pending.splice(position - 1, 0, entry);
+  this.emit('change');
+  return true;
+};
+
+/**
+ * Send the queue position of each pending job through the report channel
+ */
+JobQueue.prototype.notifyPositions = function () {
+  if (!io()) { return; }
+
+  const sockets = io().sockets.connected;
+
+  this.pending.forEach((entry, index) => {
+    const socket = sockets[entry.socketID];
+    if (!socket) { return; }
+
+    socket.emit('report', {
+      general: {
+        'Job-ID': entry.id,
+        'Job-Done': false,
+        'queue-position': index + 1,
+        'queue-length': this.pending.length
+      }
+    });
+  });
+};
+
+/**
+ * Create a readable stream that mimics the original request,
+ * with its stored upload as body
+ * @param  {Object} entry
+ * @return {Object}
+ */
+function createRequest(entry) {
+  // Do not emit "close", which is interpreted by the job as a client disconnection
+  const req = new stream.PassThrough({ emitClose: false });
+
+  req.headers   = entry.headers;
+  req.method    = entry.method;
+  req.url       = entry.url;
+  req.user      = entry.user;
+  req.ezBaseURL = entry.baseURL;
+
+  req.get = req.header = function (name) {
+    return req.headers[name.toLowerCase()];
+  };
+
+  const upload = fs.createReadStream(entry.uploadPath);
+
+  // An unreadable upload stops the job, like a client disconnection
+  upload.on('error', () => { req.emit('close'); });
+  upload.pipe(req);
+
+  return req;
+}
+
+/**
+ * Create a writable stream that mimics a response but discards its data
+ * The results of queued jobs are always written in the job directory
+ * @return {Object}
+ */
+function createResponse() {
+  const res = new stream.Writable({
+    write: function (chunk, encoding, callback) {
+      res.headersSent = true;
+      callback();
+    }
+  });
+
+  res.statusCode  = 200;
+  res.headersSent = false;
+  res.headers     = {};
+
+  res.set = res.header = function (field, value) {
+    if (typeof field === 'object') {
+      Object.assign(res.headers, field);
+    } else {
+      res.headers[field] = value;
+    }
+    return res;
+  };
+
+  res.get = function (field) {
+    return res.headers[field];
+  };
+
+  res.status = function (code) {
+    res.statusCode = code;
+    return res;
+  };
+
+  res.writeHead = function (code, headers) {
+    res.statusCode  = code;
+    res.headersSent = true;
+    if (headers) { res.set(headers); }
+    return res;
+  };
+
+  res.setTimeout = function () { return res; };
+
+  return res;
+}
+
+module.exports = new JobQueue(config.EZPAARSE_QUEUE_CONCURRENCY);
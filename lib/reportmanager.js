@@ -5,7 +5,8 @@
  * Manage a report file
  */
 
-var fs = require('fs-extra');
+var fs      = require('fs-extra');
+var metrics = require('./metrics.js');
 
 function ReportManager(file, options) {
   options = options || {};
@@ -17,8 +18,9 @@ function ReportManager(file, options) {
   this.socket          = options.socket;
   this.startTime       = process.hrtime();
   this.finalized       = false;
-  this.lastLinesInput  = 0;
-  this.generatedECs    = 0;
+  this.lastLinesInput  = this.get('general', 'nb-lines-input') || 0;
+  this.generatedECs    = this.get('general', 'nb-ecs') || 0;
+  this.workerLines     = {};
   this.updateCallbacks = [];
   this.writeCallbacks  = [];
 }
@@ -41,6 +43,7 @@ ReportManager.prototype.inc = function (group, entry) {
   if (!this.report[group]) { this.report[group] = {}; }
   var c = this.report[group][entry];
   this.report[group][entry] = (c && typeof c == 'number') ? ++c : 1;
+  metrics.countReport(group, entry);
 
   this.update();
   this.updateFile();
@@ -174,6 +177,17 @@ ReportManager.prototype.updateFile = function (callback, noWait) {
   });
 };
 
+/**
+ * Get the numbers of the parser workers that processed lines for the job
+ * @return {Array}
+ */
+ReportManager.prototype.getWorkers = function () {
+  return Object.keys(this.report.general || {})
+    .map(entry => /^nb-lines-worker-(\d+)$/.exec(entry))
+    .filter(match => match)
+    .map(match => match[1]);
+};
+
 /**
  * Update the fields that require computation
  */
@@ -201,6 +215,15 @@ ReportManager.prototype.compute = function () {
 
     this.set('general', 'process-speed', (Math.round(lines / t) || 0) + ' lignes/s');
     this.set('general', 'ecs-speed', (Math.round(ecs / t) || 0) + ' ec/s');
+
+    this.getWorkers().forEach(worker => {
+      var workerLines = this.get('general', 'nb-lines-worker-' + worker);
+      var parsed      = workerLines - (this.workerLines[worker] || 0);
+
+      this.set('general', 'process-speed-worker-' + worker, (Math.round(parsed / t) || 0) + ' lignes/s');
+      this.workerLines[worker] = workerLines;
+    });
+
     this.lastLinesInput  = this.get('general', 'nb-lines-input');
     this.generatedECs    = this.get('general', 'nb-ecs');
     this.lastElapsedTime = elapsedTime;
@@ -209,6 +232,11 @@ ReportManager.prototype.compute = function () {
     var avgEcsSpeed   = Math.floor(this.get('general', 'nb-ecs') / (elapsedTime / 1000));
     this.set('general', 'process-speed', avgLinesSpeed + ' lignes/s');
     this.set('general', 'ecs-speed', avgEcsSpeed + ' ec/s');
+
+    this.getWorkers().forEach(worker => {
+      var avgWorkerSpeed = Math.floor(this.get('general', 'nb-lines-worker-' + worker) / (elapsedTime / 1000));
+      this.set('general', 'process-speed-worker-' + worker, avgWorkerSpeed + ' lignes/s');
+    });
   }
 
   var time = '';
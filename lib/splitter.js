@@ -4,6 +4,7 @@ var stream = require('stream');
 
 /**
  * Stream that split input into lines with a security upon buffer size
+ * Carriage returns are kept, so that the size of the original lines can be known
  */
 function Splitter(maxBufferSize) {
   stream.Transform.call(this, { objectMode: true });
@@ -18,7 +19,7 @@ Splitter.prototype._transform = function (chunk, encoding, callback) {
   if (typeof encoding !== 'string' || encoding == 'buffer') { encoding = 'utf8'; }
 
   this._buffer += chunk.toString(encoding);
-  var lines     = this._buffer.split(/\r?\n/);
+  var lines     = this._buffer.split('\n');
   this._buffer  = lines.pop() || '';
 
   if (Buffer.byteLength(this._buffer, encoding) > this._maxBufferSize) {
@@ -34,7 +35,7 @@ Splitter.prototype._transform = function (chunk, encoding, callback) {
 
 Splitter.prototype._flush = function (callback) {
   if (!this._overflow) {
-    this._buffer.split(/\r?\n/).forEach(line => { this.push(line); });
+    this._buffer.split('\n').forEach(line => { this.push(line); });
     this._buffer = '';
   }
   callback();
@@ -70,5 +71,27 @@ Joiner.prototype._flush = function (callback) {
   callback();
 };
 
+/**
+ * Stream that drops a given number of bytes from the beginning of its input
+ */
+function Skipper(bytes) {
+  stream.Transform.call(this);
+
+  this._toSkip = bytes || 0;
+}
+require('util').inherits(Skipper, stream.Transform);
+
+Skipper.prototype._transform = function (chunk, encoding, callback) {
+  if (this._toSkip > 0) {
+    var skipped   = Math.min(this._toSkip, chunk.length);
+    this._toSkip -= skipped;
+    chunk         = chunk.slice(skipped);
+  }
+
+  if (chunk.length > 0) { this.push(chunk); }
+  callback();
+};
+
 exports.Splitter = Splitter;
 exports.Joiner   = Joiner;
+exports.Skipper  = Skipper;
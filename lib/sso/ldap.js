@@ -0,0 +1,132 @@
+'use strict';
+
+/**
+ * Authentication against an LDAP directory
+ * The user entry is searched with a service account, then its password
+ * is checked by binding as the user
+ */
+
+const ldap         = require('ldapjs');
+const provisioning = require('./provisioning.js');
+
+/**
+ * Escape a value inserted in an LDAP filter (RFC 4515)
+ * @param  {String} value
+ * @return {String}
+ */
+function escapeFilter(value) {
+  return String(value).replace(/[\\*()\0]/g, char => {
+    return '\\' + char.charCodeAt(0).toString(16).padStart(2, '0');
+  });
+}
+
+/**
+ * Get the values of an entry attribute as an array
+ * @param  {Object} entry
+ * @param  {String} attribute
+ * @return {Array}
+ */
+function getValues(entry, attribute) {
+  const value = entry[attribute];
+  if (value === undefined || value === null) { return []; }
+  return Array.isArray(value) ? value : [value];
+}
+
+function bind(client, dn, password) {
+  return new Promise((resolve, reject) => {
+    client.bind(dn, password, err => (err ? reject(err) : resolve()));
+  });
+}
+
+function search(client, base, options) {
+  return new Promise((resolve, reject) => {
+    client.search(base, options, (err, res) => {
+      if (err) { return reject(err); }
+
+      const entries = [];
+      res.on('searchEntry', entry => { entries.push(entry.object); });
+      res.on('error', reject);
+      res.on('end', () => { resolve(entries); });
+    });
+  });
+}
+
+/**
+ * Create a passport verify callback authenticating users with an LDAP bind
+ * @param  {Object} options  the "ldap" section of EZPAARSE_SSO
+ * @return {Function} verify(username, password, done)
+ */
+module.exports = function (options) {
+  const mailAttribute = options.mailAttribute || 'mail';
+  const searchFilter  = options.searchFilter || '(mail={{username}})';
+
+  /**
+   * Find the user entry, check the password and get the groups of the user
+   * @return {Promise} resolved with the profile of the user, or null if refused
+   */
+  async function authenticate(client, username, password) {
+    if (options.bindDN) {
+      await bind(client, options.bindDN, options.bindCredentials);
+    }
+
+    const entries = await search(client, options.searchBase, {
+      scope: 'sub',
+      filter: searchFilter.replace(/{{username}}/g, escapeFilter(username)),
+      attributes: ['dn', mailAttribute, 'memberOf']
+    });
+
+    if (entries.length !== 1) { return null; }
+
+    const entry = entries[0];
+
+    try {
+      await bind(client, entry.dn, password);
+    } catch (e) {
+      if (e instanceof ldap.InvalidCredentialsError) { return null; }
+      throw e;
+    }
+
+    let groups = getValues(entry, 'memberOf');
+
+    if (options.groupSearchBase) {
+      const filter = options.groupSearchFilter || '(member={{dn}})';
+      const groupEntries = await search(client, options.groupSearchBase, {
+        scope: 'sub',
+        filter: filter.replace(/{{dn}}/g, escapeFilter(entry.dn)),
+        attributes: ['dn']
+      });
+
+      groups = groups.concat(groupEntries.map(group => group.dn));
+    }
+
+    return {
+      username: getValues(entry, mailAttribute)[0] || username,
+      provider: 'ldap',
+      groups: groups
+    };
+  }
+
+  return function (username, password, done) {
+    // An empty password would result in an anonymous bind
+    if (!username || !password) { return done(null, false); }
+
+    const client = ldap.createClient({
+      url: options.url,
+      timeout: options.timeout || 10000,
+      connectTimeout: options.timeout || 10000,
+      tlsOptions: options.tlsOptions
+    });
+
+    client.on('error', () => {});
+
+    authenticate(client, username, password).then(profile => {
+      client.unbind();
+      if (!profile) { return done(null, false); }
+
+      provisioning.provision(profile, options, done);
+    }, err => {
+      client.unbind();
+      done(err);
+    });
+  };
+};
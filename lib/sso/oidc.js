@@ -0,0 +1,144 @@
+'use strict';
+
+/**
+ * Authentication with an OpenID Connect identity provider (authorization code flow)
+ * The claims of the user are read from the userinfo endpoint, with the access
+ * token obtained from the token endpoint
+ */
+
+const crypto       = require('crypto');
+const querystring  = require('querystring');
+const request      = require('request');
+const provisioning = require('./provisioning.js');
+
+/**
+ * Send a request and get its JSON body
+ * @param  {Object} options  request options
+ * @return {Promise}
+ */
+function getJSON(options) {
+  return new Promise((resolve, reject) => {
+    request(Object.assign({ json: true }, options), (err, res, body) => {
+      if (err) { return reject(err); }
+
+      if (res.statusCode !== 200 || !body || typeof body !== 'object') {
+        return reject(new Error(`${options.url} responded with a code ${res.statusCode}`));
+      }
+
+      resolve(body);
+    });
+  });
+}
+
+/**
+ * Create the middlewares of the authorization code flow
+ * @param  {Object} options  the "oidc" section of EZPAARSE_SSO
+ * @return {Object} { authorize, callback }
+ */
+module.exports = function (options) {
+  const issuer        = options.issuer.replace(/\/+$/, '');
+  const usernameClaim = options.usernameClaim || 'email';
+  const groupsClaim   = options.groupsClaim || 'groups';
+  let metadata;
+
+  /**
+   * Get the metadata of the provider, from its discovery document
+   * @return {Promise}
+   */
+  function discover() {
+    if (metadata) { return Promise.resolve(metadata); }
+
+    return getJSON({ url: `${issuer}/.well-known/openid-configuration` }).then(doc => {
+      if (String(doc.issuer).replace(/\/+$/, '') !== issuer) {
+        throw new Error(`the discovery document of ${issuer} has another issuer`);
+      }
+
+      metadata = doc;
+      return metadata;
+    });
+  }
+
+  function getRedirectURI(req) {
+    return options.redirectURI || `${req.ezBaseURL}/auth/oidc/callback`;
+  }
+
+  /**
+   * Exchange an authorization code and get the claims of the user
+   * @return {Promise}
+   */
+  function getClaims(code, redirectURI) {
+    return discover().then(doc => {
+      return getJSON({
+        method: 'POST',
+        url: doc.token_endpoint,
+        auth: { user: options.clientID, pass: options.clientSecret },
+        form: {
+          'grant_type': 'authorization_code',
+          'code': code,
+          'redirect_uri': redirectURI
+        }
+      }).then(tokens => {
+        if (!tokens.access_token) { throw new Error('no access token received'); }
+
+        return getJSON({ url: doc.userinfo_endpoint, auth: { bearer: tokens.access_token } });
+      });
+    });
+  }
+
+  return {
+    /**
+     * Redirect the user to the authorization endpoint of the provider
+     */
+    authorize: function (req, res, next) {
+      discover().then(doc => {
+        const state = crypto.randomBytes(16).toString('hex');
+        req.session.oidcState = state;
+
+        const query = querystring.stringify({
+          'response_type': 'code',
+          'client_id': options.clientID,
+          'redirect_uri': getRedirectURI(req),
+          'scope': options.scope || 'openid email profile',
+          'state': state
+        });
+
+        res.redirect(`${doc.authorization_endpoint}?${query}`);
+      }).catch(next);
+    },
+
+    /**
+     * Complete the flow when the provider redirects the user back
+     * Sets req.user, or responds with a 401 if the user is refused
+     */
+    callback: function (req, res, next) {
+      const state = req.session.oidcState;
+      delete req.session.oidcState;
+
+      if (!state || req.query.state !== state || !req.query.code) {
+        return res.status(401).end();
+      }
+
+      getClaims(req.query.code, getRedirectURI(req)).then(claims => {
+        const username = claims[usernameClaim];
+
+        if (!username || claims.email_verified === false) { return res.status(401).end(); }
+
+        const groups = claims[groupsClaim];
+
+        const profile = {
+          username: username,
+          provider: 'oidc',
+          groups: Array.isArray(groups) ? groups : [groups].filter(Boolean)
+        };
+
+        provisioning.provision(profile, options, (err, user) => {
+          if (err) { return next(err); }
+          if (!user) { return res.status(401).end(); }
+
+          req.user = user;
+          next();
+        });
+      }, next);
+    }
+  };
+};
@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * Provisioning of the users authenticated by an external identity provider (LDAP, OIDC)
+ * Their local account has no password and remembers its provider
+ */
+
+const userlist = require('../userlist.js');
+
+/**
+ * Get the group of a user from the groups given by its identity provider
+ * @param  {Array} groups       groups of the user
+ * @param  {Array} adminGroups  groups mapped to the admin group
+ * @return {String} admin or user
+ */
+exports.mapGroup = function (groups, adminGroups) {
+  const admins = (adminGroups || []).map(group => String(group).toLowerCase());
+
+  return (groups || []).some(group => admins.includes(String(group).toLowerCase()))
+    ? 'admin'
+    : 'user';
+};
+
+/**
+ * Get or create the local account of an externally authenticated user
+ * If the provider maps groups, the group of the account is updated on each login
+ * @param {Object}   profile   username, provider, groups
+ * @param {Object}   options   configuration of the provider (adminGroups)
+ * @param {Function} callback(err, user)  user is false if the username is used
+ *                                        by an account of another provider
+ */
+exports.provision = function (profile, options, callback) {
+  const mapsGroups = Array.isArray(options.adminGroups);
+
+  userlist.get(profile.username, function (err, user) {
+    if (err) { return callback(err); }
+
+    if (!user) {
+      return userlist.add({
+        username: profile.username,
+        password: null,
+        group: mapsGroups ? exports.mapGroup(profile.groups, options.adminGroups) : 'user',
+        provider: profile.provider,
+        createdAt: new Date()
+      }, callback);
+    }
+
+    // Local accounts are never taken over by an identity provider
+    if (user.provider !== profile.provider) { return callback(null, false); }
+
+    const group = mapsGroups ? exports.mapGroup(profile.groups, options.adminGroups) : user.group;
+    if (group === user.group) { return callback(null, user); }
+
+    userlist.set(user.username, 'group', group, callback);
+  });
+};
@@ -18,10 +18,11 @@ module.exports = StreamHandler;
  * Add a stream to the list
  * @param {String} name     stream name
  * @param {String} filePath the file to write into
+ * @param {Object} options  options of the file stream (optional)
  */
-StreamHandler.prototype.add = function (name, filePath) {
+StreamHandler.prototype.add = function (name, filePath, options) {
   var self = this;
-  self.streams[name] = fs.createWriteStream(filePath);
+  self.streams[name] = fs.createWriteStream(filePath, options);
   self.streams[name].on('drain', function () {
     self.emit('drain');
   });
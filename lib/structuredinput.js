@@ -0,0 +1,246 @@
+'use strict';
+
+/**
+ * Parsers of structured logs, which lines are turned into ECs without a log format:
+ *   - JSON lines, as written by log shippers (Fluentd, Filebeat...)
+ *   - W3C extended log format (IIS...), which columns are given by a #Fields directive
+ */
+
+// Keys of the Elastic Common Schema mapped to EC fields by default
+const defaultJsonMapping = {
+  '@timestamp':                'datetime',
+  'source.ip':                 'host',
+  'client.ip':                 'host',
+  'user.name':                 'login',
+  'url.original':              'url',
+  'url.full':                  'url',
+  'http.request.method':       'method',
+  'http.request.referrer':     'referer',
+  'http.response.status_code': 'status',
+  'http.response.body.bytes':  'size',
+  'user_agent.original':       'user-agent'
+};
+
+// W3C fields mapped to EC fields
+const w3cMapping = {
+  'c-ip':           'host',
+  'cs-username':    'login',
+  'cs-uri':         'url',
+  'cs-method':      'method',
+  'sc-status':      'status',
+  'sc-bytes':       'size',
+  'time-taken':     'responseTime',
+  'cs-host':        'vhost',
+  'cs(user-agent)': 'user-agent',
+  'cs(referer)':    'referer'
+};
+
+const w3cDirective = /^#(Version|Fields|Software|Start-Date|End-Date|Date|Remark):/i;
+
+/**
+ * Parse a JSON-Field-Mapping header
+ * @param  {String} str  ex: "host=client.ip, login=user.name"
+ * @return {Object} EC fields by source key
+ * @throws an error if the mapping is invalid
+ */
+exports.parseFieldMapping = function (str) {
+  const mapping = {};
+
+  str.split(',').forEach(declaration => {
+    const match = /^\s*([a-z0-9_-]+)\s*=\s*([^\s=]+)\s*$/i.exec(declaration);
+
+    if (!match) { throw new Error(`invalid declaration: ${declaration.trim()}`); }
+
+    mapping[match[2]] = match[1];
+  });
+
+  return mapping;
+};
+
+/**
+ * Flatten an object into dotted keys, with string values
+ * @param  {Object} obj
+ * @param  {String} prefix
+ * @param  {Object} result
+ * @return {Object}
+ */
+function flatten(obj, prefix, result) {
+  for (const key in obj) {
+    const value = obj[key];
+    const path  = prefix ? `${prefix}.${key}` : key;
+
+    if (value === null || value === undefined || value === '') { continue; }
+
+    if (Array.isArray(value)) {
+      result[path] = value.join(',');
+    } else if (typeof value === 'object') {
+      flatten(value, path, result);
+    } else {
+      result[path] = value.toString();
+    }
+  }
+  return result;
+}
+
+/**
+ * Create a parser of JSON lines
+ * Nested keys are flattened (ex: client.ip) and mapped to EC fields
+ * @param  {Object} customMapping  EC fields by source key, given by JSON-Field-Mapping
+ * @return {Object} the parser
+ */
+exports.jsonParser = function (customMapping) {
+  const mapping = Object.assign({}, defaultJsonMapping, customMapping);
+  const parser  = {};
+
+  /**
+   * Turn a line into an EC
+   * @param  {String} line
+   * @return {Object} the EC, or null if the line is not a JSON object
+   */
+  parser.parse = function (line) {
+    let data;
+
+    try {
+      data = JSON.parse(line);
+    } catch (e) {
+      return null;
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) { return null; }
+
+    const values = flatten(data, '', {});
+    const ec     = {};
+
+    // fields from the mapping come first, and take precedence over unmapped keys
+    for (const key in values) {
+      const field = mapping[key];
+      if (field && ec[field] === undefined) { ec[field] = values[key]; }
+    }
+    for (const key in values) {
+      if (!mapping[key] && ec[key] === undefined) { ec[key] = values[key]; }
+    }
+
+    return ec;
+  };
+
+  /**
+   * Get the fields of an EC to add to the output: mapped fields and top-level keys
+   * @param  {Object} ec
+   * @return {Array}
+   */
+  parser.getColumns = function (ec) {
+    const mapped = new Set(Object.keys(mapping).map(key => mapping[key]));
+    return Object.keys(ec).filter(key => mapped.has(key) || key.indexOf('.') === -1);
+  };
+
+  return parser;
+};
+
+/**
+ * Create a parser of W3C extended logs
+ * Lines are only parsed once a #Fields directive has been read
+ * @return {Object} the parser
+ */
+exports.w3cParser = function () {
+  const parser = {};
+  let fields   = null;
+
+  /**
+   * Check if a line is a W3C directive
+   * @param  {String} line
+   * @return {Boolean}
+   */
+  parser.isDirective = function (line) {
+    return w3cDirective.test(line);
+  };
+
+  /**
+   * Read a directive, only #Fields is used
+   * @param  {String}  line
+   * @return {Boolean} true if the directive defines the columns
+   */
+  parser.directive = function (line) {
+    const match = /^#Fields:\s*(.*)$/i.exec(line);
+    if (match) { fields = match[1].trim().split(/\s+/); }
+    return !!match;
+  };
+
+  /**
+   * Check if the columns are known
+   * @return {Boolean}
+   */
+  parser.isReady = function () {
+    return fields !== null;
+  };
+
+  /**
+   * Get the EC fields produced by the parser
+   * @return {Array}
+   */
+  parser.getColumns = function () {
+    const columns = [];
+
+    (fields || []).forEach(field => {
+      let column = w3cMapping[field.toLowerCase()] || field;
+
+      if (field === 'date' || field === 'time') { column = 'datetime'; }
+      if (field === 'cs-uri-stem' || field === 'cs-uri-query') { column = 'url'; }
+
+      if (columns.indexOf(column) === -1) { columns.push(column); }
+    });
+
+    return columns;
+  };
+
+  /**
+   * Turn a line into an EC
+   * @param  {String} line
+   * @return {Object} the EC, or null if the line doesn't have the expected number of values
+   */
+  parser.parse = function (line) {
+    const values = line.match(/"(?:[^"]|"")*"|[^\s]+/g) || [];
+
+    if (values.length !== fields.length) { return null; }
+
+    const raw = {};
+    const ec  = {};
+
+    fields.forEach((field, i) => {
+      let value = values[i];
+
+      if (/^".*"$/.test(value)) { value = value.slice(1, -1).replace(/""/g, '"'); }
+      if (value !== '-' && value !== '') { raw[field.toLowerCase()] = value; }
+    });
+
+    // W3C dates are in UTC
+    if (raw.date && raw.time) {
+      ec.datetime = `${raw.date}T${raw.time}Z`;
+    }
+
+    if (!raw['cs-uri'] && raw['cs-uri-stem']) {
+      ec.url = raw['cs-uri-stem'];
+      if (raw['cs-uri-query']) { ec.url += `?${raw['cs-uri-query']}`; }
+
+      // the stem is a path, the domain is given by the host header
+      if (ec.url.startsWith('/') && raw['cs-host']) {
+        ec.url = `http://${raw['cs-host']}${ec.url}`;
+      }
+    }
+
+    fields.forEach(field => {
+      const key   = field.toLowerCase();
+      const value = raw[key];
+
+      if (value === undefined || /^(date|time|cs-uri-stem|cs-uri-query)$/.test(key)) { return; }
+
+      const column = w3cMapping[key] || field;
+
+      // IIS replaces spaces with "+" in strings
+      ec[column] = (key === 'cs(user-agent)') ? value.replace(/\+/g, ' ') : value;
+    });
+
+    return ec;
+  };
+
+  return parser;
+};
@@ -0,0 +1,164 @@
+'use strict';
+
+/**
+ * Usage statistics served by the SUSHI API
+ * When a job is published for a customer, the metrics of its COUNTER R5 reporters
+ * are saved by item and month, so that reports can cover several jobs
+ */
+
+const mongo           = require('./mongo.js');
+const CounterReporter = require('./counter-reporter.js');
+
+/**
+ * Reports that can be harvested, with their description
+ */
+const reports = {
+  'tr_j1': 'Journal Requests (Excluding OA_Gold)',
+  'tr_j3': 'Journal Usage by Access Type',
+  'tr_b1': 'Book Requests (Excluding OA_Gold)',
+  'pr_p1': 'Platform Usage'
+};
+
+function collection() {
+  return mongo.getCollection('counter-usage');
+}
+
+exports.reports = reports;
+
+/**
+ * Create indexes, should be called once when the application starts
+ * @return {Promise}
+ */
+exports.init = function () {
+  const usage = collection();
+
+  return Promise.all([
+    usage.createIndex({ customer: 1, report: 1, month: 1 }),
+    usage.createIndex({ job: 1 })
+  ]);
+};
+
+/**
+ * Save the usage aggregated by the COUNTER reporters of a job
+ * Usage previously saved for the same job is replaced
+ * @param  {Object} job
+ * @return {Promise} resolved with the number of saved aggregates
+ */
+exports.save = async function (job) {
+  const usage    = collection();
+  const customer = job.sushiCustomer;
+
+  if (!usage || !customer) { return 0; }
+
+  const now  = new Date();
+  const docs = [];
+
+  Object.keys(reports).forEach(report => {
+    const reporter = job.counterReporter.get(report);
+    if (!reporter) { return; }
+
+    reporter.getAggregates().forEach(aggregate => {
+      docs.push(Object.assign({
+        job: job.jobID,
+        customer: customer.id,
+        customerName: customer.name,
+        report: report,
+        createdAt: now
+      }, aggregate));
+    });
+  });
+
+  await usage.deleteMany({ job: job.jobID });
+  if (docs.length > 0) { await usage.insertMany(docs, { ordered: false }); }
+
+  return docs.length;
+};
+
+/**
+ * Get the usage of a customer for a report
+ * @param  {String} report    tr_j1, pr_p1...
+ * @param  {String} customer  customer ID
+ * @param  {String} begin     first month (YYYY-MM)
+ * @param  {String} end       last month (YYYY-MM)
+ * @return {Promise} resolved with the list of aggregates
+ */
+exports.find = function (report, customer, begin, end) {
+  const usage = collection();
+  if (!usage) { return Promise.resolve([]); }
+
+  return usage.find(
+    { customer, report, month: { $gte: begin, $lte: end } },
+    { projection: { _id: 0 }, sort: { createdAt: 1 } }
+  ).toArray();
+};
+
+/**
+ * Build a COUNTER R5 report from the usage saved for a customer
+ * @param  {String} report    tr_j1, pr_p1...
+ * @param  {Object} customer  { id, name }
+ * @param  {Object} begin     moment of the first day of the first month
+ * @param  {Object} end       moment of the last day of the last month
+ * @return {Promise} resolved with the report, in the COUNTER_SUSHI JSON format
+ */
+exports.getReport = async function (report, customer, begin, end) {
+  const aggregates = await exports.find(
+    report,
+    customer.id,
+    begin.format('YYYY-MM'),
+    end.format('YYYY-MM')
+  );
+
+  const counterReporter = new CounterReporter();
+  counterReporter.set('customer', customer);
+  counterReporter.add(report);
+
+  const reporter = counterReporter.get(report);
+  reporter.startDate = begin.unix();
+  reporter.endDate   = end.unix();
+
+  aggregates.forEach(aggregate => {
+    reporter.addAggregate(aggregate);
+
+    // keep the most recent name of the customer
+    if (aggregate.customerName) { customer.name = aggregate.customerName; }
+  });
+
+  const json = reporter.generateJSON(reporter.getPeriods());
+
+  if (aggregates.length === 0) {
+    json['Report_Header']['Exceptions'] = [{
+      'Code': 3030,
+      'Severity': 'Error',
+      'Message': 'No Usage Available for Requested Dates',
+      'Data': `No usage saved between ${begin.format('YYYY-MM')} and ${end.format('YYYY-MM')}`
+    }];
+  }
+
+  return json;
+};
+
+/**
+ * Get the customers having usage, and the last name they were given
+ * @param  {Array} [customers]  restrict the list to these customer IDs
+ * @return {Promise} resolved with a list of { id, name }
+ */
+exports.customers = function (customers) {
+  const usage = collection();
+  if (!usage) { return Promise.resolve([]); }
+
+  const pipeline = [];
+
+  if (Array.isArray(customers)) {
+    pipeline.push({ $match: { customer: { $in: customers } } });
+  }
+
+  pipeline.push(
+    { $sort: { createdAt: 1 } },
+    { $group: { _id: '$customer', name: { $last: '$customerName' } } },
+    { $sort: { _id: 1 } }
+  );
+
+  return usage.aggregate(pipeline).toArray().then(results => {
+    return results.map(result => ({ id: result._id, name: result.name }));
+  });
+};
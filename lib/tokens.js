@@ -0,0 +1,155 @@
+'use strict';
+
+/**
+ * Personal API tokens
+ * Tokens are only given once on creation, the database only stores their hash
+ */
+
+const crypto = require('crypto');
+const uuid   = require('uuid');
+const mongo  = require('./mongo.js');
+
+const tokens = {};
+
+/**
+ * Scopes a token can be given
+ *  - submit : start and cancel jobs
+ *  - read   : access the state, reports and results of jobs
+ *  - admin  : use the administration routes (only for admins)
+ */
+tokens.scopes = ['submit', 'read', 'admin'];
+
+/**
+ * Prefix of the tokens, to make them recognizable
+ */
+tokens.prefix = 'ezp_';
+
+function collection() {
+  return mongo.getCollection('tokens');
+}
+
+/**
+ * Create the indexes of the tokens collection
+ * @return {Promise}
+ */
+tokens.init = function () {
+  const collec = collection();
+
+  return Promise.all([
+    collec.createIndex({ hash: 1 }, { unique: true }),
+    collec.createIndex({ username: 1 })
+  ]);
+};
+
+/**
+ * Hash a token
+ * @param  {String} token
+ * @return {String}
+ */
+function hash(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Remove the hash of a stored token
+ * @param  {Object} token
+ * @return {Object}
+ */
+function describe(token) {
+  const description = Object.assign({}, token);
+  delete description._id;
+  delete description.hash;
+  return description;
+}
+
+/**
+ * Create a token
+ * @param  {String} username
+ * @param  {Object} options   name, scopes, expiresAt (optional)
+ * @return {Promise} resolved with the token description, the token itself being in "token"
+ */
+tokens.create = function (username, options) {
+  const collec = collection();
+  if (!collec) { return Promise.reject(new Error('database not available')); }
+
+  const token = tokens.prefix + crypto.randomBytes(32).toString('hex');
+
+  const doc = {
+    id: uuid.v4(),
+    username: username,
+    name: options.name || '',
+    scopes: options.scopes,
+    hint: token.substr(0, tokens.prefix.length + 4),
+    hash: hash(token),
+    createdAt: new Date(),
+    expiresAt: options.expiresAt || null,
+    lastUsedAt: null
+  };
+
+  return collec.insertOne(doc).then(() => {
+    const description = describe(doc);
+    description.token = token;
+    return description;
+  });
+};
+
+/**
+ * List the tokens of a user
+ * @param  {String} username
+ * @return {Promise} resolved with an array of token descriptions
+ */
+tokens.list = function (username) {
+  const collec = collection();
+  if (!collec) { return Promise.resolve([]); }
+
+  return collec.find({ username: username }).sort({ createdAt: 1 }).toArray()
+    .then(list => list.map(describe));
+};
+
+/**
+ * Revoke a token of a user
+ * @param  {String} username
+ * @param  {String} id
+ * @return {Promise} resolved with true if the token was revoked
+ */
+tokens.revoke = function (username, id) {
+  const collec = collection();
+  if (!collec) { return Promise.reject(new Error('database not available')); }
+
+  return collec.deleteOne({ username: username, id: id }).then(result => result.deletedCount > 0);
+};
+
+/**
+ * Revoke all tokens of a user
+ * @param  {String} username
+ * @return {Promise}
+ */
+tokens.revokeAll = function (username) {
+  const collec = collection();
+  if (!collec) { return Promise.resolve(); }
+
+  return collec.deleteMany({ username: username });
+};
+
+/**
+ * Find a valid token and update its last use
+ * @param  {String} token
+ * @return {Promise} resolved with the token description, or null if unknown or expired
+ */
+tokens.verify = function (token) {
+  const collec = collection();
+  if (!collec || typeof token !== 'string' || !token.startsWith(tokens.prefix)) {
+    return Promise.resolve(null);
+  }
+
+  const now = new Date();
+
+  // Expired tokens are left untouched, so that they don't look recently used
+  return collec.findOneAndUpdate(
+    { hash: hash(token), $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+    { $set: { lastUsedAt: now } },
+    { returnOriginal: false }
+  ).then(result => (result.value ? describe(result.value) : null));
+};
+
+module.exports = tokens;
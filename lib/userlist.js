@@ -8,6 +8,21 @@ let crypto = require('crypto');
 let mongo  = require('./mongo.js');
 let list   = {};
 
+/**
+ * Parameters of the password hashes, by version
+ * To strengthen the hashes, add a version and make it the current one:
+ * passwords using an older version are upgraded on the next login
+ */
+const hashVersions = {
+  1: { digest: 'sha512', iterations: 210000, keylen: 64, saltlen: 16 }
+};
+const currentVersion = 1;
+
+/**
+ * Legacy hashes: HMAC-SHA1 with a static key
+ */
+const legacyPattern = /^[a-f0-9]{40}$/;
+
 /**
  * get the number of users
  * @return {Integer} userlist length
@@ -17,15 +32,83 @@ list.length = function (callback) {
 };
 
 /**
- * Crypt a password
- * @return {String} userid    user mail
- * @return {String} password  user password
+ * Crypt a password with the legacy scheme, only used to verify legacy hashes
+ * @param  {String} userid    user mail
+ * @param  {String} password  user password
  * @return {String} crypted password
  */
-list.crypt = function (userid, password) {
+function legacyCrypt(userid, password) {
   return crypto.createHmac('sha1', 'ezgreatpwd0968')
     .update(userid + password)
     .digest('hex');
+}
+
+/**
+ * Compare two hex strings in constant time
+ * @return {Boolean}
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a, 'hex');
+  const bufB = Buffer.from(b, 'hex');
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Hash a password with PBKDF2, using a random salt
+ * The result looks like pbkdf2$<version>$<salt>$<hash>
+ * @param {String}   password
+ * @param {Function} callback(err, hash)
+ */
+list.hash = function (password, callback) {
+  const params = hashVersions[currentVersion];
+
+  crypto.randomBytes(params.saltlen, function (err, salt) {
+    if (err) { return callback(err); }
+
+    crypto.pbkdf2(password, salt, params.iterations, params.keylen, params.digest,
+      function (err, key) {
+        if (err) { return callback(err); }
+
+        const parts = ['pbkdf2', currentVersion, salt.toString('hex'), key.toString('hex')];
+        callback(null, parts.join('$'));
+      });
+  });
+};
+
+/**
+ * Check if a password hash uses the legacy scheme
+ * @param  {String} hash
+ * @return {Boolean}
+ */
+list.isLegacy = function (hash) {
+  return legacyPattern.test(hash || '');
+};
+
+/**
+ * Verify the password of a user
+ * @param {Object}   user      the user, with its username and password hash
+ * @param {String}   password  the password to verify
+ * @param {Function} callback(err, valid, outdated)
+ *                   outdated is true if the hash should be upgraded to the current version
+ */
+list.verify = function (user, password, callback) {
+  const stored = user.password || '';
+
+  if (list.isLegacy(stored)) {
+    return callback(null, safeEqual(stored, legacyCrypt(user.username, password)), true);
+  }
+
+  const [scheme, version, salt, hash] = stored.split('$');
+  const params = hashVersions[version];
+
+  if (scheme !== 'pbkdf2' || !params || !salt || !hash) { return callback(null, false); }
+
+  crypto.pbkdf2(password, Buffer.from(salt, 'hex'), params.iterations, params.keylen,
+    params.digest, function (err, key) {
+      if (err) { return callback(err); }
+
+      callback(null, safeEqual(hash, key.toString('hex')), parseInt(version) !== currentVersion);
+    });
 };
 
 /**
@@ -36,6 +119,19 @@ list.getAll = function (callback) {
   mongo.getCollection('users').find({}, { password: 0 }).toArray(callback);
 };
 
+/**
+ * get the users whose password still uses the legacy scheme
+ * @return {Array} users (username, group and creation date)
+ */
+list.getLegacy = function (callback) {
+  const projection = { _id: 0, username: 1, group: 1, createdAt: 1 };
+
+  mongo.getCollection('users')
+    .find({ password: legacyPattern }, { projection: projection })
+    .sort({ username: 1 })
+    .toArray(callback);
+};
+
 /**
  * get a user with a given name
  * @param  {String} username
@@ -45,6 +141,15 @@ list.get = function (username, callback) {
   mongo.getCollection('users').findOne({ username: username }, callback);
 };
 
+/**
+ * get the user with a given SUSHI requestor ID
+ * @param  {String} requestorID
+ * @return {Object} the user if found, otherwise null
+ */
+list.getByRequestorID = function (requestorID, callback) {
+  mongo.getCollection('users').findOne({ requestorID: requestorID }, callback);
+};
+
 /**
  * set a user with a given name
  * @param  {String} username
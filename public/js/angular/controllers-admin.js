@@ -216,6 +216,11 @@ angular.module('ezPAARSE.admin-controllers', [])
         adm.loadingUsers = false;
       });
 
+    $http.get('/users/legacy-passwords')
+      .success(function (users) {
+        adm.legacyPasswords = users.map(function (user) { return user.username; });
+      });
+
     adm.toggleModification = function (user) {
       var mail = user.username;
       adm.changed[mail] = adm.changed[mail] ? false : angular.copy(user);
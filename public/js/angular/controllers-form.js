@@ -85,15 +85,50 @@ angular.module('ezPAARSE.form-controllers', [])
 
       $location.path('/process');
     };
-  }).controller('FormatCtrl', function ($scope, settingService, inputService, $timeout) {
+  }).controller('FormatCtrl', function ($scope, settingService, inputService, $timeout, $http) {
     var logParser = require('logparser');
     var settings  = settingService.settings;
     var promise;
+    var testPromise;
     $scope.test = {
       loading: false,
       tab: 'format'
     };
 
+    /**
+     * Detect the format using the first lines, and list the matching formats
+     */
+    var detect = function () {
+      var lines = inputService.text.split('\n').slice(0, 50);
+
+      $http.post('/info/format/detect', { lines: lines }).then(function (response) {
+        $scope.test.candidates = response.data.candidates;
+      }, function () {
+        $scope.test.candidates = null;
+      });
+    };
+
+    /**
+     * Test the format on the first lines, the server gives the lines that failed and suggestions
+     * @param {String} format
+     */
+    var testLines = function (format) {
+      $timeout.cancel(testPromise);
+
+      testPromise = $timeout(function () {
+        $http.post('/info/format/test', {
+          lines: inputService.text.split('\n').slice(0, 20),
+          proxy: settings.proxyType,
+          format: format,
+          dateFormat: settings.headers['Date-Format']
+        }).then(function (response) {
+          $scope.test.lines = response.data;
+        }, function () {
+          $scope.test.lines = null;
+        });
+      }, 300);
+    };
+
     $scope.parse = function () {
       $timeout.cancel(promise);
 
@@ -104,8 +139,17 @@ angular.module('ezPAARSE.form-controllers', [])
       var regexp;
       var regexpBreak;
 
+      $scope.test.candidates = null;
+      $scope.test.lines      = null;
+
       if (!logLine) { return $scope.test.result = null; }
 
+      if (format) {
+        testLines(format);
+      } else {
+        detect();
+      }
+
       $scope.test.loading = true;
 
       (function retry() {
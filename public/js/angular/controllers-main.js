@@ -172,6 +172,12 @@ angular.module('ezPAARSE.main-controllers', [])
   .controller('LoginCtrl', function ($scope, $state, $http, userService, $element) {
     $scope.credentials = {};
     $scope.error       = null;
+    $scope.providers   = [];
+
+    // Identity providers the user is redirected to
+    $http.get('/auth/providers').success(function (providers) {
+      $scope.providers = providers.filter(function (provider) { return provider.url; });
+    });
 
     $element.find('form').on('reset', function () {
       $scope.$apply(function () {
@@ -6,9 +6,72 @@ angular.module('ezPAARSE.profile-controllers', [])
   .controller('ProfileCtrl', function ($scope, $http, userService, $timeout) {
     var user = userService.user || {};
     var prf = $scope.prf = {
-      notifiate: { val: user.notifiate }
+      notifiate: { val: user.notifiate },
+      isAdmin: user.group === 'admin',
+      tokens: {
+        list: [],
+        form: { scopes: { submit: true, read: true } }
+      }
     };
 
+    prf.loadTokens = function () {
+      $http.get('/profile/tokens')
+      .success(function (data) {
+        prf.tokens.list = data;
+      })
+      .error(function () {
+        prf.tokens.error = 'profile+an_error_occurred';
+      });
+    };
+
+    prf.createToken = function () {
+      var form   = prf.tokens.form;
+      var scopes = Object.keys(form.scopes).filter(function (scope) {
+        return form.scopes[scope];
+      });
+
+      prf.tokens.error    = false;
+      prf.tokens.created  = null;
+      prf.tokens.creating = true;
+
+      $http.post('/profile/tokens', {
+        name: form.name,
+        scopes: scopes,
+        expiresAt: form.expiresAt
+      })
+      .success(function (token) {
+        prf.tokens.creating = false;
+        prf.tokens.created  = token.token;
+        form.name           = '';
+        form.expiresAt      = '';
+
+        delete token.token;
+        prf.tokens.list.push(token);
+      })
+      .error(function (data, status, headers) {
+        prf.tokens.creating = false;
+
+        var error = headers('ezpaarse-status-message');
+        prf.tokens.error = error ? 'profile+' + error : 'profile+an_error_occurred';
+      });
+    };
+
+    prf.revokeToken = function (id) {
+      prf.tokens.error = false;
+
+      $http({ method: 'DELETE', url: '/profile/tokens/' + id })
+      .success(function () {
+        prf.tokens.list = prf.tokens.list.filter(function (token) {
+          return token.id !== id;
+        });
+      })
+      .error(function () {
+        prf.tokens.error = 'profile+an_error_occurred';
+      });
+    };
+
+    prf.loadTokens();
+
     prf.submitNotifications = function () {
       prf.notifiate.error   = false;
       prf.notifiate.success = false;
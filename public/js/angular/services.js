@@ -44,7 +44,9 @@ angular.module('ezPAARSE.services', [])
           { cat: 'rejets',  key: 'nb-lines-unqualified-ecs', percent: 0, title: 'rejects+unqualified_ecs' },
           { cat: 'rejets',  key: 'nb-lines-pkb-miss-ecs',    percent: 0, title: 'rejects+missing_pkbs' },
           { cat: 'rejets',  key: 'nb-lines-ignored-hosts',   percent: 0, title: 'rejects+ignored_hosts' },
-          { cat: 'rejets',  key: 'nb-lines-robots-ecs',      percent: 0, title: 'rejects+robots_ecs' }
+          { cat: 'rejets',  key: 'nb-lines-robots-ecs',      percent: 0, title: 'rejects+robots_ecs' },
+          { cat: 'rejets',  key: 'nb-lines-excluded-ecs',    percent: 0, title: 'rejects+excluded_ecs' },
+          { cat: 'rejets',  key: 'nb-lines-out-of-range',    percent: 0, title: 'rejects+out_of_range' }
         ]
       };
       this.data = angular.copy(this.baseData);
@@ -275,12 +277,22 @@ angular.module('ezPAARSE.services', [])
         proxyTypes: {
           'ezproxy': 'EZproxy',
           'apache': 'Apache',
-          'squid': 'Squid'
+          'squid': 'Squid',
+          'nginx': 'Nginx',
+          'haproxy': 'HAProxy',
+          'bibliopam': 'Bibliopam / LemonLDAP'
         },
         resultFormats: [
           { type: 'CSV',  mime: 'text/csv' },
           { type: 'TSV',  mime: 'text/tab-separated-values' },
-          { type: 'JSON', mime: 'application/json' }
+          { type: 'JSON', mime: 'application/json' },
+          { type: 'XLSX', mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+          { type: 'Parquet', mime: 'application/vnd.apache.parquet' }
+        ],
+        quoteModes: [
+          { mode: '',        desc: 'settings+quote_minimal' },
+          { mode: 'all',     desc: 'settings+quote_all' },
+          { mode: 'none',    desc: 'settings+quote_none' }
         ],
         tracesLevels: [
           { level: 'error',   desc: 'Erreurs uniquement' },
@@ -295,7 +307,12 @@ angular.module('ezPAARSE.services', [])
           { category: 'format',         name: 'Accept',                       anchor: 'accept' },
           { category: 'format',         name: 'Log-Format-xxx',               anchor: 'log-format-xxx' },
           { category: 'format',         name: 'Date-Format',                  anchor: 'date-format' },
+          { category: 'format',         name: 'JSON-Field-Mapping',           anchor: 'json-field-mapping' },
           { category: 'format',         name: 'Output-Fields',                anchor: 'output-fields' },
+          { category: 'format',         name: 'Output-Mapping',               anchor: 'output-mapping' },
+          { category: 'format',         name: 'Output-Delimiter',             anchor: 'output-delimiter' },
+          { category: 'format',         name: 'Output-Quote',                 anchor: 'output-quote' },
+          { category: 'format',         name: 'Output-BOM',                   anchor: 'output-bom' },
           { category: 'format',         name: 'Max-Parse-Attempts',           anchor: 'max-parse-attempts' },
           { category: 'extraction',     name: 'Extract',                      anchor: 'extract' },
           { category: 'counter',        name: 'COUNTER-Reports',              anchor: 'counter-reports' },
@@ -322,6 +339,9 @@ angular.module('ezPAARSE.services', [])
           { category: 'other',          name: 'ezPAARSE-Predefined-Settings', anchor: 'ezpaarse-predefined-settings' },
           { category: 'other',          name: 'ezPAARSE-Filter-Redirects',    anchor: 'ezpaarse-filter-redirects' },
           { category: 'other',          name: 'Disable-Filters',              anchor: 'disable-filters' },
+          { category: 'other',          name: 'EC-Filter',                    anchor: 'ec-filter' },
+          { category: 'other',          name: 'Date-Range',                   anchor: 'date-range' },
+          { category: 'other',          name: 'Split-By',                     anchor: 'split-by' },
           { category: 'other',          name: 'Force-ECField-Publisher',      anchor: 'force-ecfield-publisher' },
           { category: 'other',          name: 'Extract',                      anchor: 'extract' },
           { category: 'other',          name: 'ezPAARSE-Middlewares',         anchor: 'ezpaarse-middlewares' },
@@ -350,10 +370,13 @@ angular.module('ezPAARSE.services', [])
         customHeaders: [],
         notificationMails: '',
         headers: {
-          'Accept':       'text/csv',
-          'Traces-Level': 'info',
-          'Date-Format':  '',
-          'Force-Parser': ''
+          'Accept':           'text/csv',
+          'Traces-Level':     'info',
+          'Date-Format':      '',
+          'Force-Parser':     '',
+          'Output-Delimiter': '',
+          'Output-Quote':     '',
+          'Output-BOM':       ''
         }
       };
 
@@ -43,6 +43,8 @@ ezLanguages['en'] = {
   "login+reset_success":           "Your password has been reset. You've been sent a mail with a new password.",
   "login+reset":                   "Reset",
   "login+user_not_found":          "User not found.",
+  "login+external_account":        "This account is managed by your identity provider, its password can't be changed here.",
+  "login+signin_with":             "Sign in with {{ provider }}",
   "login+an_error_occurred":       "An error occured, please try again.",
   "login+fill_all_fields":         "Fill all required fields",
   "login+invalid_address":         "This mail address is not valid",
@@ -110,6 +112,15 @@ ezLanguages['en'] = {
   "form+based_on_first_line": "Based on the first log line",
   "form+autodetect_success":  "The automatic detection determined the format of your log lines",
   "form+autodetect_fail":     "The automatic detection failed to determine the format of your log lines",
+  "form+detected_formats":    "Formats matching the first lines",
+  "form+candidate_score":     "{{ matchRate }}% of lines, {{ properties }} fields",
+  "form+lines_matched": "{{ matched }} of {{ total }} lines matched by the format",
+  "form+suggestion_invalid-format": "The format is not valid, check its syntax and that each field is used once",
+  "form+suggestion_trailing-content": "Some lines end with content that the format doesn't describe, add the missing fields or end the format with %<.*>",
+  "form+suggestion_no-date": "The format doesn't capture the date",
+  "form+suggestion_date-format": "Dates don't match the date format {{ dateFormat }}",
+  "form+suggestion_no-url": "The format doesn't capture the URL",
+  "form+suggestion_detected-format": "The {{ proxy }} format {{ format }} matches {{ matchRate }}% of the lines",
   "form+format":              "Format",
   "form+regular_expression":  "Regular expression",
   "form+partial_format":      "Partial format",
@@ -150,6 +161,16 @@ ezLanguages['en'] = {
   "settings+output_fields_add":    "Add...",
   "settings+output_fields_remove": "Remove...",
   "settings+output_fields_help":   "Fields (headers) to add/remove from the result file.",
+  "settings+output_delimiter":     "Delimiter",
+  "settings+output_delimiter_help": "Character separating the values of CSV and TSV results (<strong>tab</strong> for a tabulation). Semicolon for CSV and tabulation for TSV by default.",
+  "settings+output_quote":         "Quotes",
+  "settings+output_quote_help":    "Values to put between double quotes.",
+  "settings+quote_minimal":        "When needed",
+  "settings+quote_all":            "All values",
+  "settings+quote_none":           "Never (line breaks and delimiters are replaced with spaces)",
+  "settings+output_bom":           "Byte order mark",
+  "settings+output_bom_label":     "Add a BOM",
+  "settings+output_bom_help":      "Starts the file with a UTF-8 byte order mark, so that Excel detects the charset.",
   "settings+crypted_fields":       "Crypted fields",
   "settings+crypted_fields_add":   "Add...",
   "settings+crypted_fields_help":  "These fields will be crypted. Crypted values are not comparable between different processes.",
@@ -237,6 +258,8 @@ ezLanguages['en'] = {
   "rejects+missing_pkbs":          "Missing PKBs",
   "rejects+ignored_hosts":         "Ignored hosts",
   "rejects+robots_ecs":            "Robots",
+  "rejects+excluded_ecs":          "Excluded by EC-Filter",
+  "rejects+out_of_range":          "Out of the date range",
   "rejects+relevant_lines":        "Relevant log lines read: {{ nb | localNumber }}",
   "rejects+ignored_lines_help":    "Number of non relevant requests. They are mainly downloaded images, css or web scripts that are not directly related to a resource. In a raw log, this figure is often high.",
   "rejects+denied_ecs_help":       "List of accesses that were denied to the user when a click was performed.<br/>Example: a user tried to access a resource that is not included in the package negociated by its instituion.",
@@ -249,6 +272,8 @@ ezLanguages['en'] = {
   "rejects+missing_pkbs_help":     "The missing PKBs.",
   "rejects+ignored_hosts_help":    "Hosts that were deliberately ignored.",
   "rejects+robots_ecs_help":       "Robot-generated consultations.",
+  "rejects+excluded_ecs_help":     "Consultations that did not match the expression of the EC-Filter header.",
+  "rejects+out_of_range_help":     "Lines which date is out of the range given by the Date-Range header. They were not processed.",
 
   // Report (tab and fullpage)
   "report+title":          "Processing report",
@@ -263,6 +288,8 @@ ezLanguages['en'] = {
   "report+system_traces":  "System traces",
   "report+alerts":         "Alerts",
   "report+notifications":  "Notifications",
+  "report+periods":        "Periods",
+  "report+format-detection": "Format detection",
   "report+loading":        "Loading...",
   "report+goto":           "Go to :",
   "report+report_fail":    "Failed to retrieve the report...",
@@ -284,6 +311,23 @@ ezLanguages['en'] = {
   "profile+wrong_password":          "Wrong password.",
   "profile+bad_section":             "No section or invalid section provided.",
   "profile+an_error_occurred":       "An error occured, please try again.",
+  "profile+api_tokens":              "API tokens",
+  "profile+api_tokens_usage":        "Tokens authenticate scripts with the header \"Authorization: Bearer <token>\", or the --token option of ecmaker and ecbulkmaker.",
+  "profile+token_name":              "Name",
+  "profile+token_expiration":        "Expiration",
+  "profile+token_scopes":            "Scopes",
+  "profile+token_created_at":        "Created",
+  "profile+token_last_used":         "Last used",
+  "profile+scope_submit":            "Submit jobs",
+  "profile+scope_read":              "Read results",
+  "profile+scope_admin":             "Administration",
+  "profile+create_token":            "Create a token",
+  "profile+token_created":           "Here is your new token. Copy it now, it will not be shown again.",
+  "profile+revoke":                  "Revoke",
+  "profile+invalid_scopes":          "Select at least one scope.",
+  "profile+admin_scope_not_allowed": "Only administrators can create tokens with the administration scope.",
+  "profile+invalid_expiration":      "The expiration date must be in the future.",
+  "profile+external_account":        "This account is managed by your identity provider, its password can't be changed here.",
 
   // Admin page
   "admin+title":                      "Administration",
@@ -331,6 +375,7 @@ ezLanguages['en'] = {
   "admin+password_does_not_match":    "The confirmation password does not match",
   "admin+user_already_exists":        "This user already exists",
   "admin+get_users_fail":             "The users could not be retrieved.",
+  "admin+legacy_passwords":           "These accounts still use the legacy password hashing, their password will be upgraded on their next login:",
   "admin+get_platforms_fail":         "The list of the platforms could not be retrieved.",
   "admin+get_outdated_fail":          "Outdated platforms could not be identified.",
   "admin+new_platforms_available":    "New platforms are available",
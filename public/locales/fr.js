@@ -43,6 +43,8 @@ ezLanguages['fr'] = {
   "login+reset_success":           "Votre mot de passe a été réinitialisé. Un mail contenant un nouveau mot de passe vous a été envoyé.",
   "login+reset":                   "Réinitialiser",
   "login+user_not_found":          "Utilisateur introuvable.",
+  "login+external_account":        "Ce compte est géré par votre fournisseur d'identité, son mot de passe ne peut pas être modifié ici.",
+  "login+signin_with":             "Se connecter avec {{ provider }}",
   "login+an_error_occurred":       "Une erreur est survenue, veuillez réessayer.",
   "login+fill_all_fields":         "Remplissez tous les champs obligatoires",
   "login+invalid_address":         "Cette adresse mail n\'est pas valide",
@@ -110,6 +112,15 @@ ezLanguages['fr'] = {
   "form+based_on_first_line": "Basée sur la première ligne de log",
   "form+autodetect_success":  "La détection automatique a déterminé le format de vos lignes de log",
   "form+autodetect_fail":     "La détection automatique n'a pas pu déterminer le format de vos lignes de log",
+  "form+detected_formats":    "Formats correspondant aux premières lignes",
+  "form+candidate_score":     "{{ matchRate }}% des lignes, {{ properties }} champs",
+  "form+lines_matched": "{{ matched }} lignes sur {{ total }} reconnues par le format",
+  "form+suggestion_invalid-format": "Le format n'est pas valide, vérifiez sa syntaxe et que chaque champ n'est utilisé qu'une fois",
+  "form+suggestion_trailing-content": "Certaines lignes se terminent par du contenu que le format ne décrit pas, ajoutez les champs manquants ou terminez le format par %<.*>",
+  "form+suggestion_no-date": "Le format ne capture pas la date",
+  "form+suggestion_date-format": "Les dates ne correspondent pas au format de date {{ dateFormat }}",
+  "form+suggestion_no-url": "Le format ne capture pas l'URL",
+  "form+suggestion_detected-format": "Le format {{ proxy }} {{ format }} reconnaît {{ matchRate }}% des lignes",
   "form+format":              "Format",
   "form+regular_expression":  "Expression régulière",
   "form+partial_format":      "Format partiel",
@@ -150,6 +161,16 @@ ezLanguages['fr'] = {
   "settings+output_fields_add":    "Ajouter...",
   "settings+output_fields_remove": "Enlever...",
   "settings+output_fields_help":   "Champs (en-têtes) à ajouter/enlever dans le fichier de sortie.",
+  "settings+output_delimiter":     "Séparateur",
+  "settings+output_delimiter_help": "Caractère séparant les valeurs des résultats CSV et TSV (<strong>tab</strong> pour une tabulation). Point-virgule pour le CSV et tabulation pour le TSV par défaut.",
+  "settings+output_quote":         "Guillemets",
+  "settings+output_quote_help":    "Valeurs à placer entre guillemets doubles.",
+  "settings+quote_minimal":        "Si nécessaire",
+  "settings+quote_all":            "Toutes les valeurs",
+  "settings+quote_none":           "Jamais (sauts de ligne et séparateurs remplacés par des espaces)",
+  "settings+output_bom":           "Indicateur d'ordre des octets",
+  "settings+output_bom_label":     "Ajouter un BOM",
+  "settings+output_bom_help":      "Commence le fichier par un BOM UTF-8, pour qu'Excel détecte l'encodage.",
   "settings+crypted_fields":       "Champs cryptés",
   "settings+crypted_fields_add":   "Ajouter...",
   "settings+crypted_fields_help":  "Les champs renseignés ici seront cryptés. Les valeurs cryptées ne sont pas comparables entre plusieurs traitements.",
@@ -237,6 +258,8 @@ ezLanguages['fr'] = {
   "rejects+missing_pkbs":          "PKBs manquantes",
   "rejects+ignored_hosts":         "Hosts ignorés",
   "rejects+robots_ecs":            "Robots",
+  "rejects+excluded_ecs":          "Exclus par EC-Filter",
+  "rejects+out_of_range":          "Hors de la période",
   "rejects+relevant_lines":        "Lignes de log pertinentes lues : {{ nb | localNumber }}",
   "rejects+ignored_lines_help":    "Nombre de requêtes non pertinentes. Il s'agit principalement de téléchargements d'images, css ou scripts web sans rapport direct avec une ressource. Dans un log brut, ce chiffre est souvent élevé.",
   "rejects+denied_ecs_help":       "Liste des accès qui ont été refusés à l'utilisateur au moment du clic.<br/>Exemple : tentative d'accès à un article non négocié dans le bouquet de l'établissement.",
@@ -249,6 +272,8 @@ ezLanguages['fr'] = {
   "rejects+missing_pkbs_help":     "Les PKBs manquantes.",
   "rejects+ignored_hosts_help":    "Hosts volontairement ignorés.",
   "rejects+robots_ecs_help":       "Consultations engendrées par des robots.",
+  "rejects+excluded_ecs_help":     "Consultations ne correspondant pas à l'expression du header EC-Filter.",
+  "rejects+out_of_range_help":     "Lignes dont la date est en dehors de la période donnée par le header Date-Range. Elles n'ont pas été traitées.",
 
   // Report (tab and fullpage)
   "report+title":          "Rapport de traitement",
@@ -263,6 +288,8 @@ ezLanguages['fr'] = {
   "report+system_traces":  "Traces système",
   "report+alerts":         "Alertes",
   "report+notifications":  "Notifications",
+  "report+periods":        "Périodes",
+  "report+format-detection": "Détection du format",
   "report+loading":        "Chargement...",
   "report+goto":           "Aller à :",
   "report+report_fail":    "Le rapport n'a pas pu être être récupéré.",
@@ -284,6 +311,23 @@ ezLanguages['fr'] = {
   "profile+wrong_password":          "Mauvais mot de passe.",
   "profile+bad_section":             "Pas de section fournie, ou section invalide.",
   "profile+an_error_occurred":       "Une erreur est survenue, veuillez réessayer.",
+  "profile+api_tokens":              "Jetons d'API",
+  "profile+api_tokens_usage":        "Les jetons authentifient les scripts avec l'en-tête \"Authorization: Bearer <jeton>\", ou l'option --token de ecmaker et ecbulkmaker.",
+  "profile+token_name":              "Nom",
+  "profile+token_expiration":        "Expiration",
+  "profile+token_scopes":            "Portées",
+  "profile+token_created_at":        "Créé le",
+  "profile+token_last_used":         "Dernière utilisation",
+  "profile+scope_submit":            "Lancer des traitements",
+  "profile+scope_read":              "Lire les résultats",
+  "profile+scope_admin":             "Administration",
+  "profile+create_token":            "Créer un jeton",
+  "profile+token_created":           "Voici votre nouveau jeton. Copiez-le maintenant, il ne sera plus affiché.",
+  "profile+revoke":                  "Révoquer",
+  "profile+invalid_scopes":          "Sélectionnez au moins une portée.",
+  "profile+admin_scope_not_allowed": "Seuls les administrateurs peuvent créer des jetons avec la portée administration.",
+  "profile+invalid_expiration":      "La date d'expiration doit être dans le futur.",
+  "profile+external_account":        "Ce compte est géré par votre fournisseur d'identité, son mot de passe ne peut pas être modifié ici.",
 
   // Admin page
   "admin+title":                      "Administration",
@@ -331,6 +375,7 @@ ezLanguages['fr'] = {
   "admin+password_does_not_match":    "Le mot de passe de confirmation ne correspond pas",
   "admin+user_already_exists":        "Cet utilisateur existe déjà",
   "admin+get_users_fail":             "Les utilisateurs n'ont pas pu être chargés.",
+  "admin+legacy_passwords":           "Ces comptes utilisent encore l'ancien hachage des mots de passe, leur mot de passe sera mis à niveau à leur prochaine connexion :",
   "admin+get_platforms_fail":         "La liste des plateformes n'a pas pu être récupérée.",
   "admin+get_outdated_fail":          "Les plateformes obsolètes n'ont pas pu être identifiées.",
   "admin+new_platforms_available":    "De nouvelles plateformes sont disponibles",
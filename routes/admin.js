@@ -10,26 +10,13 @@ var config     = require('../lib/config.js');
 var userlist   = require('../lib/userlist.js');
 var mailer     = require('../lib/mailer.js');
 var auth       = require('../lib/auth-middlewares.js');
-var ezJobs     = require('../lib/jobs.js');
-var io         = require('../lib/socketio.js').io;
+var tokens     = require('../lib/tokens.js');
+var audit      = require('../lib/audit.js');
 
 var emailRegexp = /^[a-z0-9!#$%&'*+/=?^_`{|}~.-]+@[a-z0-9-]+(\.[a-z0-9-]+)*$/i;
 
 module.exports = function (app) {
 
-  /**
-   * GET route on /jobs
-   * Get IDs of current jobs
-   */
-  app.get('/jobs', auth.ensureAuthenticated(true), auth.authorizeMembersOf('admin'),
-    function (req, res) {
-
-      res.status(200).json(Object.keys(ezJobs));
-
-      var socket = io().sockets.connected[req.query.socket];
-      if (socket) { socket.join('admin'); }
-    });
-
   /**
    * GET route on /.../status
    * To know if there are incoming changes in a repository
@@ -80,6 +67,12 @@ module.exports = function (app) {
       if (req.query.force == 'yes')       { args.push('--force'); }
       if (req.query.rebuild !== 'no')     { args.push('--rebuild'); }
 
+      audit.log(req, 'app.update', null, {
+        version: req.query.version || 'stable',
+        force: req.query.force == 'yes',
+        rebuild: req.query.rebuild !== 'no'
+      });
+
       res.on('finish', function () {
         app.locals.updating = true;
         execFile('../lib/bin/update-app.js', args, { cwd: __dirname });
@@ -96,12 +89,32 @@ module.exports = function (app) {
     userlist.getAll(function (err, users) {
       if (err) { return res.status(500).end(); }
 
+      // requestor IDs are credentials of the SUSHI API
+      if (req.user.group !== 'admin') {
+        users.forEach(function (user) { delete user.requestorID; });
+      }
+
       res.set('Content-Type', 'application/json; charset=utf-8');
       res.set('ezPAARSE-Logged-User', req.user.username);
       res.status(200).json(users);
     });
   });
 
+  /**
+   * GET route on /users/legacy-passwords
+   * To list the users whose password still uses the legacy hashing scheme
+   * Their password is upgraded on their next login
+   */
+  app.get('/users/legacy-passwords', auth.ensureAuthenticated(true),
+    auth.authorizeMembersOf('admin'), function (req, res) {
+      userlist.getLegacy(function (err, users) {
+        if (err) { return res.status(500).end(); }
+
+        res.status(200).json(users);
+      });
+    }
+  );
+
   /**
    * GET route on /usersnumber
    * To get the number of registered users
@@ -146,57 +159,59 @@ module.exports = function (app) {
         if (err) { res.status(500).end(); }
         if (user) { return sendErr(409, 'user_already_exists'); }
 
-        var cryptedPassword = userlist.crypt(userid, password);
-
-        userlist.add({
-          username: userid,
-          password: cryptedPassword,
-          group: 'user',
-          createdAt: new Date()
-        }, function (err, user) {
+        userlist.hash(password, function (err, cryptedPassword) {
+          if (err) { return res.status(500).end(); }
 
-          if (err || !user) { return res.status(500).end(); }
+          userlist.add({
+            username: userid,
+            password: cryptedPassword,
+            group: 'user',
+            createdAt: new Date()
+          }, function (err, user) {
 
-          var copyUser = {};
-          for (var prop in user) {
-            if (prop != 'password') { copyUser[prop] = user[prop]; }
-          }
+            if (err || !user) { return res.status(500).end(); }
 
-          req.logIn(user, function (err) {
-            if (err) {
-              res.status(500).end();
-              return;
+            var copyUser = {};
+            for (var prop in user) {
+              if (prop != 'password') { copyUser[prop] = user[prop]; }
             }
-            res.status(201).json(copyUser);
-          });
-
-          if (config.EZPAARSE_SUBSCRIPTION_MAIL) {
-            // Extract IPv4 from IPv4-mapped IPv6
-            var ipMatch = /([0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3})/.exec(req.ip);
 
-            var locals = {
-              user: user,
-              userIP: req.ip,
-              hostname: req.hostname,
-              geoip: geoip.lookup(ipMatch ? ipMatch[1] : req.ip) || {}
-            };
-
-            mailer.generate('subscription', locals, function (err, html, text) {
+            req.logIn(user, function (err) {
               if (err) {
-                text = `Mail: ${user.username}\nSignup date: ${user.createdAt}`;
+                res.status(500).end();
+                return;
               }
-
-              mailer.mail()
-                .subject('[ezPAARSE] New subscription')
-                .html(html)
-                .text(text)
-                .from(config.EZPAARSE_ADMIN_MAIL)
-                .to(config.EZPAARSE_FEEDBACK_RECIPIENTS)
-                .send();
+              audit.log(req, 'user.register', user.username);
+              res.status(201).json(copyUser);
             });
-          }
-        });
 
+            if (config.EZPAARSE_SUBSCRIPTION_MAIL) {
+              // Extract IPv4 from IPv4-mapped IPv6
+              var ipMatch = /([0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3})/.exec(req.ip);
+
+              var locals = {
+                user: user,
+                userIP: req.ip,
+                hostname: req.hostname,
+                geoip: geoip.lookup(ipMatch ? ipMatch[1] : req.ip) || {}
+              };
+
+              mailer.generate('subscription', locals, function (err, html, text) {
+                if (err) {
+                  text = `Mail: ${user.username}\nSignup date: ${user.createdAt}`;
+                }
+
+                mailer.mail()
+                  .subject('[ezPAARSE] New subscription')
+                  .html(html)
+                  .text(text)
+                  .from(config.EZPAARSE_ADMIN_MAIL)
+                  .to(config.EZPAARSE_FEEDBACK_RECIPIENTS)
+                  .send();
+              });
+            }
+          });
+        });
       });
     }
   );
@@ -229,23 +244,26 @@ module.exports = function (app) {
         if (err) { res.status(500).end(); }
         if (user) { return sendErr(409, 'user_already_exists'); }
 
-        var cryptedPassword = userlist.crypt(userid, password);
+        userlist.hash(password, function (err, cryptedPassword) {
+          if (err) { return res.status(500).end(); }
 
-        userlist.add({
-          username: userid,
-          password: cryptedPassword,
-          group: group,
-          createdAt: new Date()
-        }, function (err, user) {
+          userlist.add({
+            username: userid,
+            password: cryptedPassword,
+            group: group,
+            createdAt: new Date()
+          }, function (err, user) {
 
-          if (err || !user) { return res.status(500).end(); }
+            if (err || !user) { return res.status(500).end(); }
 
-          var copyUser = {};
-          for (var prop in user) {
-            if (prop != 'password') { copyUser[prop] = user[prop]; }
-          }
+            var copyUser = {};
+            for (var prop in user) {
+              if (prop != 'password') { copyUser[prop] = user[prop]; }
+            }
 
-          res.status(201).json(copyUser);
+            audit.log(req, 'user.create', user.username, { group: user.group });
+            res.status(201).json(copyUser);
+          });
         });
       });
     }
@@ -263,8 +281,15 @@ module.exports = function (app) {
         res.status(403).end();
       } else {
         userlist.remove(username, function (err) {
-          if (err) { res.status(500).end(); }
-          res.status(204).end();
+          if (err) { return res.status(500).end(); }
+
+          audit.log(req, 'user.delete', username);
+
+          tokens.revokeAll(username).then(function () {
+            res.status(204).end();
+          }).catch(function () {
+            res.status(500).end();
+          });
         });
       }
     }
@@ -302,12 +327,61 @@ module.exports = function (app) {
           change.group = body.group;
         }
 
-        userlist.set(user.username, change, function (err, newUser) {
+        // SUSHI requestor ID and customers whose usage the user can save and harvest
+        if (typeof body.requestorID === 'string') {
+          change.requestorID = body.requestorID.trim() || null;
+        }
+
+        if (body.sushiCustomers !== undefined) {
+          var customers = body.sushiCustomers;
+          if (typeof customers === 'string') { customers = customers.split(','); }
+
+          if (!Array.isArray(customers)) {
+            res.header('ezPAARSE-Status-Message', 'invalid_sushi_customers');
+            return res.status(400).end();
+          }
+
+          change.sushiCustomers = customers
+            .map(function (customer) { return String(customer).trim(); })
+            .filter(function (customer) { return customer.length > 0; });
+        }
+
+        if (!change.requestorID) { return setUser(); }
+
+        // a requestor ID identifies a single user
+        userlist.getByRequestorID(change.requestorID, function (err, requestor) {
           if (err) { return res.status(500).end(); }
 
-          delete newUser.password;
-          res.status(200).json(newUser);
+          if (requestor && requestor.username !== user.username) {
+            res.header('ezPAARSE-Status-Message', 'requestor_id_taken');
+            return res.status(400).end();
+          }
+
+          setUser();
         });
+
+        function setUser() {
+          userlist.set(user.username, change, function (err, newUser) {
+            if (err) { return res.status(500).end(); }
+
+            var params = { change: {}, previous: {} };
+
+            // requestor IDs are credentials of the SUSHI API, only their change is recorded
+            Object.keys(change).forEach(function (field) {
+              if (field === 'requestorID') {
+                params.requestorID = change.requestorID ? 'set' : 'removed';
+                return;
+              }
+              params.change[field]   = change[field];
+              params.previous[field] = user[field];
+            });
+
+            audit.log(req, 'user.update', user.username, params);
+
+            delete newUser.password;
+            res.status(200).json(newUser);
+          });
+        }
       });
     }
   );
@@ -322,6 +396,12 @@ module.exports = function (app) {
       if (err) { return res.status(500).end(); }
       if (!user) { return res.status(404).end(); }
 
+      // Accounts of identity providers have no local password
+      if (user.provider) {
+        res.set('ezPAARSE-Status-Message', 'external_account');
+        return res.status(403).end();
+      }
+
       var chars    = '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
       var password = '';
 
@@ -329,19 +409,23 @@ module.exports = function (app) {
         password += chars[Math.round(Math.random() * (chars.length - 1))];
       }
 
-      var cryptedPassword = userlist.crypt(mail, password);
-
-      userlist.set(mail, 'password', cryptedPassword, function (err) {
+      userlist.hash(password, function (err, cryptedPassword) {
         if (err) { return res.status(500).end(); }
 
-        mailer.mail()
-          .subject('[ezPAARSE] Réinitialisation de votre mot de passe')
-          .text('Votre mot de passe est désormais : ' + password)
-          .from(config.EZPAARSE_ADMIN_MAIL)
-          .to(mail)
-          .send(function (err) {
-            res.status(err ? 500 : 200).end();
-          });
+        userlist.set(mail, 'password', cryptedPassword, function (err) {
+          if (err) { return res.status(500).end(); }
+
+          audit.log(req, 'password.reset', mail);
+
+          mailer.mail()
+            .subject('[ezPAARSE] Réinitialisation de votre mot de passe')
+            .text('Votre mot de passe est désormais : ' + password)
+            .from(config.EZPAARSE_ADMIN_MAIL)
+            .to(mail)
+            .send(function (err) {
+              res.status(err ? 500 : 200).end();
+            });
+        });
       });
     });
   });
@@ -350,7 +434,7 @@ module.exports = function (app) {
    * POST route on /profile
    * To change profile settings
    */
-  app.post('/profile', auth.ensureAuthenticated(true),
+  app.post('/profile', auth.ensureAuthenticated(true), auth.rejectTokens,
     bodyParser.urlencoded({ extended: true }), bodyParser.json(), function (req, res) {
       userlist.get(req.user.username, function (err, user) {
         if (err) { return res.status(500).end(); }
@@ -360,7 +444,10 @@ module.exports = function (app) {
 
         switch (body.section) {
         case 'password':
-          if (!body.oldPassword || !body.newPassword || !body.confirm) {
+          if (user.provider) {
+            res.set('ezPAARSE-Status-Message', 'external_account');
+            return res.status(400).end();
+          } else if (!body.oldPassword || !body.newPassword || !body.confirm) {
             res.set('ezPAARSE-Status-Message', 'fill_all_fields');
             return res.status(400).end();
           } else if (body.newPassword != body.confirm) {
@@ -368,16 +455,22 @@ module.exports = function (app) {
             return res.status(400).end();
           }
 
-          var oldCryptedPassword = userlist.crypt(user.username, body.oldPassword);
+          userlist.verify(user, body.oldPassword, function (err, valid) {
+            if (err) { return res.status(500).end(); }
 
-          if (user.password != oldCryptedPassword) {
-            res.set('ezPAARSE-Status-Message', 'wrong_password');
-            return res.status(400).end();
-          }
+            if (!valid) {
+              res.set('ezPAARSE-Status-Message', 'wrong_password');
+              return res.status(400).end();
+            }
 
-          var newPassword = userlist.crypt(user.username, body.newPassword);
-          userlist.set(user.username, 'password', newPassword, function (err) {
-            return res.status(err ? 500 : 204).end();
+            userlist.hash(body.newPassword, function (err, newPassword) {
+              if (err) { return res.status(500).end(); }
+
+              userlist.set(user.username, 'password', newPassword, function (err) {
+                if (!err) { audit.log(req, 'password.change', user.username); }
+                return res.status(err ? 500 : 204).end();
+              });
+            });
           });
           break;
         case 'notifications':
@@ -396,6 +489,90 @@ module.exports = function (app) {
     }
   );
 
+  /**
+   * GET route on /profile/tokens
+   * To list the API tokens of the user
+   */
+  app.get('/profile/tokens', auth.ensureAuthenticated(true), auth.rejectTokens,
+    function (req, res) {
+      tokens.list(req.user.username).then(function (list) {
+        res.status(200).json(list);
+      }).catch(function () {
+        res.status(500).end();
+      });
+    }
+  );
+
+  /**
+   * POST route on /profile/tokens
+   * To create an API token, which is only given in the response
+   */
+  app.post('/profile/tokens', auth.ensureAuthenticated(true), auth.rejectTokens,
+    bodyParser.urlencoded({ extended: true }), bodyParser.json(), function (req, res) {
+      var body   = req.body;
+      var scopes = body.scopes || [];
+      var expiresAt;
+
+      if (typeof scopes === 'string') {
+        scopes = scopes.split(',').map(function (s) { return s.trim(); });
+      }
+
+      var validScopes = Array.isArray(scopes) && scopes.length > 0 && scopes.every(function (s) {
+        return tokens.scopes.indexOf(s) !== -1;
+      });
+
+      if (!validScopes) {
+        res.set('ezPAARSE-Status-Message', 'invalid_scopes');
+        return res.status(400).end();
+      }
+
+      if (scopes.indexOf('admin') !== -1 && req.user.group !== 'admin') {
+        res.set('ezPAARSE-Status-Message', 'admin_scope_not_allowed');
+        return res.status(403).end();
+      }
+
+      if (body.expiresAt) {
+        expiresAt = new Date(body.expiresAt);
+
+        if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+          res.set('ezPAARSE-Status-Message', 'invalid_expiration');
+          return res.status(400).end();
+        }
+      }
+
+      tokens.create(req.user.username, {
+        name: body.name,
+        scopes: scopes,
+        expiresAt: expiresAt
+      }).then(function (token) {
+        audit.log(req, 'token.create', req.user.username, {
+          id: token.id,
+          name: token.name,
+          scopes: token.scopes,
+          expiresAt: token.expiresAt
+        });
+        res.status(201).json(token);
+      }).catch(function () {
+        res.status(500).end();
+      });
+    }
+  );
+
+  /**
+   * DELETE route on /profile/tokens/{id}
+   * To revoke an API token
+   */
+  app.delete('/profile/tokens/:id', auth.ensureAuthenticated(true), auth.rejectTokens,
+    function (req, res) {
+      tokens.revoke(req.user.username, req.params.id).then(function (revoked) {
+        if (revoked) { audit.log(req, 'token.revoke', req.user.username, { id: req.params.id }); }
+        res.status(revoked ? 204 : 404).end();
+      }).catch(function () {
+        res.status(500).end();
+      });
+    }
+  );
+
   /**
    * Update a git folder
    */
@@ -411,6 +588,8 @@ module.exports = function (app) {
       const directory = path.join(__dirname, '..', repo);
       const gitScript = path.join(__dirname, '../bin/git-update');
 
+      audit.log(req, 'repo.update', repo);
+
       execFile(gitScript, { cwd: directory }, function (error) {
         if (error) { return res.status(500).end(); }
 
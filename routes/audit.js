@@ -0,0 +1,98 @@
+'use strict';
+
+const csv   = require('csv');
+const auth  = require('../lib/auth-middlewares.js');
+const audit = require('../lib/audit.js');
+
+const defaultLimit = 50;
+const maxLimit     = 500;
+
+/**
+ * Neutralize a CSV cell that spreadsheets would run as a formula
+ * @param  {String} value
+ * @return {String}
+ */
+function escapeFormula(value) {
+  if (typeof value !== 'string' || !/^[=+\-@\t\r]/.test(value)) { return value; }
+  return `'${value}`;
+}
+
+module.exports = function (app) {
+
+  /**
+   * Build the query of the audit entries from the request
+   * Responds with a 400 and returns null if a filter is invalid
+   */
+  function getQuery(req, res) {
+    const query = audit.query(req.query);
+
+    if (!query) {
+      res.set('ezPAARSE-Status-Message', 'invalid_date');
+      res.status(400).end();
+    }
+
+    return query;
+  }
+
+  /**
+   * GET route on /audit
+   * List the audit entries, most recent first
+   * Filters: actor, action (or category, like "user."), target, from, to
+   * Pagination: page (starting from 1), limit
+   */
+  app.get('/audit', auth.ensureAuthenticated(true), auth.authorizeMembersOf('admin'),
+    function (req, res) {
+      const query = getQuery(req, res);
+      if (!query) { return; }
+
+      const page  = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || defaultLimit, 1), maxLimit);
+
+      audit.find(query, page, limit).then(result => {
+        res.status(200).json({
+          total: result.total,
+          page: page,
+          limit: limit,
+          entries: result.entries
+        });
+      }).catch(() => {
+        res.status(500).end();
+      });
+    });
+
+  /**
+   * GET route on /audit/export
+   * Export the audit entries matching the filters of /audit as CSV
+   */
+  app.get('/audit/export', auth.ensureAuthenticated(true), auth.authorizeMembersOf('admin'),
+    function (req, res) {
+      const query = getQuery(req, res);
+      if (!query) { return; }
+
+      const entries = audit.stream(query);
+      if (!entries) { return res.status(500).end(); }
+
+      res.writeHead(200, {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': 'attachment; filename="audit.csv"'
+      });
+
+      const toRecord = csv.transform(entry => {
+        const record = Object.assign({}, entry, {
+          date: entry.date.toISOString(),
+          params: JSON.stringify(entry.params || {})
+        });
+
+        // Actors and targets can be given by anyone, like the username of a failed login
+        audit.columns.forEach(column => { record[column] = escapeFormula(record[column]); });
+        return record;
+      });
+
+      entries.on('error', () => { res.end(); });
+
+      entries
+        .pipe(toRecord)
+        .pipe(csv.stringify({ header: true, columns: audit.columns, delimiter: ';' }))
+        .pipe(res);
+    });
+};
@@ -6,6 +6,14 @@ var bodyParser = require('body-parser');
 var auth       = require('../lib/auth-middlewares.js');
 var userlist   = require('../lib/userlist.js');
 var passport   = require('passport');
+var config     = require('../lib/config.js');
+var oidc       = require('../lib/sso/oidc.js');
+var audit      = require('../lib/audit.js');
+
+var sso = config.EZPAARSE_SSO || {};
+
+// Accounts of the login form are either local or in the LDAP directory
+var loginStrategies = sso.ldap ? ['local', 'ldap'] : 'local';
 
 module.exports = function (app) {
 
@@ -19,11 +27,33 @@ module.exports = function (app) {
     });
   });
 
+  /**
+   * Open a session for the user authenticated by the login form
+   * Failed attempts are recorded in the audit log
+   */
+  function login(req, res, next) {
+    passport.authenticate(loginStrategies, function (err, user) {
+      if (err) { return next(err); }
+
+      if (!user) {
+        audit.log(req, 'auth.login-failed', req.body.userid);
+        return res.status(401).end();
+      }
+
+      req.logIn(user, function (err) {
+        if (err) { return next(err); }
+
+        audit.log(req, 'auth.login', user.username, { provider: user.provider || 'local' });
+        next();
+      });
+    })(req, res, next);
+  }
+
   /**
    * Login
    */
-  app.post('/login', bodyParser.urlencoded({ extended: true }), bodyParser.json(),
-    passport.authenticate('local'), function (req, res) {
+  app.post('/login', bodyParser.urlencoded({ extended: true }), bodyParser.json(), login,
+    function (req, res) {
       if (req.body.remember) {
         req.sessionCookies.maxAge = 15778462980; //6 months
       } else {
@@ -32,10 +62,53 @@ module.exports = function (app) {
       res.status(200).json(req.user);
     });
 
+  /**
+   * List the external identity providers
+   * Providers with an URL need to redirect the user, others use the login form
+   */
+  app.get('/auth/providers', function (req, res) {
+    var providers = [];
+
+    if (sso.ldap) {
+      providers.push({ name: 'ldap', label: sso.ldap.label || 'LDAP' });
+    }
+    if (sso.oidc) {
+      providers.push({
+        name: 'oidc',
+        label: sso.oidc.label || 'OpenID Connect',
+        url: '/auth/oidc'
+      });
+    }
+
+    res.status(200).json(providers);
+  });
+
+  if (sso.oidc) {
+    var provider = oidc(sso.oidc);
+
+    /**
+     * OpenID Connect login, redirects to the identity provider
+     */
+    app.get('/auth/oidc', provider.authorize);
+
+    /**
+     * OpenID Connect callback, opens a session and goes back to the application
+     */
+    app.get('/auth/oidc/callback', provider.callback, function (req, res, next) {
+      req.logIn(req.user, function (err) {
+        if (err) { return next(err); }
+
+        audit.log(req, 'auth.login', req.user.username, { provider: 'oidc' });
+        res.redirect('/');
+      });
+    });
+  }
+
   /**
    * Logout
    */
   app.get('/logout', function (req, res) {
+    if (req.user) { audit.log(req, 'auth.logout', req.user.username); }
     req.logout();
     res.status(204).end();
   });
@@ -2,6 +2,37 @@
 
 var path       = require('path');
 var browserify = require('browserify');
+var bodyParser = require('body-parser');
+var logParser  = require('../lib/logparser.js');
+var testFormat = require('../lib/formattester.js');
+var auth       = require('../lib/auth-middlewares.js');
+
+// Maximum number of lines used to detect a format
+var maxLines = 1000;
+
+// Formats and lines are matched with user-defined regular expressions, their size is limited
+// so that a pathological format can't block the server
+var maxFormatLength = 1000;
+var maxLineLength   = 10000;
+
+/**
+ * Get the log lines sent in a request body
+ * @param  {String|Object} body  plain text, or an object with a "lines" array or string
+ * @return {Array}
+ */
+function getLines(body) {
+  var lines = [];
+
+  if (typeof body === 'string') {
+    lines = body.split(/\r?\n/);
+  } else if (body && typeof body.lines === 'string') {
+    lines = body.lines.split(/\r?\n/);
+  } else if (body && Array.isArray(body.lines)) {
+    lines = body.lines.filter(function (line) { return typeof line === 'string'; });
+  }
+
+  return lines.filter(function (line) { return line.trim(); }).slice(0, maxLines);
+}
 
 module.exports = function (app) {
 
@@ -22,4 +53,57 @@ module.exports = function (app) {
       res.status(200).send(content);
     });
   });
-};
\ No newline at end of file
+
+  /**
+   * Detect the format of sample log lines
+   * Lines are sent as plain text, or in the "lines" array of a JSON object
+   * Responds with the best format and every matching candidate
+   */
+  app.post('/info/format/detect', bodyParser.text(), bodyParser.json(), function (req, res) {
+    var lines = getLines(req.body);
+
+    if (lines.length === 0) { return res.status(400).end(); }
+
+    var parser     = logParser();
+    var candidates = parser.detect(lines);
+
+    res.status(200).json({
+      lines:      lines.length,
+      proxy:      parser.getProxy(),
+      format:     parser.getFormat(),
+      dateFormat: candidates.length > 0 ? parser.getDateFormat() : null,
+      candidates: candidates
+    });
+  });
+
+  /**
+   * Test a log format on sample lines
+   * The body is a JSON object with the lines, the proxy type, the format and the date format
+   * Responds with the fields captured in each line, the position where unmatched lines break,
+   * and suggestions to fix the format
+   */
+  app.post('/info/format/test', auth.ensureAuthenticated(true), auth.requireScope('submit'),
+    bodyParser.json(), function (req, res) {
+      var body  = req.body || {};
+      var lines = getLines(body);
+
+      if (lines.length === 0 || !body.proxy || !body.format) { return res.status(400).end(); }
+
+      if (String(body.format).length > maxFormatLength) {
+        res.set('ezPAARSE-Status-Message', 'format_too_long');
+        return res.status(400).end();
+      }
+
+      if (lines.some(function (line) { return line.length > maxLineLength; })) {
+        res.set('ezPAARSE-Status-Message', 'line_too_long');
+        return res.status(400).end();
+      }
+
+      res.status(200).json(testFormat({
+        proxy:      body.proxy,
+        format:     body.format,
+        dateFormat: body.dateFormat
+      }, lines));
+    }
+  );
+};
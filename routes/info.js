@@ -2,14 +2,15 @@
 
 'use strict';
 
-var fs         = require('fs-extra');
-var path       = require('path');
-var uuid       = require('uuid');
-var parserlist = require('../lib/parserlist.js');
-var git        = require('../lib/git-tools.js');
-var config     = require('../lib/config.js');
-var pkg        = require('../package.json');
-var trello     = require('../lib/trello-analogist.js');
+var fs           = require('fs-extra');
+var path         = require('path');
+var uuid         = require('uuid');
+var parserlist   = require('../lib/parserlist.js');
+var git          = require('../lib/git-tools.js');
+var config       = require('../lib/config.js');
+var pkg          = require('../package.json');
+var trello       = require('../lib/trello-analogist.js');
+var institutions = require('../lib/institutions.js');
 
 var statusCodes = require(path.join(__dirname, '/../statuscodes.json'));
 
@@ -278,6 +279,7 @@ module.exports = function (app) {
 
   /**
    * GET route on /info/predefined-settings
+   * The settings of the institution of the logged user are added to the global ones
    */
   app.get('/info/predefined-settings', function (req, res) {
     var settingsFile = path.join(__dirname, '/../resources/predefined-settings.json');
@@ -297,10 +299,18 @@ module.exports = function (app) {
           return;
         }
 
-        res.header('Content-Type', 'application/json; charset=utf-8');
-        res.header('Access-Control-Allow-Origin', '*');
-        res.header('Access-Control-Allow-Headers', 'X-Requested-With');
-        res.status(200).json(settings);
+        var institutionID = req.user && req.user.institution;
+
+        institutions.get(institutionID).then(function (institution) {
+          if (institution) { Object.assign(settings, institution.predefinedSettings); }
+
+          res.header('Content-Type', 'application/json; charset=utf-8');
+          res.header('Access-Control-Allow-Origin', '*');
+          res.header('Access-Control-Allow-Headers', 'X-Requested-With');
+          res.status(200).json(settings);
+        }).catch(function () {
+          res.status(500).end();
+        });
       });
     });
   });
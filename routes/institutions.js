@@ -0,0 +1,220 @@
+'use strict';
+
+const bodyParser   = require('body-parser');
+const auth         = require('../lib/auth-middlewares.js');
+const userlist     = require('../lib/userlist.js');
+const institutions = require('../lib/institutions.js');
+const audit        = require('../lib/audit.js');
+
+module.exports = function (app) {
+
+  /**
+   * GET route on /institutions
+   * List all institutions for admins, the institution of the user otherwise
+   */
+  app.get('/institutions', auth.ensureAuthenticated(true), function (req, res) {
+    const list = req.user.group === 'admin'
+      ? institutions.getAll()
+      : institutions.get(req.user.institution).then(inst => (inst ? [inst] : []));
+
+    list.then(result => {
+      res.status(200).json(result);
+    }).catch(() => {
+      res.status(500).end();
+    });
+  });
+
+  /**
+   * POST route on /institutions
+   * Create an institution, the body should contain its ID and name
+   */
+  app.post('/institutions', auth.ensureAuthenticated(true), auth.authorizeMembersOf('admin'),
+    bodyParser.urlencoded({ extended: true }), bodyParser.json(),
+    function (req, res) {
+      const id = (req.body.id || '').toString().trim().toLowerCase();
+
+      if (!institutions.idPattern.test(id)) {
+        res.set('ezPAARSE-Status-Message', 'invalid_id');
+        return res.status(400).end();
+      }
+
+      institutions.get(id).then(existing => {
+        if (existing) {
+          res.set('ezPAARSE-Status-Message', 'institution_already_exists');
+          return res.status(409).end();
+        }
+
+        return institutions.add({ id, name: req.body.name }).then(institution => {
+          audit.log(req, 'institution.create', id, { name: institution.name });
+          res.status(201).json(institution);
+        });
+      }).catch(() => {
+        res.status(500).end();
+      });
+    });
+
+  /**
+   * GET route on /institutions/:id
+   * Get an institution and its members
+   */
+  app.get('/institutions/:id', auth.ensureAuthenticated(true), auth.authorizeInstitution('id'),
+    function (req, res) {
+      Promise.all([
+        institutions.get(req.params.id),
+        institutions.getMembers(req.params.id)
+      ]).then(([institution, members]) => {
+        if (!institution) { return res.status(404).end(); }
+
+        institution.members = members.map(member => member.username);
+        res.status(200).json(institution);
+      }).catch(() => {
+        res.status(500).end();
+      });
+    });
+
+  /**
+   * DELETE route on /institutions/:id
+   * Delete an institution, its members are detached from it
+   */
+  app.delete('/institutions/:id', auth.ensureAuthenticated(true), auth.authorizeMembersOf('admin'),
+    function (req, res) {
+      institutions.remove(req.params.id).then(deleted => {
+        if (deleted) { audit.log(req, 'institution.delete', req.params.id); }
+        res.status(deleted ? 204 : 404).end();
+      }).catch(() => {
+        res.status(500).end();
+      });
+    });
+
+  /**
+   * PUT route on /institutions/:id/members/:username
+   * Make a user member of an institution (a user belongs to one institution at most)
+   */
+  app.put('/institutions/:id/members/:username', auth.ensureAuthenticated(true),
+    auth.authorizeMembersOf('admin'), function (req, res) {
+      setInstitution(req, res, req.params.username, req.params.id);
+    });
+
+  /**
+   * DELETE route on /institutions/:id/members/:username
+   * Remove a user from an institution
+   */
+  app.delete('/institutions/:id/members/:username', auth.ensureAuthenticated(true),
+    auth.authorizeMembersOf('admin'), function (req, res) {
+      userlist.get(req.params.username, (err, user) => {
+        if (err) { return res.status(500).end(); }
+        if (!user || user.institution !== req.params.id) { return res.status(404).end(); }
+
+        setInstitution(req, res, user.username, null);
+      });
+    });
+
+  /**
+   * PUT route on /institutions/:id/predefined-settings
+   * Replace the predefined settings of an institution
+   * The body is an object of settings, like resources/predefined-settings.json
+   */
+  app.put('/institutions/:id/predefined-settings', auth.ensureAuthenticated(true),
+    auth.authorizeInstitution('id'), auth.requireScope('submit'), bodyParser.json(),
+    function (req, res) {
+      const settings = req.body;
+
+      const valid = settings && typeof settings === 'object' && !Array.isArray(settings)
+        && Object.keys(settings).every(key => {
+          const setting = settings[key];
+          return setting && typeof setting === 'object' && typeof setting.headers === 'object';
+        });
+
+      if (!valid) {
+        res.set('ezPAARSE-Status-Message', 'invalid_settings');
+        return res.status(400).end();
+      }
+
+      updateInstitution(req, res, { predefinedSettings: settings }, {
+        settings: Object.keys(settings)
+      });
+    });
+
+  /**
+   * PUT route on /institutions/:id/exclusions/:type
+   * Replace an exclusion list of an institution (hosts, domains or robots)
+   * The body is a JSON array, or a text with one entry per line
+   */
+  app.put('/institutions/:id/exclusions/:type', auth.ensureAuthenticated(true),
+    auth.authorizeInstitution('id'), auth.requireScope('submit'), bodyParser.text(),
+    bodyParser.json(), function (req, res) {
+      const type = req.params.type;
+
+      if (institutions.exclusionTypes.indexOf(type) === -1) { return res.status(404).end(); }
+
+      let entries = req.body;
+
+      if (typeof entries === 'string') {
+        entries = entries.split(/\r?\n/).map(line => line.replace(/#.*$/, '').trim());
+      }
+
+      if (!Array.isArray(entries)) {
+        res.set('ezPAARSE-Status-Message', 'invalid_list');
+        return res.status(400).end();
+      }
+
+      entries = entries.filter(entry => typeof entry === 'string' && entry);
+
+      updateInstitution(req, res, { [`exclusions.${type}`]: entries }, {
+        exclusions: type,
+        entries: entries.length
+      });
+    });
+
+  /**
+   * Update the institution of the route and respond with its new state
+   * @param {Object} req
+   * @param {Object} res
+   * @param {Object} change
+   * @param {Object} params  parameters recorded in the audit log
+   */
+  function updateInstitution(req, res, change, params) {
+    institutions.set(req.params.id, change).then(institution => {
+      if (!institution) { return res.status(404).end(); }
+
+      audit.log(req, 'institution.update', req.params.id, params);
+      res.status(200).json(institution);
+    }).catch(() => {
+      res.status(500).end();
+    });
+  }
+
+  /**
+   * Set the institution of a user and respond with the user
+   * @param {Object} req
+   * @param {Object} res
+   * @param {String} username
+   * @param {String} id        the institution, or null to detach the user
+   */
+  function setInstitution(req, res, username, id) {
+    const check = id ? institutions.get(id) : Promise.resolve(true);
+
+    check.then(institution => {
+      if (!institution) { return res.status(404).end(); }
+
+      userlist.get(username, (err, user) => {
+        if (err) { return res.status(500).end(); }
+        if (!user) { return res.status(404).end(); }
+
+        userlist.set(username, 'institution', id, (err, updated) => {
+          if (err) { return res.status(500).end(); }
+
+          audit.log(req, 'user.update', username, {
+            change: { institution: id },
+            previous: { institution: user.institution || null }
+          });
+
+          delete updated.password;
+          res.status(200).json(updated);
+        });
+      });
+    }).catch(() => {
+      res.status(500).end();
+    });
+  }
+};
@@ -0,0 +1,120 @@
+'use strict';
+
+const fs         = require('fs-extra');
+const path       = require('path');
+const bodyParser = require('body-parser');
+const auth       = require('../lib/auth-middlewares.js');
+const jobs       = require('../lib/jobs.js');
+const queue      = require('../lib/queue.js');
+const audit      = require('../lib/audit.js');
+const io         = require('../lib/socketio.js').io;
+
+const jobsDir = path.resolve(__dirname, '../tmp/jobs');
+const uuidPattern = '[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}';
+
+module.exports = function (app) {
+
+  /**
+   * GET route on /jobs
+   * Get IDs of current jobs
+   */
+  app.get('/jobs', auth.ensureAuthenticated(true), auth.authorizeMembersOf('admin'),
+    function (req, res) {
+
+      res.status(200).json(jobs.ids());
+
+      const socket = io().sockets.connected[req.query.socket];
+      if (socket) { socket.join('admin'); }
+    });
+
+  /**
+   * GET route on /jobs/:id
+   * Get the state of a job, as long as its temporary directory exists
+   */
+  app.get(`/jobs/:id(${uuidPattern})`, auth.ensureAuthenticated(true), auth.requireScope('read'),
+    function (req, res) {
+      const jobID  = req.params.id;
+      const jobDir = path.resolve(jobsDir, jobID.charAt(0), jobID.charAt(1), jobID);
+
+      jobs.find(jobID).then(state => {
+        if (!state) { return res.status(404).end(); }
+
+        if (!auth.canAccessJob(req.user, state)) {
+          return res.status(403).end();
+        }
+
+        // Jobs that never left the queue don't have a directory
+        if (!state.startedAt) {
+          if (state.status === 'queued') { state.position = queue.position(jobID); }
+          return res.status(200).json(state);
+        }
+
+        fs.stat(jobDir, err => {
+          if (!err) { return res.status(200).json(state); }
+          if (err.code !== 'ENOENT') { return res.status(500).end(); }
+
+          // The job directory was cleaned by the reaper, the job is forgotten
+          jobs.delete(jobID)
+            .then(() => res.status(404).end())
+            .catch(() => res.status(500).end());
+        });
+      }).catch(() => {
+        res.status(500).end();
+      });
+    });
+
+  /**
+   * GET route on /jobs/queue
+   * List running and pending queued jobs (only those the user can access if not admin)
+   */
+  app.get('/jobs/queue', auth.ensureAuthenticated(true), auth.requireScope('read'),
+    function (req, res) {
+      const list = queue.list().filter(entry => auth.canAccessJob(req.user, entry));
+
+      res.status(200).json(list);
+    });
+
+  /**
+   * DELETE route on /jobs/queue/:id
+   * Remove a pending job from the queue
+   */
+  app.delete(`/jobs/queue/:id(${uuidPattern})`, auth.ensureAuthenticated(true),
+    auth.requireScope('submit'), function (req, res) {
+      const entry = queue.get(req.params.id);
+
+      if (!entry) { return res.status(404).end(); }
+
+      if (!auth.canAccessJob(req.user, entry)) {
+        return res.status(403).end();
+      }
+
+      queue.cancel(entry.id, req.user.username).then(cancelled => {
+        if (cancelled) { audit.log(req, 'queue.cancel', entry.id); }
+        res.status(cancelled ? 204 : 409).end();
+      }).catch(() => {
+        res.status(500).end();
+      });
+    });
+
+  /**
+   * PUT route on /jobs/queue/:id
+   * Move a pending job in the queue, the body should contain its new position
+   */
+  app.put(`/jobs/queue/:id(${uuidPattern})`, auth.ensureAuthenticated(true),
+    auth.authorizeMembersOf('admin'), bodyParser.urlencoded({ extended: true }), bodyParser.json(),
+    function (req, res) {
+      const position = parseInt(req.body.position);
+
+      if (!position || position < 1) {
+        res.set('ezPAARSE-Status-Message', 'invalid_position');
+        return res.status(400).end();
+      }
+
+      if (!queue.move(req.params.id, position)) {
+        return res.status(queue.get(req.params.id) ? 409 : 404).end();
+      }
+
+      audit.log(req, 'queue.move', req.params.id, { position: position });
+      res.status(200).json(queue.list());
+    });
+};
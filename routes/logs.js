@@ -3,16 +3,26 @@
 var fs     = require('fs-extra');
 var path   = require('path');
 var moment = require('moment');
+var auth   = require('../lib/auth-middlewares.js');
+
+/**
+ * Get the ID of the job given in the URL
+ */
+function getJobID(req) {
+  return req.params[0];
+}
 
 module.exports = function (app) {
 
-  var jobidPattern = '^/([a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12})';
+  var jobidPattern  = '^/([a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12})';
+  var reportPattern = new RegExp(jobidPattern + '/job-report\\.(html|json)$');
+  var authorizeJob  = auth.authorizeJobAccess(getJobID);
 
   /**
    * GET route on /:rid/job-report.{html|json}
    * Used to get a report file
    */
-  app.get(new RegExp(jobidPattern + '/job-report\\.(html|json)$'), function (req, res) {
+  app.get(reportPattern, authorizeJob, function (req, res) {
     var requestID  = req.params[0];
     var format     = req.params[1];
     var reportFile = path.join(__dirname, '/../tmp/jobs/',
@@ -62,8 +72,8 @@ module.exports = function (app) {
    * GET route on /:rid/:logfile
    * Used to get a logfile
    */
-  app.get(new RegExp(jobidPattern + '/([a-zA-Z0-9\\-_]+(?:\\.[a-z]{2,4}){1,2})$'),
-    function (req, res) {
+  app.get(new RegExp(jobidPattern + '/([a-zA-Z0-9\\-_]+(?:\\.[a-z]{2,7}){1,2})$'),
+    authorizeJob, function (req, res) {
       var requestID = req.params[0];
       var filename  = req.params[1];
       var logFile   = path.join(__dirname, '/../tmp/jobs/',
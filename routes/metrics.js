@@ -0,0 +1,15 @@
+'use strict';
+
+const metrics = require('../lib/metrics.js');
+
+module.exports = function (app) {
+
+  /**
+   * GET route on /metrics
+   * Metrics of the jobs and of the application, in the Prometheus text format
+   */
+  app.get('/metrics', function (req, res) {
+    res.set('Content-Type', metrics.contentType);
+    res.status(200).send(metrics.render());
+  });
+};
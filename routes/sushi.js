@@ -0,0 +1,128 @@
+'use strict';
+
+const moment = require('moment');
+const auth   = require('../lib/auth-middlewares.js');
+const sushi  = require('../lib/sushi.js');
+const pkg    = require('../package.json');
+
+const dateFormats = ['YYYY-MM-DD', 'YYYY-MM'];
+
+// COUNTER_SUSHI exceptions, with the HTTP status they are sent with
+const exceptions = {
+  1030: { status: 400, message: 'Insufficient Information to Process Request' },
+  2000: { status: 401, message: 'Requestor Not Authorized to Access Service' },
+  2010: { status: 403, message: 'Requestor is Not Authorized to Access Usage for Institution' },
+  3000: { status: 404, message: 'Report Not Supported' },
+  3020: { status: 400, message: 'Invalid Date Arguments' }
+};
+
+/**
+ * Send a COUNTER_SUSHI exception
+ * @param {Object}  res
+ * @param {Integer} code  exception code
+ * @param {String}  data  details about the exception
+ */
+function sendException(res, code, data) {
+  const exception = exceptions[code];
+
+  res.status(exception.status).json({
+    'Code': code,
+    'Severity': 'Error',
+    'Message': exception.message,
+    'Data': data || ''
+  });
+}
+
+/**
+ * Get the customers a requestor can access, all of them for admins
+ * @param  {Object} user
+ * @return {Array} list of customer IDs, or null if not restricted
+ */
+function getCustomers(user) {
+  if (user.group === 'admin') { return null; }
+  return user.sushiCustomers || [];
+}
+
+const authenticate = auth.authenticateRequestor(function (req, res) {
+  sendException(res, 2000, 'Use a valid requestor_id and api_key, or credentials');
+});
+
+module.exports = function (app) {
+
+  /**
+   * GET route on /sushi/r5/status
+   * Get the status of the SUSHI service
+   */
+  app.get('/sushi/r5/status', function (req, res) {
+    res.status(200).json([{
+      'Description': `ezPAARSE ${pkg.version} COUNTER_SUSHI API`,
+      'Service_Active': true,
+      'Registry_URL': '',
+      'Note': 'Usage computed from the jobs published with the COUNTER-Customer-ID header',
+      'Alerts': []
+    }]);
+  });
+
+  /**
+   * GET route on /sushi/r5/members
+   * Get the customers the requestor can harvest usage for
+   */
+  app.get('/sushi/r5/members', authenticate, function (req, res, next) {
+    sushi.customers(getCustomers(req.user)).then(customers => {
+      res.status(200).json(customers.map(customer => ({
+        'Customer_ID': customer.id,
+        'Requestor_ID': req.user.requestorID || '',
+        'Name': customer.name || customer.id
+      })));
+    }).catch(next);
+  });
+
+  /**
+   * GET route on /sushi/r5/reports
+   * Get the list of supported reports
+   */
+  app.get('/sushi/r5/reports', authenticate, function (req, res) {
+    res.status(200).json(Object.keys(sushi.reports).map(report => ({
+      'Report_Name': sushi.reports[report],
+      'Report_ID': report.toUpperCase(),
+      'Release': '5',
+      'Report_Description': sushi.reports[report],
+      'Path': `/sushi/r5/reports/${report}`
+    })));
+  });
+
+  /**
+   * GET route on /sushi/r5/reports/:report
+   * Get a report for a customer, with the usage of all jobs published between two dates
+   * Query: customer_id, begin_date, end_date (YYYY-MM or YYYY-MM-DD)
+   */
+  app.get('/sushi/r5/reports/:report', authenticate, function (req, res, next) {
+    const report     = req.params.report.toLowerCase();
+    const customerID = req.query.customer_id;
+    const customers  = getCustomers(req.user);
+
+    if (!sushi.reports.hasOwnProperty(report)) {
+      return sendException(res, 3000, `${req.params.report} is not supported`);
+    }
+    if (!customerID) {
+      return sendException(res, 1030, 'customer_id is missing');
+    }
+    if (customers && customers.indexOf(customerID) === -1) {
+      return sendException(res, 2010, `No access to the usage of ${customerID}`);
+    }
+    if (!req.query.begin_date || !req.query.end_date) {
+      return sendException(res, 1030, 'begin_date and end_date are required');
+    }
+
+    const begin = moment(req.query.begin_date, dateFormats, true).startOf('month');
+    const end   = moment(req.query.end_date, dateFormats, true).endOf('month');
+
+    if (!begin.isValid() || !end.isValid() || end.isBefore(begin)) {
+      return sendException(res, 3020, 'Dates should be YYYY-MM or YYYY-MM-DD, in that order');
+    }
+
+    sushi.getReport(report, { id: customerID }, begin, end).then(json => {
+      res.status(200).json(json);
+    }).catch(next);
+  });
+};
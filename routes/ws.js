@@ -5,8 +5,11 @@ var uuid       = require('uuid');
 var path       = require('path');
 var mime       = require('mime');
 var Job        = require('../lib/job.js');
-var ezJobs     = require('../lib/jobs.js');
+var jobs       = require('../lib/jobs.js');
+var queue      = require('../lib/queue.js');
 var rgf        = require('../lib/readgrowingfile.js');
+var auth       = require('../lib/auth-middlewares.js');
+var audit      = require('../lib/audit.js');
 var uuidRegExp = /^\/([a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12})\/?$/;
 
 module.exports = function (app) {
@@ -16,9 +19,9 @@ module.exports = function (app) {
    * ?filename=myname can be used to force a specific filename for the download
    * Example: /3e167f80-aa9f-11e2-b9c5-c7c7ad0be3cd
    */
-  app.get(uuidRegExp, function (req, res) {
+  app.get(uuidRegExp, auth.authorizeJobAccess(getJobID), function (req, res) {
     var rid           = req.params[0];
-    var job           = ezJobs[rid];
+    var job           = jobs.get(rid);
     var requestedName = req.query.filename;
 
     // check if this job exists
@@ -43,6 +46,21 @@ module.exports = function (app) {
     } else {
       var jobDir = path.join(__dirname, '/../tmp/jobs/', rid.charAt(0), rid.charAt(1), rid);
 
+      // the registry knows which file holds the results of a finished job
+      jobs.find(rid).then(function (state) {
+        if (!state || !state.resultPath) { return sendLastResult(); }
+
+        fs.stat(state.resultPath, function (err) {
+          if (err) { return sendLastResult(); }
+          sendFile(state.resultPath);
+        });
+      }).catch(sendLastResult);
+    }
+
+    /**
+     * Send the most recent result file found in the job directory
+     */
+    function sendLastResult() {
       fs.readdir(jobDir, function (err, files) {
         if (err) {
           res.status(err.code == 'ENOENT' ? 404 : 500);
@@ -50,33 +68,83 @@ module.exports = function (app) {
         }
 
         var reg = /.*\.job-ecs(\.[a-z]+){1,2}$/;
-        var filename;
         for (var i = files.length - 1; i >= 0; i--) {
-          filename = files[i];
-
-          if (reg.test(filename)) {
-            var ext  = filename.split('.').pop();
-            var name;
-            if (requestedName) { name = requestedName + '.' + ext; }
-            else               { name = rid.substr(0, 8) + '_' + filename; }
-
-            res.writeHead(200, {
-              'Content-Type': mime.getType(ext),
-              'Content-Disposition': 'attachment; filename="' + name + '"'
-            });
-            fs.createReadStream(path.join(jobDir, filename)).pipe(res);
-            return;
+          if (reg.test(files[i])) {
+            return sendFile(path.join(jobDir, files[i]));
           }
         }
         res.status(404);
         res.end();
       });
     }
+
+    /**
+     * Send a result file as an attachment
+     * @param {String} filePath
+     */
+    function sendFile(filePath) {
+      var filename = path.basename(filePath);
+      var ext      = filename.split('.').pop();
+      var name;
+      if (requestedName) { name = requestedName + '.' + ext; }
+      else               { name = rid.substr(0, 8) + '_' + filename; }
+
+      res.writeHead(200, {
+        'Content-Type': mime.getType(ext) || 'application/octet-stream',
+        'Content-Disposition': 'attachment; filename="' + name + '"'
+      });
+      fs.createReadStream(filePath).pipe(res);
+    }
   });
 
+  /**
+   * Get the ID of the job given in the URL
+   */
+  function getJobID(req) {
+    return req.params[0];
+  }
+
+  /**
+   * Check if a request resumes an interrupted job
+   */
+  function isResume(req) {
+    return !!req.params[0] && /^true$/i.test(req.query.resume);
+  }
+
+  /**
+   * Jobs publishing usage for a COUNTER customer need an authenticated owner
+   * Jobs submitted with a token are owned by its user, if the token has the submit scope
+   * Resuming a job needs an authenticated user, who must be allowed to access the job
+   */
+  function authenticatePublisher(req, res, next) {
+    const needsUser = isResume(req) || req.header('COUNTER-Customer-ID');
+    if (!needsUser && !auth.hasBearerToken(req)) { return next(); }
+
+    auth.ensureAuthenticated(true)(req, res, function (err) {
+      if (err) { return next(err); }
+      auth.requireScope('submit')(req, res, next);
+    });
+  }
+
   function startJob(req, res) {
-    var jobID = req.params[0] || uuid.v1();
-    new Job(req, res, jobID, { resIsDeferred: !!req.params[0] })._run();
+    var jobID  = req.params[0] || uuid.v1();
+    var queued = /^true$/i.test(req.header('ezPAARSE-Queued'));
+    var resume = isResume(req);
+
+    audit.log(req, 'job.start', jobID, {
+      headers: jobs.filterHeaders(req.headers),
+      queued: queued,
+      resume: resume
+    });
+
+    if (queued) {
+      return queue.submit(req, res, jobID);
+    }
+
+    new Job(req, res, jobID, {
+      resIsDeferred: !!req.params[0],
+      resume: resume
+    })._run();
   }
 
   /**
@@ -87,7 +155,44 @@ module.exports = function (app) {
    *  - POST data on /:uuid?_METHOD=PUT
    * Notice: resIsDeferred = true means that the result will be stored in a
    * tmp file to make possible a deferred download
+   * With the header "ezPAARSE-Queued: true", the upload is stored and the job
+   * is queued, the server immediately responds with a 202 and the job ID
+   * PUT /:uuid?resume=true resumes an interrupted job from its last checkpoint
+   * With the header "COUNTER-Customer-ID", the user must be authenticated
+   * With the header "Authorization: Bearer <token>", the job is owned by the user of the token
    */
-  app.post('/', startJob);
-  app.put(uuidRegExp, startJob);
+  app.post('/', authenticatePublisher, startJob);
+  app.put(uuidRegExp, authenticatePublisher, startJob);
+
+  /**
+   * DELETE a job
+   * Cancels a running or queued job, only allowed for admins, its owner and its institution
+   * Example: DELETE /3e167f80-aa9f-11e2-b9c5-c7c7ad0be3cd
+   */
+  app.delete(uuidRegExp, auth.ensureAuthenticated(true), auth.requireScope('submit'),
+    function (req, res) {
+      var rid   = req.params[0];
+      var job   = jobs.get(rid) || queue.get(rid);
+      var user  = req.user;
+
+      if (!job) { return res.status(404).end(); }
+
+      if (!auth.canAccessJob(user, job)) {
+        return res.status(403).end();
+      }
+
+      audit.log(req, 'job.cancel', rid);
+
+      if (typeof job.cancel === 'function') {
+        job.cancel(user.username);
+        return res.status(202).end();
+      }
+
+      // The job is waiting in the queue
+      queue.cancel(rid, user.username).then(function (cancelled) {
+        res.status(cancelled ? 204 : 409).end();
+      }).catch(function () {
+        res.status(500).end();
+      });
+    });
 };
@@ -0,0 +1,133 @@
+/*global describe, it, before, after*/
+'use strict';
+
+require('should');
+
+var request = require('request').defaults({ proxy: null });
+var users   = require('./users.js');
+
+var admin  = { username: 'audit-admin@test.ezpaarse.org', password: 'admin-pass', group: 'admin' };
+var target = { username: 'audit-target@test.ezpaarse.org', password: 'target-pass' };
+
+/**
+ * Send a request as the admin
+ * @param {Object}   options   request options
+ * @param {Function} callback(res, body)
+ */
+function asAdmin(options, callback) {
+  options.url  = users.baseURL + options.url;
+  options.auth = users.auth(admin);
+
+  request(options, function (err, res, body) {
+    if (!res) { throw new Error('ezPAARSE is not running'); }
+    if (err)  { throw err; }
+    callback(res, body);
+  });
+}
+
+/**
+ * Get audit entries, until a given number of entries match the filters
+ * Entries are written after the response of the audited action
+ * @param {String}   query     filters and pagination
+ * @param {Integer}  total     expected number of matching entries
+ * @param {Function} callback(result)
+ */
+function getEntries(query, total, callback) {
+  asAdmin({ url: '/audit?' + query, json: true }, function (res, result) {
+    res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+    if (result.total < total) { return setTimeout(getEntries, 100, query, total, callback); }
+    callback(result);
+  });
+}
+
+describe('The audit log', function () {
+  var since = new Date().toISOString();
+
+  before(function (done) {
+    users.create([admin, target], done);
+  });
+
+  after(function (done) {
+    users.remove([admin, target], done);
+  });
+
+  it('records administrative actions, found with filters and pagination (@01)', function (done) {
+    var customers = ['audit-a', 'audit-b', 'audit-c'];
+    var filters   = 'action=user.update&target=' + encodeURIComponent(target.username)
+                  + '&actor=' + encodeURIComponent(admin.username) + '&from=' + since;
+
+    (function updateNext(i) {
+      if (i === customers.length) { return checkFirstPage(); }
+
+      asAdmin({
+        method: 'POST',
+        url: '/users/' + target.username,
+        json: { sushiCustomers: [customers[i]] }
+      }, function (res) {
+        res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+        updateNext(i + 1);
+      });
+    })(0);
+
+    function checkFirstPage() {
+      getEntries(filters + '&limit=2&page=1', customers.length, function (result) {
+        result.should.have.properties({ total: 3, page: 1, limit: 2 });
+        result.entries.should.have.length(2);
+
+        // Most recent first
+        result.entries[0].params.change.sushiCustomers.should.eql(['audit-c']);
+        result.entries[1].params.change.sushiCustomers.should.eql(['audit-b']);
+        result.entries[1].params.previous.sushiCustomers.should.eql(['audit-a']);
+
+        getEntries(filters + '&limit=2&page=2', customers.length, checkSecondPage);
+      });
+    }
+
+    function checkSecondPage(result) {
+      result.should.have.properties({ total: 3, page: 2 });
+      result.entries.should.have.length(1);
+      result.entries[0].should.have.properties({
+        actor: admin.username,
+        action: 'user.update',
+        target: target.username
+      });
+
+      // Categories match all their actions
+      getEntries('action=user.&target=' + encodeURIComponent(target.username) + '&from=' + since,
+        customers.length, function (result) {
+          result.total.should.equal(3);
+          done();
+        });
+    }
+  });
+
+  it('records failed logins, and escapes formulas in the CSV export (@02)', function (done) {
+    var userid = '=HYPERLINK("http://example.org")@test.ezpaarse.org';
+
+    request.post({
+      url: users.baseURL + '/login',
+      json: { userid: userid, password: 'wrong' }
+    }, function (err, res) {
+      if (err) { throw err; }
+      res.statusCode.should.equal(401, 'expected 401, got ' + res.statusCode);
+
+      var filters = 'action=auth.login-failed&target=' + encodeURIComponent(userid)
+                  + '&from=' + since;
+
+      getEntries(filters, 1, function () {
+        asAdmin({ url: '/audit/export?' + filters }, checkExport);
+      });
+    });
+
+    function checkExport(res, body) {
+      res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+      res.headers['content-type'].should.startWith('text/csv');
+
+      var lines = body.trim().split('\n');
+      lines.should.have.length(2);
+      lines[1].should.containEql(';"\'=HYPERLINK(""http://example.org"")@test.ezpaarse.org";');
+      done();
+    }
+  });
+});
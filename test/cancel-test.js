@@ -0,0 +1,171 @@
+/*global describe, it, before, after*/
+'use strict';
+
+var fs      = require('fs');
+var path    = require('path');
+var stream  = require('stream');
+var uuid    = require('uuid');
+var should  = require('should');
+var request = require('request').defaults({ proxy: null, headers: { 'Crossref-Enrich': 'false' } });
+var config  = require('../lib/config.js');
+var users   = require('./users.js');
+
+var logFile = path.join(__dirname, '/dataset/sd.mini.log');
+var bigFile = path.join(__dirname, '/dataset/sd.2013-03-12.log.gz');
+
+var owner = { username: 'cancel-owner@test.ezpaarse.org', password: 'owner-pass' };
+var other = { username: 'cancel-other@test.ezpaarse.org', password: 'other-pass' };
+
+/**
+ * Get the state of a job until it has a given status
+ * @param {String}   jobID
+ * @param {Object}   jar       session of a user who can access the job
+ * @param {String}   status
+ * @param {Function} callback(state)
+ */
+function waitForStatus(jobID, jar, status, callback) {
+  var url = users.baseURL + '/jobs/' + jobID;
+
+  request.get({ url: url, jar: jar, json: true }, function (err, res, state) {
+    if (err) { throw err; }
+
+    if (res.statusCode === 200 && state.status === status) { return callback(state); }
+    if (res.statusCode !== 200 && res.statusCode !== 404) {
+      throw new Error('expected 200, got ' + res.statusCode);
+    }
+
+    setTimeout(waitForStatus, 200, jobID, jar, status, callback);
+  });
+}
+
+/**
+ * Submit a queued job
+ * @param {Object}   jar
+ * @param {Function} callback(jobID, position)
+ */
+function submitQueued(jar, callback) {
+  var headers = {
+    'Accept': 'application/json',
+    'Content-Encoding': 'gzip',
+    'ezPAARSE-Queued': 'true'
+  };
+
+  fs.createReadStream(bigFile).pipe(request.post({
+    url: users.baseURL + '/',
+    jar: jar,
+    headers: headers
+  }, function (err, res, body) {
+    if (!res) { throw new Error('ezPAARSE is not running'); }
+    if (err)  { throw err; }
+
+    res.statusCode.should.equal(202, 'expected 202, got ' + res.statusCode);
+
+    var result = JSON.parse(body);
+    callback(result.id, result.position);
+  }));
+}
+
+/**
+ * Cancel a job
+ * @param {String}   jobID
+ * @param {Object}   jar       session of the user cancelling the job
+ * @param {Function} callback(statusCode)
+ */
+function cancel(jobID, jar, callback) {
+  request.del({ url: users.baseURL + '/' + jobID, jar: jar }, function (err, res) {
+    if (err) { throw err; }
+    callback(res.statusCode);
+  });
+}
+
+describe('The server', function () {
+  this.timeout(60000);
+
+  var ownerJar, otherJar;
+
+  before(function (done) {
+    users.create([owner, other], function (err) {
+      if (err) { return done(err); }
+
+      users.login(owner, function (err, jar) {
+        if (err) { return done(err); }
+        ownerJar = jar;
+
+        users.login(other, function (err, jar) {
+          otherJar = jar;
+          done(err);
+        });
+      });
+    });
+  });
+
+  after(function (done) {
+    users.remove([owner, other], done);
+  });
+
+  describe('is asked to cancel a running deferred job', function () {
+    it('refuses other users and stops the job for its owner (@01)', function (done) {
+      var jobID = uuid.v1();
+      var input = new stream.PassThrough();
+
+      // The upload is kept open, so that the job is still running when cancelled
+      input.pipe(request.put({ url: users.baseURL + '/' + jobID, jar: ownerJar }, function () {}));
+      fs.createReadStream(logFile).pipe(input, { end: false });
+
+      waitForStatus(jobID, ownerJar, 'running', function () {
+        cancel(jobID, otherJar, function (status) {
+          status.should.equal(403, 'expected 403, got ' + status);
+
+          cancel(jobID, ownerJar, function (status) {
+            status.should.equal(202, 'expected 202, got ' + status);
+
+            input.end();
+            waitForStatus(jobID, ownerJar, 'cancelled', checkState);
+          });
+        });
+      });
+
+      function checkState(state) {
+        state.should.have.property('cancelledBy', owner.username);
+        should.exist(state.finishedAt);
+        done();
+      }
+    });
+  });
+
+  describe('is asked to cancel a queued job', function () {
+    it('removes it from the queue with a 204 (@02)', function (done) {
+      var nbJobs = (parseInt(config.EZPAARSE_QUEUE_CONCURRENCY) || 1) + 1;
+      var jobIDs = [];
+
+      // Fill the workers, so that the last job waits in the queue
+      (function submitNext() {
+        if (jobIDs.length === nbJobs) { return cancelLast(); }
+
+        submitQueued(ownerJar, function (jobID) {
+          jobIDs.push(jobID);
+          submitNext();
+        });
+      })();
+
+      function cancelLast() {
+        var jobID = jobIDs.pop();
+
+        cancel(jobID, ownerJar, function (status) {
+          status.should.equal(204, 'expected 204, got ' + status);
+          waitForStatus(jobID, ownerJar, 'cancelled', checkState);
+        });
+      }
+
+      function checkState(state) {
+        state.should.have.property('cancelledBy', owner.username);
+
+        // Stop the jobs that fill the workers
+        (function cancelNext() {
+          if (jobIDs.length === 0) { return done(); }
+          cancel(jobIDs.pop(), ownerJar, cancelNext);
+        })();
+      }
+    });
+  });
+});
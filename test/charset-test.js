@@ -0,0 +1,41 @@
+/*global describe, it*/
+'use strict';
+
+var helpers = require('./helpers.js');
+var path    = require('path');
+var should  = require('should');
+
+var latinLogFile = path.resolve(__dirname, 'dataset/sd.mini.latin1.log');
+
+describe('The server', function () {
+  describe('receives a Latin-1 log file with Request-Charset set to auto', function () {
+    it('detects the charset and decodes the logins correctly (@01)', function (done) {
+      var headers = {
+        'Accept'         : 'application/json',
+        'Request-Charset': 'auto',
+        'Log-Format-ezproxy': '%h %l %u %t "%r" %s %b'
+      };
+
+      helpers.post('/', latinLogFile, headers, function (err, res, body) {
+        if (!res) { throw new Error('ezPAARSE is not running'); }
+        if (err)  { throw err; }
+        res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+        var result = JSON.parse(body);
+        should.ok(Array.isArray(result) && result.length > 0, 'no EC was returned');
+        result[0].should.have.property('login', 'FRANÇOIS_LÉGER');
+
+        var reportURL = '/' + res.headers['job-id'] + '/job-report.json';
+
+        helpers.get(reportURL, function (error, response, reportBody) {
+          if (error) { throw error; }
+          var report = JSON.parse(reportBody);
+
+          report.should.have.property('general');
+          report.general.should.have.property('input-charset', 'windows-1252');
+          done();
+        });
+      });
+    });
+  });
+});
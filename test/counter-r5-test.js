@@ -0,0 +1,159 @@
+/*global describe, it*/
+'use strict';
+
+var helpers         = require('./helpers.js');
+var path            = require('path');
+var should          = require('should');
+var CounterReporter = require('../lib/counter-reporter.js');
+
+var logFile     = path.resolve(__dirname, 'dataset/npg.jr1.log');
+var sessionECs  = require('./dataset/counter-r5.session.json');
+
+/**
+ * Check the identification and metrics of an item of a TR_J1 report
+ */
+function checkItem(item) {
+  item.should.have.properties('Title', 'Item_ID', 'Platform', 'Performance');
+
+  item.Performance.forEach(function (performance) {
+    var metrics = {};
+    performance.Instance.forEach(function (instance) {
+      metrics[instance.Metric_Type] = instance.Count;
+    });
+
+    metrics.should.have.property('Total_Item_Requests');
+    (metrics['Unique_Item_Requests'] || 0).should.be.belowOrEqual(metrics['Total_Item_Requests']);
+  });
+}
+
+/**
+ * Count the ECs of a single session (2 journals and a book) with a Release 5 reporter
+ * @param  {String} type  reporter type (tr_j1, pr_p1...)
+ * @return {Object} metric counts, by title (or platform)
+ */
+function countSession(type) {
+  var reporters = new CounterReporter();
+  reporters.add(type);
+
+  sessionECs.forEach(function (ec) { reporters.count(ec); });
+
+  var report = JSON.parse(reporters.get(type).generateReport('json'));
+  var counts = {};
+
+  report.Report_Items.forEach(function (item) {
+    var metrics = counts[item.Title || item.Platform] = {};
+
+    item.Performance.forEach(function (performance) {
+      performance.Instance.forEach(function (instance) {
+        metrics[instance.Metric_Type] = (metrics[instance.Metric_Type] || 0) + instance.Count;
+      });
+    });
+  });
+
+  return counts;
+}
+
+describe('The Release 5 reporters', function () {
+  it('count titles and items once per session in a TR_J1 report (@04)', function () {
+    countSession('tr_j1').should.eql({
+      'Journal A': { 'Total_Item_Requests': 3, 'Unique_Item_Requests': 2 },
+      'Journal B': { 'Total_Item_Requests': 1, 'Unique_Item_Requests': 1 }
+    });
+  });
+
+  it('count books once per session in a TR_B1 report (@05)', function () {
+    countSession('tr_b1').should.eql({
+      'Book C': { 'Total_Item_Requests': 2, 'Unique_Title_Requests': 1 }
+    });
+  });
+
+  it('count each title of a session in a PR_P1 report (@06)', function () {
+    countSession('pr_p1').should.eql({
+      'Nature': {
+        'Searches_Platform': 1,
+        'Total_Item_Requests': 6,
+        'Unique_Item_Requests': 5,
+        'Unique_Title_Requests': 3
+      }
+    });
+  });
+});
+
+describe('The server', function () {
+  it('generates a JSON TR_J1 report (@01)', function (done) {
+    var headers = {
+      'COUNTER-Reports': 'TR_J1'
+    };
+
+    helpers.post('/', logFile, headers, function (err, res) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+      res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+      var reportURL = res.headers['job-report-tr_j1'];
+      should.exist(reportURL, 'The header "Job-Report-TR_J1" was not sent by the server');
+      reportURL.should.endWith('.json');
+
+      helpers.get(reportURL, function (error, response, body) {
+        if (!response) { throw new Error('ezPAARSE is not running'); }
+        if (error)     { throw error; }
+        response.statusCode.should.equal(200, 'expected 200, got ' + response.statusCode);
+
+        var report = JSON.parse(body);
+
+        report.should.have.property('Report_Header');
+        report.Report_Header.should.have.property('Report_ID', 'TR_J1');
+        report.Report_Header.should.have.property('Release', '5');
+
+        report.should.have.property('Report_Items').which.is.an.Array();
+        report.Report_Items.should.not.be.empty();
+
+        report.Report_Items.forEach(checkItem);
+        done();
+      });
+    });
+  });
+
+  it('generates a TSV PR_P1 report (@02)', function (done) {
+    var headers = {
+      'COUNTER-Reports': 'PR_P1',
+      'COUNTER-Format': 'TSV'
+    };
+
+    helpers.post('/', logFile, headers, function (err, res) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+      res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+      var reportURL = res.headers['job-report-pr_p1'];
+      should.exist(reportURL, 'The header "Job-Report-PR_P1" was not sent by the server');
+
+      helpers.get(reportURL, function (error, response, body) {
+        if (error) { throw error; }
+
+        var lines = body.split('\n');
+
+        lines[0].should.equal('Report_Name\tPlatform Usage');
+        lines[1].should.equal('Report_ID\tPR_P1');
+        lines[13].should.startWith('Platform\tMetric_Type\tReporting_Period_Total');
+        lines.slice(14).join('\n').should.containEql('Total_Item_Requests');
+        done();
+      });
+    });
+  });
+
+  it('refuses an XML version of a Release 5 report (@03)', function (done) {
+    var headers = {
+      'COUNTER-Reports': 'TR_J1',
+      'COUNTER-Format': 'XML'
+    };
+
+    helpers.post('/', logFile, headers, function (err, res) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+      res.statusCode.should.equal(406, 'expected 406, got ' + res.statusCode);
+      res.headers.should.have.property('ezpaarse-status', '4017');
+      done();
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/*global describe, it*/
+'use strict';
+
+var helpers = require('./helpers.js');
+var path    = require('path');
+var should  = require('should');
+var filter  = require('../lib/ecfilter-expression.js');
+
+var logFile = path.resolve(__dirname, 'dataset/sd.2012-11-30.300.log');
+
+describe('The server', function () {
+  it('only outputs the ECs matching the EC-Filter expression (@01)', function (done) {
+    var headers = {
+      'Accept': 'application/json',
+      'EC-Filter': 'platform = sd and rtype != TOC and mime in (PDF, HTML)'
+    };
+
+    helpers.post('/', logFile, headers, function (err, res, body) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+      res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+      var ecs = JSON.parse(body);
+      ecs.should.not.be.empty();
+
+      ecs.forEach(function (ec) {
+        ec.should.have.property('platform', 'sd');
+        ec.rtype.should.not.equal('TOC');
+        ['PDF', 'HTML'].should.containEql(ec.mime);
+      });
+
+      var jobID = res.headers['job-id'];
+      should.exist(jobID);
+
+      helpers.get('/' + jobID + '/job-report.json', function (err, res, body) {
+        if (err) { throw err; }
+        res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+        var report = JSON.parse(body);
+        report.should.have.property('rejets');
+        report.rejets.should.have.property('nb-lines-excluded-ecs');
+        report.rejets['nb-lines-excluded-ecs'].should.be.above(0);
+        done();
+      });
+    });
+  });
+
+  it('refuses an invalid expression with an error 4032 (@02)', function (done) {
+    var headers = {
+      'EC-Filter': 'platform = sd and (rtype in (TOC, ABS)'
+    };
+
+    helpers.post('/', logFile, headers, function (err, res, body) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+      res.statusCode.should.equal(400, 'expected 400, got ' + res.statusCode);
+
+      should.exist(res.headers['ezpaarse-status']);
+      res.headers['ezpaarse-status'].should.equal('4032');
+      done();
+    });
+  });
+});
+
+describe('The EC filter expressions', function () {
+  it('compare 4-digit thresholds as numbers (@03)', function () {
+    var above = filter.compile('size > 1000');
+
+    above({ size: '999' }).should.be.false();
+    above({ size: '1000' }).should.be.false();
+    above({ size: '10005' }).should.be.true();
+
+    var atLeast = filter.compile('size >= 2000');
+
+    atLeast({ size: '20' }).should.be.false();
+    atLeast({ size: '2000' }).should.be.true();
+    atLeast({ size: '2000.5' }).should.be.true();
+
+    var range = filter.compile('size between 1000 and 5000');
+
+    range({ size: '999' }).should.be.false();
+    range({ size: '4999' }).should.be.true();
+    range({ size: '10000' }).should.be.false();
+  });
+
+  it('compare years with the same part of the dates (@04)', function () {
+    var test = filter.compile('date <= 2019');
+
+    test({ date: '2019-12-31' }).should.be.true();
+    test({ date: '2020-01-01' }).should.be.false();
+    test({ date: '2019' }).should.be.true();
+
+    filter.compile('date >= 2019-03')({ date: '2019-03-01' }).should.be.true();
+    filter.compile('date < 2019-03')({ date: '2019-02-28' }).should.be.true();
+  });
+});
@@ -0,0 +1,170 @@
+/*global describe, it, before, after*/
+'use strict';
+
+var helpers = require('./helpers.js');
+var users   = require('./users.js');
+var fs      = require('fs');
+var path    = require('path');
+var should  = require('should');
+
+var logFile = path.join(__dirname, '/dataset/multiformat/test.nginx.log');
+
+var tester = { username: 'format-tester@test.ezpaarse.org', password: 'tester-pass' };
+
+describe('The format detection', function () {
+  it('ranks the formats matching sample lines (@01)', function (done) {
+    var headers = { 'Content-Type': 'text/plain' };
+
+    helpers.post('/info/format/detect', logFile, headers, function (err, res, body) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+      res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+      var result = JSON.parse(body);
+
+      result.should.have.property('lines', 3);
+      result.should.have.property('proxy', 'nginx');
+      result.candidates.should.not.be.empty;
+      result.candidates[0].should.have.property('matchRate', 100);
+      result.candidates[0].should.have.property('format', result.format);
+      done();
+    });
+  });
+
+  it('refuses a request without lines (@02)', function (done) {
+    helpers.post('/info/format/detect', '', { 'Content-Type': 'text/plain' }, function (err, res) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+      res.statusCode.should.equal(400, 'expected 400, got ' + res.statusCode);
+      done();
+    });
+  });
+
+  it('lists the candidate formats in the job report (@03)', function (done) {
+    var headers = { 'Accept': 'application/json' };
+
+    helpers.post('/', logFile, headers, function (err, res) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+      res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+      helpers.get('/' + res.headers['job-id'] + '/job-report.json', function (err, res, body) {
+        if (err) { throw err; }
+
+        var report = JSON.parse(body);
+
+        should.exist(report['format-detection']);
+        report['format-detection'].should.have.property('candidate-1');
+        report['format-detection']['candidate-1'].should.startWith('nginx: ');
+        done();
+      });
+    });
+  });
+});
+
+describe('The format tester', function () {
+  var credentials = Buffer.from(tester.username + ':' + tester.password).toString('base64');
+  var headers     = {
+    'Content-Type': 'application/json',
+    'Authorization': 'Basic ' + credentials
+  };
+  var lines;
+
+  before(function (done) {
+    users.create([tester], function (err) {
+      if (err) { return done(err); }
+
+      fs.readFile(logFile, 'utf8', function (err, content) {
+        lines = content;
+        done(err);
+      });
+    });
+  });
+
+  after(function (done) {
+    users.remove([tester], done);
+  });
+
+  it('gives the fields captured in each line (@04)', function (done) {
+    var body = JSON.stringify({
+      lines: lines,
+      proxy: 'nginx',
+      format: '$remote_addr - $remote_user [$time_local] "$request" ' +
+              '$status $body_bytes_sent "$http_referer" "$http_user_agent"'
+    });
+
+    helpers.post('/info/format/test', body, headers, function (err, res, body) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+      res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+      var result = JSON.parse(body);
+
+      result.should.have.property('valid', true);
+      result.should.have.property('matched', 3);
+      result.suggestions.should.be.empty;
+      result.lines[0].ec.should.have.property('login', 'jdoe');
+      done();
+    });
+  });
+
+  it('gives where unmatched lines break and suggests fixes (@05)', function (done) {
+    var body = JSON.stringify({
+      lines: lines,
+      proxy: 'ezproxy',
+      format: '%h %l %u %t "%r"'
+    });
+
+    helpers.post('/info/format/test', body, headers, function (err, res, body) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+      res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+      var result = JSON.parse(body);
+
+      result.should.have.property('matched', 0);
+      result.lines[0].should.have.property('matched', false);
+      result.lines[0].breakPosition.should.be.above(0);
+
+      var types = result.suggestions.map(function (s) { return s.type; });
+      types.should.containEql('trailing-content');
+      types.should.containEql('detected-format');
+      done();
+    });
+  });
+
+  it('refuses a request without format (@06)', function (done) {
+    var body = JSON.stringify({ lines: lines, proxy: 'ezproxy' });
+
+    helpers.post('/info/format/test', body, headers, function (err, res) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+      res.statusCode.should.equal(400, 'expected 400, got ' + res.statusCode);
+      done();
+    });
+  });
+
+  it('refuses unauthenticated requests (@07)', function (done) {
+    var body = JSON.stringify({ lines: lines, proxy: 'ezproxy', format: '%h %l %u %t "%r"' });
+
+    helpers.post('/info/format/test', body, { 'Content-Type': 'application/json' },
+      function (err, res) {
+        if (!res) { throw new Error('ezPAARSE is not running'); }
+        if (err)  { throw err; }
+        res.statusCode.should.equal(401, 'expected 401, got ' + res.statusCode);
+        done();
+      });
+  });
+
+  it('refuses formats that are too long (@08)', function (done) {
+    var body = JSON.stringify({ lines: lines, proxy: 'ezproxy', format: '%h '.repeat(1000) });
+
+    helpers.post('/info/format/test', body, headers, function (err, res) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+      res.statusCode.should.equal(400, 'expected 400, got ' + res.statusCode);
+      res.headers.should.have.property('ezpaarse-status-message', 'format_too_long');
+      done();
+    });
+  });
+});
@@ -51,6 +51,48 @@ exports.post = function (path, filePath, headers, callback) {
   });
 };
 
+/**
+ * Same as post(), but the response body is a buffer
+ */
+exports.postBinary = function (path, filePath, headers, callback) {
+  var opt = {
+    method: 'POST',
+    url: url + (path || '/'),
+    encoding: null
+  };
+
+  if (headers) {
+    opt.headers = headers;
+  }
+
+  fs.readFile(filePath, function (err, fileContent) {
+    if (err && err.code !== 'ENOENT') { return callback(err); }
+
+    opt.body = fileContent || filePath;
+
+    request(opt, callback);
+  });
+};
+
+exports.put = function (path, filePath, headers, callback) {
+  var opt = {
+    method: 'PUT',
+    url: url + path
+  };
+
+  if (headers) {
+    opt.headers = headers;
+  }
+
+  fs.readFile(filePath, function (err, fileContent) {
+    if (err) { return callback(err); }
+
+    opt.body = fileContent;
+
+    request(opt, callback);
+  });
+};
+
 exports.postPiped = function (path, headers, stream, callback) {
   var opt = {
     method: 'POST',
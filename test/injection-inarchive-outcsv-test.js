@@ -0,0 +1,84 @@
+/*global describe, it*/
+'use strict';
+
+var helpers       = require('./helpers.js');
+var fs            = require('fs');
+var path          = require('path');
+var should        = require('should');
+var csvextractor  = require('../lib/csvextractor.js');
+
+var bzip2LogFile  = path.resolve(__dirname, 'dataset/sd.2013-01-15.log.bz2');
+var xzLogFile     = path.resolve(__dirname, 'dataset/sd.2013-01-15.log.xz');
+var zipLogFile    = path.resolve(__dirname, 'dataset/sd.2013-01-15.log.zip');
+var csvResultFile = path.resolve(__dirname, 'dataset/sd.2013-01-15.result.csv');
+
+var headers = {
+  'Accept'              : 'text/csv',
+  'Crypted-Fields'      : 'disabled',
+  'crossref-enrich': false,
+  'Double-Click-Removal': 'false'
+};
+
+/**
+ * Check that a response body matches the expected CSV
+ */
+function checkResult(body, done) {
+  var stream = fs.createReadStream(csvResultFile);
+  csvextractor.extract(stream, { silent: true }, function (err, correctRecords) {
+    should.ok(err === null);
+    csvextractor.extract([body], { silent: true }, function (err, bodyRecords) {
+      should.ok(err === null);
+      should.ok(helpers.equalJSONList(bodyRecords, correctRecords, true, ['status', 'size']),
+        'The response of the server does not match the expected one');
+      done();
+    });
+  });
+}
+
+describe('The server', function () {
+  describe('receives a bzip2 log file', function () {
+    it('detects it with its magic bytes and sends back a correct csv output (@01)',
+      function (done) {
+        helpers.post('/', bzip2LogFile, headers, function (err, res, body) {
+          if (!res) { throw new Error('ezPAARSE is not running'); }
+          if (err)  { throw err; }
+          res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+          checkResult(body, done);
+        });
+      });
+  });
+
+  describe('receives a xz log file', function () {
+    it('and sends back a correct csv output (@02)', function (done) {
+      var xzHeaders = Object.assign({ 'Content-Type': 'application/x-xz' }, headers);
+
+      helpers.post('/', xzLogFile, xzHeaders, function (err, res, body) {
+        if (!res) { throw new Error('ezPAARSE is not running'); }
+        if (err)  { throw err; }
+        res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+        checkResult(body, done);
+      });
+    });
+  });
+
+  describe('receives a zip archive', function () {
+    it('and lists its entries in the report (@03)', function (done) {
+      helpers.post('/', zipLogFile, headers, function (err, res, body) {
+        if (!res) { throw new Error('ezPAARSE is not running'); }
+        if (err)  { throw err; }
+        res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+        var reportURL = '/' + res.headers['job-id'] + '/job-report.json';
+
+        helpers.get(reportURL, function (error, response, reportBody) {
+          if (error) { throw error; }
+          var report = JSON.parse(reportBody);
+
+          report.should.have.property('files');
+          report.files.should.have.property('1', 'sd.2013-01-15.log');
+          checkResult(body, done);
+        });
+      });
+    });
+  });
+});
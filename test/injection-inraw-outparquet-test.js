@@ -0,0 +1,99 @@
+/*global describe, it*/
+'use strict';
+
+require('should');
+
+var parquet = require('parquetjs-lite');
+var helpers = require('./helpers.js');
+var path    = require('path');
+
+var logFile     = path.join(__dirname, '/dataset/sd.2012-11-30.300.log');
+var parquetType = 'application/vnd.apache.parquet';
+
+/**
+ * Read all rows of a Parquet file
+ * @param  {Buffer}  body
+ * @return {Promise} resolved with the reader and the rows
+ */
+function readParquet(body) {
+  return parquet.ParquetReader.openBuffer(body).then(function (reader) {
+    var cursor = reader.getCursor();
+    var rows   = [];
+
+    return (function next() {
+      return cursor.next().then(function (row) {
+        if (!row) { return { reader: reader, rows: rows }; }
+        rows.push(row);
+        return next();
+      });
+    })();
+  });
+}
+
+describe('The server', function () {
+  describe('receives a log with a Parquet output requested', function () {
+    var headers = {
+      'Crossref-Enrich'     : false,
+      'Double-Click-Removal': false
+    };
+
+    it('and sends back a Parquet file (@01)', function (done) {
+      helpers.postBinary('/', logFile, Object.assign({ 'Accept': parquetType }, headers),
+        function (err, res, body) {
+          if (!res) { throw new Error('ezPAARSE is not running'); }
+          if (err)  { throw err; }
+          res.should.have.status(200);
+          res.headers.should.have.property('content-type', parquetType);
+
+          // A Parquet file starts and ends with the magic number "PAR1"
+          body.slice(0, 4).toString().should.equal('PAR1');
+          body.slice(-4).toString().should.equal('PAR1');
+          done();
+        });
+    });
+
+    it('and the file can be read back with typed columns (@02)', function (done) {
+      helpers.post('/', logFile, Object.assign({ 'Accept': 'application/json' }, headers),
+        function (err, res, body) {
+          if (!res) { throw new Error('ezPAARSE is not running'); }
+          if (err)  { throw err; }
+          res.should.have.status(200);
+
+          var ecs = JSON.parse(body);
+          ecs.should.not.be.empty();
+
+          helpers.postBinary('/', logFile, Object.assign({ 'Accept': parquetType }, headers),
+            function (err, res, body) {
+              if (err) { throw err; }
+              res.should.have.status(200);
+
+              readParquet(body).then(function (result) {
+                checkFile(result.reader, result.rows, ecs);
+                return result.reader.close();
+              }).then(done, done);
+            });
+        });
+
+      function checkFile(reader, rows, ecs) {
+        var fields = reader.getSchema().fields;
+
+        fields.should.have.properties('datetime', 'date', 'domain');
+        fields.datetime.originalType.should.equal('TIMESTAMP_MICROS');
+        fields.date.originalType.should.equal('DATE');
+        fields.domain.originalType.should.equal('UTF8');
+
+        reader.getRowCount().toNumber().should.equal(ecs.length);
+        rows.should.have.length(ecs.length);
+
+        var row = rows[0];
+        var ec  = ecs[0];
+
+        row.datetime.should.be.an.instanceOf(Date);
+        row.datetime.getTime().should.equal(new Date(ec.datetime).getTime());
+        row.date.should.be.an.instanceOf(Date);
+        row.date.toISOString().substr(0, 10).should.equal(ec.date);
+        row.domain.should.equal(ec.domain);
+      }
+    });
+  });
+});
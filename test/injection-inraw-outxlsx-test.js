@@ -0,0 +1,89 @@
+/*global describe, it, after*/
+'use strict';
+
+var helpers = require('./helpers.js');
+var path    = require('path');
+var should  = require('should');
+var stream  = require('stream');
+var XLSX    = require('xlsx');
+var Writer  = require('../lib/outputformats/xlsx.js');
+
+var logFile  = path.join(__dirname, '/dataset/sd.2012-11-30.300.log');
+var xlsxType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+describe('The server', function () {
+  describe('receives a log with an XLSX output requested', function () {
+    it('and sends back a workbook with typed columns (@01)', function (done) {
+      var headers = {
+        'Accept'              : xlsxType,
+        'Crypted-Fields'      : 'none',
+        'Output-Fields'       : '+size',
+        'Crossref-Enrich'     : false,
+        'Double-Click-Removal': false
+      };
+
+      helpers.postBinary('/', logFile, headers, function (err, res, body) {
+        if (!res) { throw new Error('ezPAARSE is not running'); }
+        if (err)  { throw err; }
+        res.should.have.status(200);
+        res.headers.should.have.property('content-type', xlsxType);
+
+        var workbook = XLSX.read(body, { type: 'buffer' });
+        var sheet    = workbook.Sheets[workbook.SheetNames[0]];
+
+        should.exist(sheet, 'the workbook has no worksheet');
+        sheet.should.have.property('A1');
+        sheet.A1.should.have.property('v', 'datetime');
+
+        var ecs = XLSX.utils.sheet_to_json(sheet);
+        ecs.should.be.an.instanceOf(Array).and.not.be.empty();
+
+        ecs.forEach(function (ec) {
+          ec.should.have.property('datetime').which.is.a.Number();
+          ec.should.have.property('date').which.is.a.Number();
+          if (ec.size !== undefined) { ec.size.should.be.a.Number(); }
+        });
+
+        done();
+      });
+    });
+  });
+});
+
+describe('The XLSX writer', function () {
+  var maxRows = Writer.maxRows;
+
+  after(function () {
+    Writer.maxRows = maxRows;
+  });
+
+  it('starts a new worksheet when one is full (@02)', function (done) {
+    var output = new stream.PassThrough();
+    var chunks = [];
+    var writer = new Writer(output, ['title_id', 'size']);
+
+    output.on('data', function (chunk) { chunks.push(chunk); });
+
+    // 3 rows per worksheet: the header and 2 ECs
+    Writer.maxRows = 3;
+
+    writer.writeHead({ added: [], removed: [] });
+    for (var i = 1; i <= 5; i++) {
+      writer.write({ 'title_id': 'T' + i, 'size': String(i * 1000) });
+    }
+
+    writer.writeEnd().then(function () {
+      var workbook = XLSX.read(Buffer.concat(chunks), { type: 'buffer' });
+
+      workbook.SheetNames.should.eql(['ECs', 'ECs (2)', 'ECs (3)']);
+
+      var ecs = workbook.SheetNames.reduce(function (list, name) {
+        return list.concat(XLSX.utils.sheet_to_json(workbook.Sheets[name]));
+      }, []);
+
+      ecs.map(function (ec) { return ec.title_id; }).should.eql(['T1', 'T2', 'T3', 'T4', 'T5']);
+      ecs[4].should.have.property('size', 5000);
+      done();
+    }).catch(done);
+  });
+});
@@ -0,0 +1,286 @@
+/*global describe, it, before, after*/
+'use strict';
+
+require('should');
+
+var fs      = require('fs');
+var path    = require('path');
+var uuid    = require('uuid');
+var request = require('request').defaults({ proxy: null, headers: { 'Crossref-Enrich': 'false' } });
+var users   = require('./users.js');
+
+var logFile    = path.join(__dirname, '/dataset/sd.2012-11-30.300.log');
+var ezproxyLog = path.join(__dirname, '/dataset/multiformat/ul.ezproxy.log');
+
+var instA = 'test-institution-a';
+var instB = 'test-institution-b';
+
+var admin   = { username: 'inst-admin@test.ezpaarse.org', password: 'admin', group: 'admin' };
+var memberA = { username: 'inst-member-a@test.ezpaarse.org', password: 'a', institution: instA };
+var peerA   = { username: 'inst-peer-a@test.ezpaarse.org', password: 'a2', institution: instA };
+var memberB = { username: 'inst-member-b@test.ezpaarse.org', password: 'b', institution: instB };
+
+var accounts = [admin, memberA, peerA, memberB];
+
+/**
+ * Send a request as a user, with the session opened before the tests
+ * Jobs are only owned by users with a session or a token
+ * @param {Object}   options   request options
+ * @param {Object}   user
+ * @param {Function} callback(res, body)
+ */
+function send(options, user, callback) {
+  options.url = users.baseURL + options.url;
+  options.jar = user.jar;
+
+  request(options, function (err, res, body) {
+    if (!res) { throw new Error('ezPAARSE is not running'); }
+    if (err)  { throw err; }
+    callback(res, body);
+  });
+}
+
+/**
+ * Run a job with a log file
+ * @param {String}   file
+ * @param {Object}   user      owner of the job
+ * @param {Object}   headers
+ * @param {Function} callback(res, jobID)
+ */
+function runJob(file, user, headers, callback) {
+  var jobID = uuid.v1();
+
+  fs.readFile(file, function (err, content) {
+    if (err) { throw err; }
+
+    send({ method: 'PUT', url: '/' + jobID, headers: headers, body: content }, user,
+      function (res) { callback(res, jobID); });
+  });
+}
+
+/**
+ * Get the report of a job
+ * @param {String}   jobID
+ * @param {Object}   user
+ * @param {Function} callback(report)
+ */
+function getReport(jobID, user, callback) {
+  send({ url: '/' + jobID + '/job-report.json', json: true }, user, function (res, report) {
+    res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+    callback(report);
+  });
+}
+
+describe('The institutions', function () {
+  this.timeout(20000);
+
+  before(function (done) {
+    users.create(accounts, function (err) {
+      if (err) { return done(err); }
+      login(0);
+    });
+
+    function login(index) {
+      if (index === accounts.length) {
+        return createInstitution(instA, function () {
+          createInstitution(instB, function () { done(); });
+        });
+      }
+
+      users.login(accounts[index], function (err, jar) {
+        if (err) { return done(err); }
+
+        accounts[index].jar = jar;
+        login(index + 1);
+      });
+    }
+
+    function createInstitution(id, callback) {
+      send({ method: 'POST', url: '/institutions', json: { id: id } }, admin, function (res) {
+        [201, 409].should.containEql(res.statusCode);
+        callback();
+      });
+    }
+  });
+
+  after(function (done) {
+    send({ method: 'DELETE', url: '/institutions/' + instA }, admin, function () {
+      send({ method: 'DELETE', url: '/institutions/' + instB }, admin, function () {
+        users.remove(accounts, done);
+      });
+    });
+  });
+
+  describe('own the jobs of their members', function () {
+    var jobID;
+
+    before(function (done) {
+      runJob(logFile, memberA, {}, function (res, id) {
+        res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+        jobID = id;
+        done();
+      });
+    });
+
+    var routes = {
+      'state': function () { return '/jobs/' + jobID; },
+      'results': function () { return '/' + jobID + '/'; },
+      'report': function () { return '/' + jobID + '/job-report.json'; }
+    };
+
+    Object.keys(routes).forEach(function (name, i) {
+      var number = ('0' + (i + 1)).substr(-2);
+
+      it('and refuse the ' + name + ' of a job to other institutions (@' + number + ')',
+        function (done) {
+          send({ url: routes[name]() }, memberB, function (res) {
+            res.statusCode.should.equal(403, 'expected 403, got ' + res.statusCode);
+            done();
+          });
+        });
+    });
+
+    Object.keys(routes).forEach(function (name, i) {
+      var number = ('0' + (i + 4)).substr(-2);
+
+      it('and give the ' + name + ' of a job to the members of its institution (@' + number + ')',
+        function (done) {
+          send({ url: routes[name]() }, peerA, function (res) {
+            res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+            done();
+          });
+        });
+    });
+  });
+
+  describe('have exclusion lists', function () {
+    it('which reject the lines of their members\' jobs (@07)', function (done) {
+      var hosts    = '192.21.88.49\n63.142.88.50 # campus proxy';
+      var excluded = ['192.21.88.49', '63.142.88.50'];
+      var nbLines;
+
+      send({
+        method: 'PUT',
+        url: '/institutions/' + instA + '/exclusions/hosts',
+        headers: { 'Content-Type': 'text/plain' },
+        body: hosts
+      }, admin, function (res) {
+        res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+        fs.readFile(logFile, 'utf8', function (err, content) {
+          if (err) { throw err; }
+
+          nbLines = content.split('\n').filter(function (line) {
+            return excluded.indexOf(line.split(' ')[0]) !== -1;
+          }).length;
+
+          runJob(logFile, memberA, {}, checkJob);
+        });
+      });
+
+      function checkJob(res, jobID) {
+        res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+        getReport(jobID, memberA, checkReport);
+      }
+
+      function checkReport(report) {
+        nbLines.should.be.above(0);
+        report.rejets.should.have.property('nb-lines-ignored-hosts', nbLines);
+        runJob(logFile, memberB, {}, checkOtherInstitution);
+      }
+
+      function checkOtherInstitution(res, jobID) {
+        res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+        getReport(jobID, memberB, function (report) {
+          report.rejets.should.have.property('nb-lines-ignored-hosts', 0);
+          done();
+        });
+      }
+    });
+  });
+
+  describe('have predefined settings', function () {
+    var predefined = { 'ezPAARSE-Predefined-Settings': '00-fr-univ-lorr' };
+
+    it('which override the global ones for their members (@08)', function (done) {
+      // The settings of the institution use a format that doesn't match the log
+      var settings = {
+        '00-fr-univ-lorr': {
+          fullName: 'Test settings',
+          headers: { 'Log-Format-ezproxy': '%h INVALID %u %t "%r"' }
+        }
+      };
+
+      send({
+        method: 'PUT',
+        url: '/institutions/' + instA + '/predefined-settings',
+        json: settings
+      }, admin, function (res) {
+        res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+        runJob(ezproxyLog, memberA, predefined, function (res) {
+          res.statusCode.should.equal(400, 'expected 400, got ' + res.statusCode);
+
+          // Users of other institutions still get the global settings
+          runJob(ezproxyLog, memberB, predefined, function (res) {
+            res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('can be changed with API tokens', function () {
+    var exclusions = '/institutions/' + instA + '/exclusions/domains';
+
+    /**
+     * Replace the domains excluded by institution A with a token
+     * @param {Object}   user
+     * @param {Array}    scopes    scopes of the token
+     * @param {Function} callback(res)
+     */
+    function putWithToken(user, scopes, callback) {
+      var options = { name: 'institutions-test', scopes: scopes };
+
+      users.createToken(user, options, function (err, res, token) {
+        if (err) { throw err; }
+        res.statusCode.should.equal(201, 'expected 201, got ' + res.statusCode);
+
+        request.put({
+          url: users.baseURL + exclusions,
+          auth: { bearer: token.token },
+          json: ['example.org']
+        }, function (err, res) {
+          if (err) { throw err; }
+          callback(res);
+        });
+      });
+    }
+
+    it('only with the admin scope for admins (@09)', function (done) {
+      putWithToken(admin, ['read', 'submit'], function (res) {
+        res.statusCode.should.equal(403, 'expected 403, got ' + res.statusCode);
+        res.headers.should.have.property('ezpaarse-status-message', 'insufficient_scope');
+
+        putWithToken(admin, ['admin'], function (res) {
+          res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+          done();
+        });
+      });
+    });
+
+    it('only with the submit scope for members (@10)', function (done) {
+      putWithToken(memberA, ['read'], function (res) {
+        res.statusCode.should.equal(403, 'expected 403, got ' + res.statusCode);
+        res.headers.should.have.property('ezpaarse-status-message', 'insufficient_scope');
+
+        putWithToken(memberA, ['submit'], function (res) {
+          res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+          done();
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/*global describe, it, beforeEach, afterEach*/
+'use strict';
+
+var should       = require('should');
+var EventEmitter = require('events').EventEmitter;
+var ldap         = require('ldapjs');
+var provisioning = require('../lib/sso/provisioning.js');
+var ldapVerify   = require('../lib/sso/ldap.js');
+
+var adminGroup = 'cn=ezpaarse-admins,ou=groups,dc=example,dc=org';
+
+var options = {
+  url: 'ldap://ldap.example.org',
+  bindDN: 'cn=ezpaarse,dc=example,dc=org',
+  bindCredentials: 'service-pass',
+  searchBase: 'ou=people,dc=example,dc=org',
+  adminGroups: [adminGroup]
+};
+
+/**
+ * Create a fake LDAP client, serving a directory of entries
+ * Each entry has a dn, a mail, a password and its memberOf groups
+ * @param  {Array}  directory
+ * @return {Object} the client, which records the binds in "binds"
+ */
+function fakeClient(directory) {
+  var client = new EventEmitter();
+  client.binds = [];
+
+  client.bind = function (dn, password, callback) {
+    client.binds.push(dn);
+
+    if (dn === options.bindDN && password === options.bindCredentials) { return callback(); }
+
+    var valid = directory.some(function (entry) {
+      return entry.dn === dn && entry.password === password;
+    });
+
+    return callback(valid ? null : new ldap.InvalidCredentialsError());
+  };
+
+  client.search = function (base, searchOptions, callback) {
+    var res = new EventEmitter();
+
+    // Results are sent once the listeners are set
+    process.nextTick(function () {
+      directory.forEach(function (entry) {
+        if (searchOptions.filter === '(mail=' + entry.mail + ')') {
+          res.emit('searchEntry', {
+            object: { dn: entry.dn, mail: entry.mail, memberOf: entry.memberOf }
+          });
+        }
+      });
+      res.emit('end');
+    });
+
+    return callback(null, res);
+  };
+
+  client.unbind = function () {};
+
+  return client;
+}
+
+describe('The LDAP authentication', function () {
+  var createClient = ldap.createClient;
+  var provision    = provisioning.provision;
+  var client, provisioned;
+
+  /**
+   * Use a fake directory, and record the profiles sent to the provisioning
+   * @param {Array} directory
+   */
+  function useDirectory(directory) {
+    client = null;
+    ldap.createClient = function () {
+      client = fakeClient(directory);
+      return client;
+    };
+  }
+
+  beforeEach(function () {
+    provisioned = [];
+    provisioning.provision = function (profile, opts, done) {
+      provisioned.push(profile);
+      done(null, { username: profile.username, group: 'user', provider: profile.provider });
+    };
+  });
+
+  afterEach(function () {
+    ldap.createClient      = createClient;
+    provisioning.provision = provision;
+  });
+
+  var jdoe = {
+    dn: 'uid=jdoe,ou=people,dc=example,dc=org',
+    mail: 'jdoe@example.org',
+    password: 'secret',
+    memberOf: [adminGroup]
+  };
+
+  it('authenticates a user and provisions its account with its groups (@01)', function (done) {
+    useDirectory([jdoe]);
+
+    ldapVerify(options)('jdoe@example.org', 'secret', function (err, user) {
+      should.not.exist(err);
+      user.should.have.property('username', 'jdoe@example.org');
+
+      client.binds.should.eql([options.bindDN, jdoe.dn]);
+      provisioned.should.eql([{
+        username: 'jdoe@example.org',
+        provider: 'ldap',
+        groups: [adminGroup]
+      }]);
+      done();
+    });
+  });
+
+  it('refuses a bad password (@02)', function (done) {
+    useDirectory([jdoe]);
+
+    ldapVerify(options)('jdoe@example.org', 'wrong', function (err, user) {
+      should.not.exist(err);
+      user.should.be.false();
+      provisioned.should.be.empty();
+      done();
+    });
+  });
+
+  it('refuses a username matching several entries (@03)', function (done) {
+    var homonym = Object.assign({}, jdoe, { dn: 'uid=jdoe2,ou=people,dc=example,dc=org' });
+    useDirectory([jdoe, homonym]);
+
+    ldapVerify(options)('jdoe@example.org', 'secret', function (err, user) {
+      should.not.exist(err);
+      user.should.be.false();
+
+      // No bind is attempted as one of the users
+      client.binds.should.eql([options.bindDN]);
+      provisioned.should.be.empty();
+      done();
+    });
+  });
+
+  it('refuses an empty password without contacting the directory (@04)', function (done) {
+    useDirectory([Object.assign({}, jdoe, { password: '' })]);
+
+    ldapVerify(options)('jdoe@example.org', '', function (err, user) {
+      should.not.exist(err);
+      user.should.be.false();
+      should.not.exist(client);
+      provisioned.should.be.empty();
+      done();
+    });
+  });
+
+  it('escapes the username in the search filter (@05)', function (done) {
+    useDirectory([jdoe]);
+
+    ldapVerify(options)('*)(mail=*', 'secret', function (err, user) {
+      should.not.exist(err);
+      user.should.be.false();
+      client.binds.should.eql([options.bindDN]);
+      done();
+    });
+  });
+});
@@ -0,0 +1,60 @@
+/*global describe, it*/
+'use strict';
+
+var helpers = require('./helpers.js');
+var path    = require('path');
+var should  = require('should');
+
+var logFile = path.resolve(__dirname, 'dataset/sd.2012-11-30.300.log');
+
+/**
+ * Get the value of a metric sample from the Prometheus text format
+ * @param  {String} body
+ * @param  {String} sample  name of the metric, with its labels
+ * @return {Number} the value, or null if absent
+ */
+function getValue(body, sample) {
+  var line = body.split('\n').find(function (l) { return l.indexOf(sample + ' ') === 0; });
+  return line ? parseFloat(line.substr(sample.length + 1)) : null;
+}
+
+describe('The metrics route', function () {
+  it('exposes the metrics in the Prometheus text format (@01)', function (done) {
+    helpers.get('/metrics', function (err, res, body) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+
+      res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+      res.headers['content-type'].should.startWith('text/plain');
+
+      should.exist(getValue(body, 'ezpaarse_jobs_running'), 'running jobs are missing');
+      should.exist(getValue(body, 'ezpaarse_jobs_queued'), 'queued jobs are missing');
+      should.exist(getValue(body, 'nodejs_eventloop_lag_seconds'), 'event loop lag is missing');
+      getValue(body, 'ezpaarse_mongodb_up').should.equal(1, 'MongoDB should be up');
+      done();
+    });
+  });
+
+  it('counts the lines read by jobs (@02)', function (done) {
+    helpers.get('/metrics', function (err, res, before) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+
+      helpers.post('/', logFile, null, function (err, res) {
+        if (!res) { throw new Error('ezPAARSE is not running'); }
+        if (err)  { throw err; }
+
+        res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+        helpers.get('/metrics', function (err, res, after) {
+          if (err) { throw err; }
+
+          var linesBefore = getValue(before, 'ezpaarse_lines_read_total') || 0;
+
+          getValue(after, 'ezpaarse_lines_read_total').should.be.above(linesBefore);
+          done();
+        });
+      });
+    });
+  });
+});
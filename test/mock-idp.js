@@ -0,0 +1,119 @@
+/* eslint no-console: 0 */
+'use strict';
+
+/**
+ * Mock OpenID Connect identity provider, standing in for a real one during the SSO tests
+ * Every authorization request is granted to the user given by "login_hint",
+ * or to the first user
+ * Usage: node test/mock-idp.js [port]
+ */
+
+var express    = require('express');
+var bodyParser = require('body-parser');
+var crypto     = require('crypto');
+var url        = require('url');
+
+exports.port         = 59598;
+exports.clientID     = 'ezpaarse';
+exports.clientSecret = 'mock-idp-secret';
+
+exports.users = {
+  'jdoe@idp.test': {
+    'sub': 'jdoe',
+    'email': 'jdoe@idp.test',
+    'email_verified': true,
+    'groups': ['ezpaarse-admins']
+  },
+  'jsmith@idp.test': {
+    'sub': 'jsmith',
+    'email': 'jsmith@idp.test',
+    'email_verified': true,
+    'groups': ['library']
+  }
+};
+
+function randomString() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Start the identity provider
+ * @param  {Integer}  port
+ * @param  {Function} callback
+ * @return {Object} the HTTP server
+ */
+exports.start = function (port, callback) {
+  var app    = express();
+  var issuer = 'http://127.0.0.1:' + port;
+  var codes  = {};
+  var tokens = {};
+
+  app.get('/.well-known/openid-configuration', function (req, res) {
+    res.json({
+      'issuer': issuer,
+      'authorization_endpoint': issuer + '/authorize',
+      'token_endpoint': issuer + '/token',
+      'userinfo_endpoint': issuer + '/userinfo',
+      'response_types_supported': ['code'],
+      'subject_types_supported': ['public'],
+      'id_token_signing_alg_values_supported': ['RS256']
+    });
+  });
+
+  app.get('/authorize', function (req, res) {
+    var query = req.query;
+
+    if (query['client_id'] !== exports.clientID || query['response_type'] !== 'code') {
+      return res.status(400).end();
+    }
+
+    var username = query['login_hint'] || Object.keys(exports.users)[0];
+    if (!exports.users[username]) { return res.status(403).end(); }
+
+    var code = randomString();
+    codes[code] = { username: username, redirectURI: query['redirect_uri'] };
+
+    var redirect = url.parse(query['redirect_uri'], true);
+    delete redirect.search;
+    redirect.query.code  = code;
+    redirect.query.state = query.state;
+
+    res.redirect(url.format(redirect));
+  });
+
+  app.post('/token', bodyParser.urlencoded({ extended: true }), function (req, res) {
+    var credentials = Buffer.from(exports.clientID + ':' + exports.clientSecret).toString('base64');
+    if (req.headers.authorization !== 'Basic ' + credentials) { return res.status(401).end(); }
+
+    var grant = codes[req.body.code];
+    delete codes[req.body.code];
+
+    if (!grant || grant.redirectURI !== req.body['redirect_uri']) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    var token = randomString();
+    tokens[token] = grant.username;
+
+    res.json({ 'access_token': token, 'token_type': 'Bearer', 'expires_in': 3600 });
+  });
+
+  app.get('/userinfo', function (req, res) {
+    var match    = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    var username = match && tokens[match[1]];
+
+    if (!username) { return res.status(401).end(); }
+
+    res.json(exports.users[username]);
+  });
+
+  return app.listen(port, '127.0.0.1', callback);
+};
+
+if (require.main === module) {
+  var port = parseInt(process.argv[2]) || exports.port;
+
+  exports.start(port, function () {
+    console.log('Mock identity provider listening on http://127.0.0.1:%d', port);
+  });
+}
@@ -0,0 +1,88 @@
+/*global describe, it*/
+'use strict';
+
+var helpers = require('./helpers.js');
+var path    = require('path');
+var should  = require('should');
+
+var logFile = path.resolve(__dirname, 'dataset/sd.mini.log');
+
+describe('The server', function () {
+  it('writes comma separated values with a BOM (@01)', function (done) {
+    var headers = {
+      'Accept': 'text/csv',
+      'Output-Delimiter': ',',
+      'Output-BOM': 'true'
+    };
+
+    helpers.post('/', logFile, headers, function (err, res, body) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+      res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+      body.charAt(0).should.equal('\ufeff', 'The result does not start with a BOM');
+
+      var header = body.substr(1).split('\n')[0];
+      header.should.containEql('datetime,');
+      header.should.not.containEql(';');
+      done();
+    });
+  });
+
+  it('quotes all values of a TSV output (@02)', function (done) {
+    var headers = {
+      'Accept': 'text/tab-separated-values',
+      'Output-Quote': 'all'
+    };
+
+    helpers.post('/', logFile, headers, function (err, res, body) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+      res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+      var lines = body.trim().split('\n');
+      lines.length.should.be.above(1);
+
+      lines.forEach(function (line) {
+        line.split('\t').forEach(function (value) {
+          value.should.match(/^".*"$/);
+        });
+      });
+      done();
+    });
+  });
+
+  it('refuses a delimiter of several characters with an error 4029 (@03)', function (done) {
+    var headers = {
+      'Accept': 'text/csv',
+      'Output-Delimiter': '||'
+    };
+
+    helpers.post('/', logFile, headers, function (err, res, body) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+      res.statusCode.should.equal(400, 'expected 400, got ' + res.statusCode);
+
+      should.exist(res.headers['ezpaarse-status']);
+      res.headers['ezpaarse-status'].should.equal('4029');
+      done();
+    });
+  });
+
+  it('refuses an unknown quoting mode with an error 4030 (@04)', function (done) {
+    var headers = {
+      'Accept': 'text/csv',
+      'Output-Quote': 'sometimes'
+    };
+
+    helpers.post('/', logFile, headers, function (err, res, body) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+      res.statusCode.should.equal(400, 'expected 400, got ' + res.statusCode);
+
+      should.exist(res.headers['ezpaarse-status']);
+      res.headers['ezpaarse-status'].should.equal('4030');
+      done();
+    });
+  });
+});
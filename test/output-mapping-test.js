@@ -0,0 +1,79 @@
+/*global describe, it*/
+'use strict';
+
+var helpers = require('./helpers.js');
+var path    = require('path');
+var should  = require('should');
+
+var logFile = path.resolve(__dirname, 'dataset/sd.2012-11-30.300.log');
+
+describe('The server', function () {
+  it('renames, orders and computes the columns of a CSV output (@01)', function (done) {
+    var headers = {
+      'Accept': 'text/csv',
+      'Output-Mapping': 'resource=platform, issn=print_identifier|online_identifier, ' +
+                        'day=date(datetime, "DD/MM/YYYY"), id=title_id'
+    };
+
+    helpers.post('/', logFile, headers, function (err, res, body) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+      res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+      var lines = body.trim().split('\n');
+      lines[0].should.equal('resource;issn;day;id');
+      lines.length.should.be.above(1);
+
+      lines.slice(1).forEach(function (line) {
+        var values = line.split(';');
+        values.should.have.length(4);
+        values[0].should.equal('sd');
+        values[2].should.match(/^\d{2}\/11\/2012$/);
+      });
+      done();
+    });
+  });
+
+  it('maps the ECs of a JSON output and keeps other fields with a star (@02)', function (done) {
+    var headers = {
+      'Accept': 'application/json',
+      'Output-Mapping': 'resource=platform, url="https://doi.org/"+doi, *'
+    };
+
+    helpers.post('/', logFile, headers, function (err, res, body) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+      res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+      var ecs = JSON.parse(body);
+      ecs.should.not.be.empty();
+
+      ecs.forEach(function (ec) {
+        Object.keys(ec).slice(0, 2).should.eql(['resource', 'url']);
+        ec.should.have.property('resource', 'sd');
+        ec.should.not.have.property('platform');
+        ec.should.have.property('rtype');
+
+        if (ec.doi) { ec.url.should.equal('https://doi.org/' + ec.doi); }
+        else        { ec.url.should.equal(''); }
+      });
+      done();
+    });
+  });
+
+  it('refuses an invalid mapping with an error 4031 (@03)', function (done) {
+    var headers = {
+      'Output-Mapping': 'url="https://doi.org/+doi'
+    };
+
+    helpers.post('/', logFile, headers, function (err, res, body) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+      res.statusCode.should.equal(400, 'expected 400, got ' + res.statusCode);
+
+      should.exist(res.headers['ezpaarse-status']);
+      res.headers['ezpaarse-status'].should.equal('4031');
+      done();
+    });
+  });
+});
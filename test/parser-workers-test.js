@@ -0,0 +1,109 @@
+/*global describe, it, before, after*/
+'use strict';
+
+var fs      = require('fs');
+var os      = require('os');
+var path    = require('path');
+var spawn   = require('child_process').spawn;
+var uuid    = require('uuid');
+var should  = require('should');
+var request = require('request').defaults({ proxy: null, headers: { 'Crossref-Enrich': 'false' } });
+var config  = require('../lib/config.js');
+
+var logFile = path.join(__dirname, '/dataset/sd.2012-11-30.log.gz');
+var pidFile = path.join(os.tmpdir(), 'ezpaarse-workers-' + process.pid + '.pid');
+
+// The second server uses workers only if the tested one doesn't
+var nbWorkers  = parseInt(config.EZPAARSE_PARSER_WORKERS) > 0 ? 0 : 2;
+var serverURL  = 'http://127.0.0.1:' + config.EZPAARSE_NODEJS_PORT;
+var workersURL = 'http://127.0.0.1:' + (parseInt(config.EZPAARSE_NODEJS_PORT) + 1);
+
+/**
+ * Process a log file and get the resulting ECs and report
+ * @param {String}   baseURL  URL of the server running the job
+ * @param {Function} callback(ecs, report)
+ */
+function runJob(baseURL, callback) {
+  var jobURL = baseURL + '/' + uuid.v1();
+
+  fs.createReadStream(logFile).pipe(request.put({
+    url: jobURL,
+    headers: {
+      'Accept': 'application/json',
+      'Content-Encoding': 'gzip'
+    }
+  }, function (err, res) {
+    if (!res) { throw new Error('ezPAARSE is not running'); }
+    if (err)  { throw err; }
+
+    res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+    request.get(jobURL + '/', function (err, res, ecs) {
+      if (err) { throw err; }
+
+      request.get({ url: jobURL + '/job-report.json', json: true }, function (err, res, report) {
+        if (err) { throw err; }
+        callback(JSON.parse(ecs), report);
+      });
+    });
+  }));
+}
+
+/**
+ * Wait for a server to respond
+ * @param {String}   baseURL
+ * @param {Function} callback
+ */
+function waitForServer(baseURL, callback) {
+  request.get(baseURL + '/info/version', function (err, res) {
+    if (!err && res.statusCode === 200) { return callback(); }
+    setTimeout(waitForServer, 500, baseURL, callback);
+  });
+}
+
+describe('The server', function () {
+  this.timeout(120000);
+
+  var child;
+
+  // Start a second server, configured with a different number of parser workers
+  before(function (done) {
+    var env = Object.assign({}, process.env, {
+      EZPAARSE_CONFIG: JSON.stringify({
+        EZPAARSE_NODEJS_PORT: parseInt(config.EZPAARSE_NODEJS_PORT) + 1,
+        EZPAARSE_PARSER_WORKERS: nbWorkers
+      })
+    });
+
+    child = spawn(process.execPath, [path.join(__dirname, '/../app.js'), '--pidFile', pidFile], {
+      env: env,
+      stdio: 'ignore'
+    });
+
+    waitForServer(workersURL, done);
+  });
+
+  after(function (done) {
+    child.on('exit', function () { fs.unlink(pidFile, function () { done(); }); });
+    child.kill();
+  });
+
+  it('produces the same ECs with and without parser workers (@01)', function (done) {
+    runJob(serverURL, function (ecs, report) {
+      runJob(workersURL, function (otherECs, otherReport) {
+        var withWorkers = nbWorkers > 0 ? otherReport : report;
+        var without     = nbWorkers > 0 ? report : otherReport;
+
+        should.exist(withWorkers.general['parser-workers'], 'the job did not use workers');
+        should.not.exist(without.general['parser-workers'], 'the job should not use workers');
+
+        ecs.should.not.be.empty();
+        ecs.should.eql(otherECs);
+
+        report.general['nb-ecs'].should.equal(otherReport.general['nb-ecs']);
+        report.rejets.should.eql(otherReport.rejets);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,66 @@
+/*global describe, it, before, after*/
+'use strict';
+
+require('should');
+
+var request = require('request').defaults({ proxy: null });
+var users   = require('./users.js');
+
+var legacy = { username: 'legacy-user@test.ezpaarse.org', password: 'old-pass', legacy: true };
+var admin  = { username: 'legacy-admin@test.ezpaarse.org', password: 'admin-pass', group: 'admin' };
+
+/**
+ * Get the usernames of the users whose password uses the legacy scheme
+ * @param {Function} callback(usernames)
+ */
+function getLegacyUsers(callback) {
+  request.get({
+    url: users.baseURL + '/users/legacy-passwords',
+    auth: users.auth(admin),
+    json: true
+  }, function (err, res, list) {
+    if (!res) { throw new Error('ezPAARSE is not running'); }
+    if (err)  { throw err; }
+
+    res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+    callback(list.map(function (user) { return user.username; }));
+  });
+}
+
+describe('The passwords hashed with the legacy scheme', function () {
+  before(function (done) {
+    users.create([legacy, admin], done);
+  });
+
+  after(function (done) {
+    users.remove([legacy, admin], done);
+  });
+
+  it('are listed for the administrators (@01)', function (done) {
+    getLegacyUsers(function (usernames) {
+      usernames.should.containEql(legacy.username);
+      usernames.should.not.containEql(admin.username);
+      done();
+    });
+  });
+
+  it('are upgraded when their user logs in (@02)', function (done) {
+    users.login(legacy, function (err) {
+      if (err) { throw err; }
+
+      users.get(legacy.username, function (err, user) {
+        if (err) { throw err; }
+
+        user.password.should.match(/^pbkdf2\$1\$[a-f0-9]+\$[a-f0-9]+$/);
+        getLegacyUsers(checkList);
+      });
+    });
+
+    function checkList(usernames) {
+      usernames.should.not.containEql(legacy.username);
+
+      // The upgraded hash still matches the password
+      users.login(legacy, done);
+    }
+  });
+});
@@ -0,0 +1,102 @@
+/*global describe, it*/
+'use strict';
+
+var helpers = require('./helpers.js');
+var path    = require('path');
+var should  = require('should');
+
+var logFile = path.resolve(__dirname, 'dataset/npg.jr1.log');
+
+describe('The server', function () {
+  it('skips the lines out of the date range (@01)', function (done) {
+    var headers = {
+      'Accept': 'application/json',
+      'Date-Range': '2013-11/'
+    };
+
+    helpers.post('/', logFile, headers, function (err, res, body) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+      res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+      var ecs = JSON.parse(body);
+      ecs.should.have.length(2);
+      ecs.forEach(function (ec) { ec.date.should.startWith('2013-11'); });
+
+      helpers.get('/' + res.headers['job-id'] + '/job-report.json', function (err, res, body) {
+        if (err) { throw err; }
+        res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+        var report = JSON.parse(body);
+        report.should.have.property('rejets');
+        report.rejets.should.have.property('nb-lines-out-of-range', 2);
+        done();
+      });
+    });
+  });
+
+  it('writes one result file per month (@02)', function (done) {
+    var headers = {
+      'Accept': 'text/csv',
+      'Split-By': 'month'
+    };
+
+    helpers.post('/', logFile, headers, function (err, res, body) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+      res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+      var jobID = res.headers['job-id'];
+
+      helpers.get('/' + jobID + '/job-report.json', function (err, res, body) {
+        if (err) { throw err; }
+
+        var report = JSON.parse(body);
+        report.should.have.property('periods');
+        Object.keys(report.periods).sort().should.eql(['2013-10', '2013-11']);
+
+        helpers.get('/' + jobID + '/job-ecs-2013-10.csv', function (err, res, body) {
+          if (err) { throw err; }
+          res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+          var lines = body.trim().split('\n');
+          lines.should.have.length(3, 'expected a header and 2 ECs');
+          lines.slice(1).forEach(function (line) { line.should.containEql('2013-10-25'); });
+          done();
+        });
+      });
+    });
+  });
+
+  it('refuses an invalid date range with an error 4033 (@03)', function (done) {
+    var headers = {
+      'Date-Range': '2013-12-01/2013-11-01'
+    };
+
+    helpers.post('/', logFile, headers, function (err, res, body) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+      res.statusCode.should.equal(400, 'expected 400, got ' + res.statusCode);
+
+      should.exist(res.headers['ezpaarse-status']);
+      res.headers['ezpaarse-status'].should.equal('4033');
+      done();
+    });
+  });
+
+  it('refuses an unsupported period with an error 4034 (@04)', function (done) {
+    var headers = {
+      'Split-By': 'fortnight'
+    };
+
+    helpers.post('/', logFile, headers, function (err, res, body) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+      res.statusCode.should.equal(400, 'expected 400, got ' + res.statusCode);
+
+      should.exist(res.headers['ezpaarse-status']);
+      res.headers['ezpaarse-status'].should.equal('4034');
+      done();
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/*global describe, it, beforeEach, afterEach*/
+'use strict';
+
+var should       = require('should');
+var userlist     = require('../lib/userlist.js');
+var provisioning = require('../lib/sso/provisioning.js');
+
+/**
+ * Replace the database of users with an in-memory list
+ * @param  {Array}  accounts  initial users
+ * @return {Object} users by username
+ */
+function fakeUserlist(accounts) {
+  var users = {};
+  accounts.forEach(function (user) { users[user.username] = Object.assign({}, user); });
+
+  userlist.get = function (username, callback) {
+    callback(null, users[username] || null);
+  };
+  userlist.add = function (user, callback) {
+    users[user.username] = user;
+    callback(null, user);
+  };
+  userlist.set = function (username, field, value, callback) {
+    users[username][field] = value;
+    callback(null, users[username]);
+  };
+
+  return users;
+}
+
+describe('The provisioning of SSO users', function () {
+  var original = {};
+  var options  = { adminGroups: ['cn=ezpaarse-admins,ou=groups,dc=example,dc=org'] };
+
+  beforeEach(function () {
+    ['get', 'add', 'set'].forEach(function (method) { original[method] = userlist[method]; });
+  });
+
+  afterEach(function () {
+    Object.assign(userlist, original);
+  });
+
+  it('maps the groups of the identity provider, ignoring case (@01)', function () {
+    provisioning.mapGroup(['CN=ezPAARSE-Admins,ou=groups,dc=example,dc=org'], options.adminGroups)
+      .should.equal('admin');
+    provisioning.mapGroup(['cn=staff,ou=groups,dc=example,dc=org'], options.adminGroups)
+      .should.equal('user');
+    provisioning.mapGroup(undefined, options.adminGroups).should.equal('user');
+    provisioning.mapGroup(options.adminGroups, undefined).should.equal('user');
+  });
+
+  it('creates the account of a new user, without password (@02)', function (done) {
+    var users   = fakeUserlist([]);
+    var profile = { username: 'new@example.org', provider: 'ldap', groups: options.adminGroups };
+
+    provisioning.provision(profile, options, function (err, user) {
+      should.not.exist(err);
+
+      user.should.have.properties({
+        username: 'new@example.org',
+        group: 'admin',
+        provider: 'ldap'
+      });
+      should(user.password).be.null();
+      users.should.have.property('new@example.org');
+      done();
+    });
+  });
+
+  it('does not take over a local account (@03)', function (done) {
+    var users = fakeUserlist([{ username: 'local@example.org', password: 'hash', group: 'user' }]);
+
+    var profile = { username: 'local@example.org', provider: 'ldap', groups: options.adminGroups };
+
+    provisioning.provision(profile, options, function (err, user) {
+      should.not.exist(err);
+      user.should.be.false();
+
+      users['local@example.org'].should.have.properties({ password: 'hash', group: 'user' });
+      users['local@example.org'].should.not.have.property('provider');
+      done();
+    });
+  });
+
+  it('remaps the group of a user on the next login (@04)', function (done) {
+    var users   = fakeUserlist([]);
+    var profile = { username: 'member@example.org', provider: 'ldap', groups: options.adminGroups };
+
+    provisioning.provision(profile, options, function (err, user) {
+      should.not.exist(err);
+      user.should.have.property('group', 'admin');
+
+      // The user left the admin group of the directory
+      profile.groups = ['cn=staff,ou=groups,dc=example,dc=org'];
+
+      provisioning.provision(profile, options, function (err, user) {
+        should.not.exist(err);
+        user.should.have.property('group', 'user');
+        users['member@example.org'].should.have.property('group', 'user');
+        done();
+      });
+    });
+  });
+
+  it('keeps the group of a user if the provider doesn\'t map groups (@05)', function (done) {
+    fakeUserlist([{ username: 'kept@example.org', group: 'admin', provider: 'oidc' }]);
+
+    var profile = { username: 'kept@example.org', provider: 'oidc', groups: [] };
+
+    provisioning.provision(profile, {}, function (err, user) {
+      should.not.exist(err);
+      user.should.have.property('group', 'admin');
+      done();
+    });
+  });
+});
@@ -0,0 +1,81 @@
+/*global describe, it*/
+'use strict';
+
+var helpers = require('./helpers.js');
+var path    = require('path');
+var should  = require('should');
+
+var folder = path.join(__dirname, '/dataset/multiformat');
+
+/**
+ * Post a log file and get the resulting ECs and report
+ */
+function processLog(logFile, headers, callback) {
+  headers = Object.assign({
+    'Accept': 'application/json',
+    'Crypted-Fields': 'none',
+    'Double-Click-Removal': 'false'
+  }, headers);
+
+  helpers.post('/', logFile, headers, function (err, res, body) {
+    if (!res) { throw new Error('ezPAARSE is not running'); }
+    if (err)  { throw err; }
+    res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+    var ecs = JSON.parse(body);
+
+    helpers.get('/' + res.headers['job-id'] + '/job-report.json', function (err, res, body) {
+      if (err) { throw err; }
+      callback(ecs, JSON.parse(body));
+    });
+  });
+}
+
+describe('The server', function () {
+  it('parses Nginx logs using the Log-Format-nginx header (@01)', function (done) {
+    var headers = {
+      'Log-Format-nginx': '$remote_addr - $remote_user [$time_local] "$request" ' +
+                          '$status $body_bytes_sent "$http_referer" "$http_user_agent"'
+    };
+
+    processLog(path.join(folder, 'test.nginx.log'), headers, function (ecs, report) {
+      report.general.should.have.property('input-format-proxy', 'nginx');
+      ecs.should.have.length(3);
+
+      ecs[0].should.have.property('host', '50.50.50.50');
+      ecs[0].should.have.property('login', 'jdoe');
+      ecs[0].should.have.property('date', '2012-03-27');
+      ecs[0].should.have.property('platform', 'sd');
+      should.not.exist(ecs[2].login);
+      done();
+    });
+  });
+
+  it('recognizes HAProxy logs forwarded by syslog (@02)', function (done) {
+    processLog(path.join(folder, 'test.haproxy.log'), {}, function (ecs, report) {
+      report.general.should.have.property('input-format-proxy', 'haproxy');
+      ecs.should.have.length(3);
+
+      ecs[1].should.have.property('host', '60.60.60.60');
+      ecs[1].should.have.property('status', '200');
+      ecs[1].should.have.property('size', '812345');
+      ecs[1].date.should.equal('2012-03-27');
+      done();
+    });
+  });
+
+  it('parses Bibliopam logs using the Log-Format-bibliopam header (@03)', function (done) {
+    var headers = {
+      'Log-Format-bibliopam': '%h %l %u %t "%r" %>s %b "%{Referer}i" "%{User-Agent}i"'
+    };
+
+    processLog(path.join(folder, 'univ_toulouse.apache.log'), headers, function (ecs, report) {
+      report.general.should.have.property('input-format-proxy', 'bibliopam');
+      ecs.should.have.length(1);
+
+      ecs[0].should.have.property('login', 'uid=foe2561c,ou=people,dc=ups-tlse,dc=fr');
+      ecs[0].should.have.property('domain', 'www.sciencedirect.com');
+      done();
+    });
+  });
+});
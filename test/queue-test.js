@@ -0,0 +1,48 @@
+/*global describe, it*/
+'use strict';
+
+var path    = require('path');
+var should  = require('should');
+var helpers = require('./helpers.js');
+
+var logFile = path.join(__dirname, '/dataset/sd.mini.log');
+
+describe('The server', function () {
+  this.timeout(20000);
+
+  describe('receives a queued log file', function () {
+    it('and responds with a 202 and a job ID (@01)', function (done) {
+      var headers = {
+        'Accept': 'application/json',
+        'ezPAARSE-Queued': 'true'
+      };
+
+      helpers.post('/', logFile, headers, function (err, res, body) {
+        if (!res) { throw new Error('ezPAARSE is not running'); }
+        if (err)  { throw err; }
+
+        res.statusCode.should.equal(202, 'expected 202, got ' + res.statusCode);
+        should.exist(res.headers['job-id'], 'The header "Job-ID" was not sent by the server');
+
+        var result = JSON.parse(body);
+        result.should.have.property('id', res.headers['job-id']);
+        result.should.have.property('position');
+
+        (function waitForResult() {
+          helpers.get('/' + result.id, function (error, response, ecs) {
+            if (!response) { throw new Error('ezPAARSE is not running'); }
+            if (error)     { throw error; }
+
+            if (response.statusCode === 404) {
+              return setTimeout(waitForResult, 500);
+            }
+
+            response.statusCode.should.equal(200, 'expected 200, got ' + response.statusCode);
+            JSON.parse(ecs).should.be.an.Array();
+            done();
+          });
+        })();
+      });
+    });
+  });
+});
@@ -0,0 +1,203 @@
+/*global describe, it, before, after*/
+'use strict';
+
+require('should');
+
+var fs      = require('fs');
+var path    = require('path');
+var stream  = require('stream');
+var uuid    = require('uuid');
+var request = require('request').defaults({ proxy: null, headers: { 'Crossref-Enrich': 'false' } });
+var config  = require('../lib/config.js');
+var helpers = require('./helpers.js');
+var users   = require('./users.js');
+
+var logFile = path.join(__dirname, '/dataset/sd.mini.log');
+
+var owner = { username: 'resume-owner@test.ezpaarse.org', password: 'owner-pass' };
+var other = { username: 'resume-other@test.ezpaarse.org', password: 'other-pass' };
+
+/**
+ * Run a deferred job with the whole log file
+ * Jobs are owned by the users of a session
+ * @param {String}   jobID
+ * @param {Object}   user      user running the job, with the jar of its session
+ * @param {String}   query     query string of the URL
+ * @param {Function} callback(res)
+ */
+function runJob(jobID, user, query, callback) {
+  fs.createReadStream(logFile).pipe(request.put({
+    url: users.baseURL + '/' + jobID + (query || ''),
+    jar: user.jar,
+    headers: { 'Accept': 'application/json' }
+  }, function (err, res) {
+    if (!res) { throw new Error('ezPAARSE is not running'); }
+    if (err)  { throw err; }
+    callback(res);
+  }));
+}
+
+/**
+ * Get the ECs produced by a deferred job
+ * @param {String}   jobID
+ * @param {Function} callback(ecs)
+ */
+function getECs(jobID, callback) {
+  helpers.get('/' + jobID + '/', function (err, res, body) {
+    if (err) { throw err; }
+
+    res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+    callback(JSON.parse(body));
+  });
+}
+
+/**
+ * Get the state of a job until it matches a condition
+ * @param {String}   jobID
+ * @param {Function} check     called with the state, returns true when it matches
+ * @param {Function} callback(state)
+ */
+function waitForState(jobID, check, callback) {
+  request.get({
+    url: users.baseURL + '/jobs/' + jobID,
+    jar: owner.jar,
+    json: true
+  }, function (err, res, state) {
+    if (err) { throw err; }
+
+    if (res.statusCode === 200 && check(state)) { return callback(state); }
+    setTimeout(waitForState, 500, jobID, check, callback);
+  });
+}
+
+describe('The server', function () {
+  this.timeout(20000);
+
+  before(function (done) {
+    users.create([owner, other], function (err) {
+      if (err) { return done(err); }
+
+      users.login(owner, function (err, jar) {
+        if (err) { return done(err); }
+        owner.jar = jar;
+
+        users.login(other, function (err, jar) {
+          other.jar = jar;
+          done(err);
+        });
+      });
+    });
+  });
+
+  after(function (done) {
+    users.remove([owner, other], done);
+  });
+
+  describe('is asked to resume a job without authentication', function () {
+    it('and responds with a 401 (@01)', function (done) {
+      helpers.put('/' + uuid.v1() + '?resume=true', logFile, {}, function (err, res) {
+        if (!res) { throw new Error('ezPAARSE is not running'); }
+        if (err)  { throw err; }
+
+        res.statusCode.should.equal(401, 'expected 401, got ' + res.statusCode);
+        done();
+      });
+    });
+  });
+
+  describe('is asked to resume a job without checkpoint', function () {
+    it('and responds with a 404 and the status 4027 (@02)', function (done) {
+      runJob(uuid.v1(), owner, '?resume=true', function (res) {
+        res.statusCode.should.equal(404, 'expected 404, got ' + res.statusCode);
+        res.headers.should.have.property('ezpaarse-status', '4027');
+        done();
+      });
+    });
+  });
+
+  describe('receives a deferred job', function () {
+    it('and removes its checkpoint once completed (@03)', function (done) {
+      var jobID = uuid.v1();
+
+      runJob(jobID, owner, '', function (res) {
+        res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+        runJob(jobID, owner, '?resume=true', function (res) {
+          res.statusCode.should.equal(404, 'expected 404, got ' + res.statusCode);
+          res.headers.should.have.property('ezpaarse-status', '4027');
+          done();
+        });
+      });
+    });
+  });
+
+  describe('is asked to resume an interrupted job', function () {
+    // The job must stay open until a checkpoint is made
+    this.timeout((parseInt(config.EZPAARSE_CHECKPOINT_INTERVAL) + 60) * 1000);
+
+    var jobID = uuid.v1();
+    var refID = uuid.v1();
+
+    before(function (done) {
+      var input = new stream.PassThrough();
+      var upload = request.put({
+        url: users.baseURL + '/' + jobID,
+        jar: owner.jar,
+        headers: { 'Accept': 'application/json' }
+      });
+      upload.on('error', function () {});
+
+      // Only send the first line, and keep the upload open until a checkpoint is made
+      input.pipe(upload);
+      fs.readFile(logFile, 'utf8', function (err, content) {
+        if (err) { throw err; }
+        input.write(content.split('\n')[0] + '\n');
+      });
+
+      waitForState(jobID, function (state) { return !!state.checkpoint; }, function () {
+        upload.abort();
+        waitForState(jobID, function (state) { return state.status === 'error'; }, function () {
+          runJob(refID, owner, '', function () { done(); });
+        });
+      });
+    });
+
+    it('and refuses the users who can\'t access it with a 403 and the status 4036 (@04)',
+      function (done) {
+        runJob(jobID, other, '?resume=true', function (res) {
+          res.statusCode.should.equal(403, 'expected 403, got ' + res.statusCode);
+          res.headers.should.have.property('ezpaarse-status', '4036');
+          done();
+        });
+      });
+
+    it('and completes it for its owner, without duplicated ECs (@05)', function (done) {
+      runJob(jobID, owner, '?resume=true', function (res) {
+        res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+        getECs(refID, function (expected) {
+          getECs(jobID, function (ecs) { checkECs(ecs, expected); });
+        });
+      });
+
+      function getLogIDs(ecs) {
+        return ecs.map(function (ec) { return ec.log_id; });
+      }
+
+      function checkECs(ecs, expected) {
+        var logIDs = getLogIDs(ecs);
+
+        ecs.should.have.length(expected.length);
+        logIDs.filter(function (id, i) { return logIDs.indexOf(id) !== i; }).should.be.empty();
+        logIDs.sort().should.eql(getLogIDs(expected).sort());
+
+        waitForState(jobID, function (state) { return state.status === 'done'; }, checkState);
+      }
+
+      function checkState(state) {
+        state.should.have.property('owner', owner.username);
+        done();
+      }
+    });
+  });
+});
@@ -18,9 +18,17 @@ var infoRoutes = [
 ];
 
 var adminRoutes = [
+  '/jobs',
+  '/jobs/3e167f80-aa9f-11e2-b9c5-c7c7ad0be3cd',
+  '/jobs/queue',
   '/app/status',
   '/platforms/status',
-  '/users'
+  '/users',
+  '/institutions',
+  '/audit',
+  '/audit/export',
+  '/profile/tokens',
+  '/users/legacy-passwords'
 ];
 
 function testNextRoute(routes, status, callback) {
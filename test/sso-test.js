@@ -0,0 +1,82 @@
+/*global describe, it, before, after*/
+'use strict';
+
+var should  = require('should');
+var request = require('request').defaults({ proxy: null });
+var config  = require('../lib/config.js');
+var helpers = require('./helpers.js');
+var mockIdP = require('./mock-idp.js');
+
+var baseURL = 'http://127.0.0.1:' + config.EZPAARSE_NODEJS_PORT;
+var sso     = config.EZPAARSE_SSO || {};
+
+/**
+ * The OIDC test needs ezPAARSE to be configured with the mock identity provider :
+ * "EZPAARSE_SSO": { "oidc": { "issuer": "http://127.0.0.1:59598", "clientID": "ezpaarse",
+ *   "clientSecret": "mock-idp-secret", "adminGroups": ["ezpaarse-admins"] } }
+ */
+var useMockIdP = !!sso.oidc && sso.oidc.issuer === 'http://127.0.0.1:' + mockIdP.port;
+
+describe('The single sign-on', function () {
+  var server;
+
+  before(function (done) {
+    if (!useMockIdP) { return done(); }
+    server = mockIdP.start(mockIdP.port, done);
+  });
+
+  after(function (done) {
+    if (!server) { return done(); }
+    server.close(done);
+  });
+
+  it('lists the identity providers (@01)', function (done) {
+    helpers.get('/auth/providers', function (err, res, body) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+      res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+      var providers = JSON.parse(body);
+      providers.should.be.an.Array();
+
+      if (sso.oidc) {
+        providers.map(function (p) { return p.name; }).should.containEql('oidc');
+      }
+      done();
+    });
+  });
+
+  it('provisions OpenID Connect users with their mapped group (@02)', function (done) {
+    if (!useMockIdP) { return this.skip(); }
+
+    var jar = request.jar();
+
+    request.get({ url: baseURL + '/auth/oidc', jar: jar }, function (err, res) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+      res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+      request.get({ url: baseURL + '/session', jar: jar, json: true }, function (err, res, user) {
+        if (err) { throw err; }
+        res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+        should.exist(user);
+        user.should.have.property('username', 'jdoe@idp.test');
+        user.should.have.property('provider', 'oidc');
+        user.should.have.property('group', 'admin');
+        done();
+      });
+    });
+  });
+
+  it('refuses a callback without a matching state (@03)', function (done) {
+    if (!useMockIdP) { return this.skip(); }
+
+    request.get(baseURL + '/auth/oidc/callback?code=foo&state=bar', function (err, res) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+      res.statusCode.should.equal(401, 'expected 401, got ' + res.statusCode);
+      done();
+    });
+  });
+});
@@ -0,0 +1,93 @@
+/*global describe, it*/
+'use strict';
+
+var helpers = require('./helpers.js');
+var path    = require('path');
+var should  = require('should');
+
+var folder = path.join(__dirname, '/dataset/structured');
+
+/**
+ * Post a log file and get the resulting ECs and report
+ */
+function processLog(logFile, headers, callback) {
+  headers = Object.assign({
+    'Accept': 'application/json',
+    'Crypted-Fields': 'none',
+    'Double-Click-Removal': 'false'
+  }, headers);
+
+  helpers.post('/', logFile, headers, function (err, res, body) {
+    if (!res) { throw new Error('ezPAARSE is not running'); }
+    if (err)  { throw err; }
+    res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+    var ecs = JSON.parse(body);
+
+    helpers.get('/' + res.headers['job-id'] + '/job-report.json', function (err, res, body) {
+      if (err) { throw err; }
+      callback(ecs, JSON.parse(body));
+    });
+  });
+}
+
+describe('The server', function () {
+  it('reads JSON lines using the default mapping (@01)', function (done) {
+    var headers = { 'Content-Type': 'application/x-ndjson' };
+
+    processLog(path.join(folder, 'test.ndjson'), headers, function (ecs, report) {
+      ecs.should.have.length(2);
+      report.rejets.should.have.property('nb-lines-unknown-formats', 1);
+
+      ecs[0].should.have.property('host', '50.50.50.50');
+      ecs[0].should.have.property('login', 'jdoe');
+      ecs[0].should.have.property('date', '2012-03-27');
+      ecs[0].should.have.property('status', '200');
+      ecs[0].should.have.property('platform', 'sd');
+      done();
+    });
+  });
+
+  it('maps JSON keys with the JSON-Field-Mapping header (@02)', function (done) {
+    var headers = {
+      'Content-Type': 'application/x-ndjson',
+      'JSON-Field-Mapping': 'login=client.ip'
+    };
+
+    processLog(path.join(folder, 'test.ndjson'), headers, function (ecs) {
+      ecs.should.have.length(2);
+      ecs[1].should.have.property('login', '60.60.60.60');
+      done();
+    });
+  });
+
+  it('refuses an invalid JSON-Field-Mapping with an error 4035 (@03)', function (done) {
+    var headers = {
+      'Content-Type': 'application/x-ndjson',
+      'JSON-Field-Mapping': 'host'
+    };
+
+    helpers.post('/', path.join(folder, 'test.ndjson'), headers, function (err, res) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+
+      res.statusCode.should.equal(400, 'expected 400, got ' + res.statusCode);
+      res.headers.should.have.property('ezpaarse-status', '4035');
+      done();
+    });
+  });
+
+  it('reads W3C extended logs using the #Fields directive (@04)', function (done) {
+    processLog(path.join(folder, 'test.w3c.log'), {}, function (ecs, report) {
+      ecs.should.have.length(2);
+      report.rejets.should.have.property('nb-lines-unknown-formats', 0);
+
+      ecs[0].should.have.property('host', '50.50.50.50');
+      ecs[0].should.have.property('login', 'jdoe');
+      ecs[0].should.have.property('date', '2012-03-27');
+      ecs[0].should.have.property('platform', 'sd');
+      should.not.exist(ecs[1].login);
+      done();
+    });
+  });
+});
@@ -0,0 +1,179 @@
+/*global describe, it, before, after*/
+'use strict';
+
+var helpers = require('./helpers.js');
+var users   = require('./users.js');
+var path    = require('path');
+var should  = require('should');
+var request = require('request').defaults({ proxy: null });
+
+var logFile = path.resolve(__dirname, 'dataset/npg.jr1.log');
+
+var requestor = {
+  username: 'sushi-requestor@test.ezpaarse.org',
+  password: 'requestor-pass',
+  requestorID: 'sushi-test-requestor',
+  sushiCustomers: []
+};
+var other = { username: 'sushi-other@test.ezpaarse.org', password: 'other-pass' };
+
+/**
+ * Create an API token
+ * @param {Object}   jar       session of the token owner
+ * @param {String}   scopes
+ * @param {Function} callback(token)
+ */
+function createToken(jar, scopes, callback) {
+  request.post({
+    url: users.baseURL + '/profile/tokens',
+    jar: jar,
+    json: { name: 'sushi-test', scopes: scopes }
+  }, function (err, res, body) {
+    if (err) { throw err; }
+
+    res.statusCode.should.equal(201, 'expected 201, got ' + res.statusCode);
+    callback(body.token);
+  });
+}
+
+/**
+ * Check that a response is a SUSHI exception
+ */
+function checkException(res, body, status, code) {
+  res.statusCode.should.equal(status, 'expected ' + status + ', got ' + res.statusCode);
+
+  var exception = JSON.parse(body);
+  exception.should.have.properties('Code', 'Severity', 'Message');
+  exception.Code.should.equal(code);
+}
+
+describe('The SUSHI API', function () {
+  it('sends its status without authentication (@01)', function (done) {
+    helpers.get('/sushi/r5/status', function (err, res, body) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+      res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+
+      var status = JSON.parse(body);
+      status.should.be.an.Array().and.have.length(1);
+      status[0].should.have.property('Service_Active', true);
+      done();
+    });
+  });
+
+  it('refuses unknown requestors (@02)', function (done) {
+    var url = '/sushi/r5/reports/tr_j1?customer_id=test&begin_date=2019-01&end_date=2019-02';
+
+    helpers.get(url, function (err, res, body) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+
+      checkException(res, body, 401, 2000);
+      done();
+    });
+  });
+
+  it('refuses unknown requestor IDs (@03)', function (done) {
+    helpers.get('/sushi/r5/members?requestor_id=unknown-requestor', function (err, res, body) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+
+      checkException(res, body, 401, 2000);
+      done();
+    });
+  });
+
+  it('refuses to save usage for a customer without authentication (@04)', function (done) {
+    var headers = {
+      'COUNTER-Customer-ID': 'test-customer'
+    };
+
+    helpers.post('/', logFile, headers, function (err, res) {
+      if (!res) { throw new Error('ezPAARSE is not running'); }
+      if (err)  { throw err; }
+
+      res.statusCode.should.equal(401, 'expected 401, got ' + res.statusCode);
+      should.not.exist(res.headers['job-report-tr_j1']);
+      done();
+    });
+  });
+
+  describe('receives a requestor ID', function () {
+    var readToken, submitToken, otherToken;
+
+    before(function (done) {
+      users.create([requestor, other], function (err) {
+        if (err) { return done(err); }
+
+        users.login(requestor, getRequestorTokens);
+      });
+
+      function getRequestorTokens(err, jar) {
+        if (err) { return done(err); }
+
+        createToken(jar, 'read', function (token) {
+          readToken = token;
+
+          createToken(jar, 'submit', function (token) {
+            submitToken = token;
+            users.login(other, getOtherToken);
+          });
+        });
+      }
+
+      function getOtherToken(err, jar) {
+        if (err) { return done(err); }
+
+        createToken(jar, 'read', function (token) {
+          otherToken = token;
+          done();
+        });
+      }
+    });
+
+    after(function (done) {
+      users.remove([requestor, other], done);
+    });
+
+    function getMembers(apiKey, callback) {
+      var url = '/sushi/r5/members?requestor_id=' + requestor.requestorID;
+      if (apiKey) { url += '&api_key=' + apiKey; }
+
+      helpers.get(url, function (err, res, body) {
+        if (!res) { throw new Error('ezPAARSE is not running'); }
+        if (err)  { throw err; }
+        callback(res, body);
+      });
+    }
+
+    it('and refuses it without an API key (@05)', function (done) {
+      getMembers(null, function (res, body) {
+        checkException(res, body, 401, 2000);
+        done();
+      });
+    });
+
+    it('and accepts it with an API key of the requestor (@06)', function (done) {
+      getMembers(readToken, function (res, body) {
+        res.statusCode.should.equal(200, 'expected 200, got ' + res.statusCode);
+        JSON.parse(body).should.be.an.Array();
+        done();
+      });
+    });
+
+    it('and refuses it with an API key of another user (@07)', function (done) {
+      getMembers(otherToken, function (res, body) {
+        checkException(res, body, 401, 2000);
+        done();
+      });
+    });
+
+    it('and refuses it with an API key without the read scope (@08)', function (done) {
+      getMembers(submitToken, function (res) {
+        res.statusCode.should.equal(403, 'expected 403, got ' + res.statusCode);
+        res.headers.should.have.property('ezpaarse-status-message', 'insufficient_scope');
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+/**
+ * Accounts used by the tests, written directly in the database of ezPAARSE
+ * The tests using them need the same MongoDB as the server
+ */
+
+var crypto   = require('crypto');
+var request  = require('request');
+var mongo    = require('../lib/mongo.js');
+var config   = require('../lib/config.js');
+var userlist = require('../lib/userlist.js');
+
+exports.baseURL = 'http://127.0.0.1:' + config.EZPAARSE_NODEJS_PORT;
+
+function getCollection() {
+  return mongo.connect(config.EZPAARSE_MONGO_URL).then(function () {
+    return mongo.getCollection('users');
+  });
+}
+
+/**
+ * Hash a password with the legacy scheme (HMAC-SHA1 with a static key)
+ * @param  {Object} user
+ * @return {String}
+ */
+function legacyHash(user) {
+  return crypto.createHmac('sha1', 'ezgreatpwd0968')
+    .update(user.username + user.password)
+    .digest('hex');
+}
+
+/**
+ * Create users, replacing the existing ones with the same username
+ * @param {Array}    list      users with their username, clear password and other fields
+ *                             (group, institution...). With "legacy: true", the password
+ *                             is stored with the legacy scheme
+ * @param {Function} callback(err)
+ */
+exports.create = function (list, callback) {
+  getCollection().then(function (users) {
+    return Promise.all(list.map(function (user) {
+      return new Promise(function (resolve, reject) {
+        if (user.legacy) { return resolve(legacyHash(user)); }
+
+        userlist.hash(user.password, function (err, hash) {
+          if (err) { reject(err); }
+          else { resolve(hash); }
+        });
+      }).then(function (hash) {
+        var doc = Object.assign({ group: 'user', createdAt: new Date() }, user, { password: hash });
+        delete doc.legacy;
+
+        return users.replaceOne({ username: user.username }, doc, { upsert: true });
+      });
+    }));
+  }).then(function () { callback(); }, callback);
+};
+
+/**
+ * Get a user, as stored in the database
+ * @param {String}   username
+ * @param {Function} callback(err, user)
+ */
+exports.get = function (username, callback) {
+  getCollection().then(function (users) {
+    return users.findOne({ username: username });
+  }).then(function (user) { callback(null, user); }, callback);
+};
+
+/**
+ * Remove users
+ * @param {Array}    list      users or usernames
+ * @param {Function} callback(err)
+ */
+exports.remove = function (list, callback) {
+  var usernames = list.map(function (user) { return user.username || user; });
+
+  getCollection().then(function (users) {
+    return users.deleteMany({ username: { $in: usernames } });
+  }).then(function () { callback(); }, callback);
+};
+
+/**
+ * Get the basic auth credentials of a user, for the request module
+ * @param  {Object} user
+ * @return {Object}
+ */
+exports.auth = function (user) {
+  return { user: user.username, pass: user.password };
+};
+
+/**
+ * Open a session for a user
+ * @param {Object}   user
+ * @param {Function} callback(err, jar)  jar holds the session cookie
+ */
+exports.login = function (user, callback) {
+  var jar = request.jar();
+
+  request.post({
+    url: exports.baseURL + '/login',
+    proxy: null,
+    jar: jar,
+    json: { userid: user.username, password: user.password }
+  }, function (err, res) {
+    if (err) { return callback(err); }
+    if (res.statusCode !== 200) {
+      return callback(new Error('login of ' + user.username + ' failed with a ' + res.statusCode));
+    }
+    callback(null, jar);
+  });
+};
+
+/**
+ * Create an API token for a user, with a basic auth
+ * @param {Object}   user
+ * @param {Object}   options   name, scopes and expiresAt of the token
+ * @param {Function} callback(err, res, token)  token is the description of the created token
+ */
+exports.createToken = function (user, options, callback) {
+  request.post({
+    url: exports.baseURL + '/profile/tokens',
+    proxy: null,
+    auth: exports.auth(user),
+    json: options
+  }, callback);
+};